@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Build data/cip_codes.json from the official NCES CIP 2020 code list.
+ *
+ * Download CIPCode2020.csv from https://nces.ed.gov/ipeds/cipcode/resources.aspx?y=56,
+ * then run:
+ *
+ *   node build-cip-codes.mjs CIPCode2020.csv [--out data/cip_codes.json]
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import { parseCipCsv, cipLevel } from './lib/cip-codes.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const args = process.argv.slice(2)
+const input = args.find(a => !a.startsWith('--'))
+const outIdx = args.indexOf('--out')
+const outFile = outIdx !== -1 ? args[outIdx + 1] : join(__dirname, 'data', 'cip_codes.json')
+
+if (!input || !existsSync(input)) {
+  console.error('Usage: node build-cip-codes.mjs <CIPCode2020.csv> [--out <file>]')
+  process.exit(1)
+}
+
+const { codes, rejected } = parseCipCsv(readFileSync(input, 'utf-8'))
+codes.sort((a, b) => a.code.localeCompare(b.code))
+
+writeFileSync(outFile, JSON.stringify({
+  source: `NCES CIP 2020 (${basename(input)})`,
+  generatedAt: new Date().toISOString(),
+  codes,
+}, null, 2) + '\n')
+
+const count = (level) => codes.filter(c => cipLevel(c.code) === level).length
+console.log(`✅ ${codes.length} CIP codes: ${count('family')} families, ${count('series')} series, ${count('program')} programs`)
+if (rejected.length) {
+  console.log(`⚠️  ${rejected.length} rows skipped:`)
+  for (const r of rejected.slice(0, 20)) console.log(`   line ${r.line}: ${r.reason}`)
+  if (rejected.length > 20) console.log(`   … and ${rejected.length - 20} more`)
+}
+console.log(`📄 Written to ${outFile}`)
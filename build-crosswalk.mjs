@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Build data/cip_soc_crosswalk.json from the official NCES CIP 2020 ↔ SOC 2018 crosswalk.
+ *
+ * Download CIP2020_SOC2018_Crosswalk.xlsx from https://nces.ed.gov/ipeds/cipcode/resources.aspx?y=56,
+ * save its "CIP-SOC" sheet as CSV, then run:
+ *
+ *   node build-crosswalk.mjs CIP2020_SOC2018_Crosswalk.csv [--out data/cip_soc_crosswalk.json]
+ *
+ * SOC codes not present in data/soc_codes.json are dropped and reported.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import { parseCrosswalkCsv } from './lib/crosswalk.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const args = process.argv.slice(2)
+const input = args.find(a => !a.startsWith('--'))
+const outIdx = args.indexOf('--out')
+const outFile = outIdx !== -1 ? args[outIdx + 1] : join(__dirname, 'data', 'cip_soc_crosswalk.json')
+
+if (!input || !existsSync(input)) {
+  console.error('Usage: node build-crosswalk.mjs <CIP2020_SOC2018_Crosswalk.csv> [--out <file>]')
+  process.exit(1)
+}
+
+const socCodes = JSON.parse(readFileSync(join(__dirname, 'data', 'soc_codes.json'), 'utf-8'))
+const knownSocCodes = new Set(socCodes.map(s => s.code))
+
+const { cipToSoc, cipTitles, rejected } = parseCrosswalkCsv(readFileSync(input, 'utf-8'), { knownSocCodes })
+
+const sorted = Object.fromEntries(Object.keys(cipToSoc).sort().map(cip => [cip, cipToSoc[cip].sort()]))
+writeFileSync(outFile, JSON.stringify({
+  source: `NCES CIP 2020 to SOC 2018 crosswalk (${basename(input)})`,
+  generatedAt: new Date().toISOString(),
+  cipTitles,
+  cipToSoc: sorted,
+}, null, 2) + '\n')
+
+const pairs = Object.values(sorted).reduce((s, list) => s + list.length, 0)
+const noMatch = Object.values(sorted).filter(list => !list.length).length
+console.log(`✅ ${Object.keys(sorted).length} CIP codes, ${pairs} CIP→SOC pairs (${noMatch} CIPs with no SOC match)`)
+if (rejected.length) {
+  console.log(`⚠️  ${rejected.length} rows skipped:`)
+  for (const r of rejected.slice(0, 20)) console.log(`   line ${r.line}: ${r.reason}`)
+  if (rejected.length > 20) console.log(`   … and ${rejected.length - 20} more`)
+}
+console.log(`📄 Written to ${outFile}`)
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Build data/regional_price_parities.json from the BEA regional price parity tables.
+ *
+ * Download SARPP (states) and MARPP (metropolitan areas) from
+ * https://apps.bea.gov/regional/downloadzip.cfm, unzip the CSVs, then run:
+ *
+ *   node build-price-parities.mjs SARPP_STATE_2008_2022.csv MARPP_MSA_2008_2022.csv [--year 2022] [--out data/regional_price_parities.json]
+ *
+ * Only "RPPs: All items" is used; the latest year column unless --year is given.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import { parsePriceParitiesCsv } from './lib/cost-of-living.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const args = process.argv.slice(2)
+const optionValue = (name) => {
+  const idx = args.indexOf(name)
+  return idx !== -1 ? args[idx + 1] : undefined
+}
+const year = optionValue('--year')
+const outFile = optionValue('--out') || join(__dirname, 'data', 'regional_price_parities.json')
+const inputs = args.filter((a, i) => !a.startsWith('--') && !['--year', '--out'].includes(args[i - 1]))
+
+if (!inputs.length || inputs.some(f => !existsSync(f))) {
+  console.error('Usage: node build-price-parities.mjs <SARPP.csv> [<MARPP.csv> ...] [--year <yyyy>] [--out <file>]')
+  process.exit(1)
+}
+
+const parities = {}
+const years = new Set()
+for (const file of inputs) {
+  const parsed = parsePriceParitiesCsv(readFileSync(file, 'utf-8'), { year })
+  Object.assign(parities, parsed.parities)
+  years.add(parsed.year)
+  console.log(`📄 ${basename(file)}: ${Object.keys(parsed.parities).length} regions (${parsed.year})`)
+  if (parsed.rejected.length) {
+    console.log(`⚠️  ${parsed.rejected.length} rows skipped:`)
+    for (const r of parsed.rejected.slice(0, 20)) console.log(`   line ${r.line}: ${r.reason}`)
+    if (parsed.rejected.length > 20) console.log(`   … and ${parsed.rejected.length - 20} more`)
+  }
+}
+if (years.size > 1) console.log(`⚠️  Input files cover different years: ${[...years].join(', ')}`)
+
+const sorted = Object.fromEntries(Object.keys(parities).sort().map(key => [key, parities[key]]))
+writeFileSync(outFile, JSON.stringify({
+  source: `BEA Regional Price Parities, all items (${inputs.map(f => basename(f)).join(', ')})`,
+  year: Math.max(...years),
+  generatedAt: new Date().toISOString(),
+  parities: sorted,
+}, null, 2) + '\n')
+
+const count = (prefix) => Object.keys(sorted).filter(k => k.startsWith(prefix)).length
+console.log(`✅ ${count('state-')} states and ${count('msa-')} metro areas written to ${outFile}`)
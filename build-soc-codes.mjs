@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Build data/soc_codes.json (detailed occupations) and data/soc_structure.json
+ * (the full major → minor → broad → detailed hierarchy) from the BLS SOC 2018
+ * structure workbook.
+ *
+ * Download soc_structure_2018.xlsx from https://www.bls.gov/soc/2018/home.htm
+ * (a copy is kept in the repo root), then run:
+ *
+ *   node build-soc-codes.mjs [soc_structure_2018.xlsx] [--out-dir data]
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join, basename } from 'path'
+import { readXlsx } from './lib/xlsx.mjs'
+import { parseSocStructure, createSocHierarchy, SOC_LEVELS } from './lib/soc-hierarchy.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const args = process.argv.slice(2)
+const input = args.find((a, i) => !a.startsWith('--') && args[i - 1] !== '--out-dir') || join(__dirname, 'soc_structure_2018.xlsx')
+const outIdx = args.indexOf('--out-dir')
+const outDir = outIdx !== -1 ? args[outIdx + 1] : join(__dirname, 'data')
+
+if (!existsSync(input)) {
+  console.error('Usage: node build-soc-codes.mjs [soc_structure_2018.xlsx] [--out-dir <dir>]')
+  process.exit(1)
+}
+
+const [sheet] = readXlsx(readFileSync(input))
+if (!sheet) {
+  console.error(`❌ ${input} has no worksheets`)
+  process.exit(1)
+}
+
+let parsed
+try {
+  parsed = parseSocStructure(sheet.rows)
+} catch (err) {
+  console.error(`❌ ${err.message}`)
+  process.exit(1)
+}
+const { codes, rejected } = parsed
+const hierarchy = createSocHierarchy({ codes })
+
+const generatedAt = new Date().toISOString()
+const source = `BLS SOC 2018 (${basename(input)})`
+writeFileSync(join(outDir, 'soc_structure.json'), JSON.stringify({ source, generatedAt, codes }, null, 2) + '\n')
+
+// Flat list of detailed occupations, in the shape the server and crosswalk builder read
+const groupTitle = (ancestors, level) => ancestors.find(a => a.level === level)?.title || null
+const detailed = codes.filter(c => c.level === 'detailed').map(c => {
+  const { ancestors } = hierarchy.get(c.code)
+  return {
+    code: c.code,
+    title: c.title,
+    level: 'detailed',
+    majorGroup: groupTitle(ancestors, 'major'),
+    minorGroup: groupTitle(ancestors, 'minor'),
+    broadGroup: groupTitle(ancestors, 'broad'),
+  }
+})
+writeFileSync(join(outDir, 'soc_codes.json'), JSON.stringify(detailed, null, 2) + '\n')
+
+const count = (level) => codes.filter(c => c.level === level).length
+console.log(`✅ ${codes.length} SOC codes: ${SOC_LEVELS.map(level => `${count(level)} ${level}`).join(', ')}`)
+if (rejected.length) {
+  console.log(`⚠️  ${rejected.length} rows skipped:`)
+  for (const r of rejected.slice(0, 20)) console.log(`   row ${r.row}: ${r.reason}`)
+  if (rejected.length > 20) console.log(`   … and ${rejected.length - 20} more`)
+}
+console.log(`📄 Written to ${join(outDir, 'soc_structure.json')} and ${join(outDir, 'soc_codes.json')}`)
@@ -2,23 +2,25 @@
 /**
  * Dump programs from MongoDB into JSON files for each school.
  * This removes the MongoDB dependency for the deployed server.
- * 
- * Usage: node dump-programs.mjs
+ *
+ * Schools come from the registry (config/schools.json, or SCHOOLS_FILE);
+ * only those with a "mongodb" source are dumped.
+ *
+ * Usage: node dump-programs.mjs [schoolId ...]
  */
 
 import { MongoClient } from 'mongodb'
 import { writeFileSync, mkdirSync } from 'fs'
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
+import { loadSchoolConfig } from './lib/school-registry.mjs'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const MONGO_URI = process.env.DATABASE_URI || 'mongodb://localhost'
 
-const SCHOOLS = [
-  { id: 'stanford', db: 'stanford', label: 'Stanford University' },
-  { id: 'ufl', db: 'ufl_peoplesoft_direct', label: 'University of Florida' },
-  { id: 'arizona', db: 'arizona_peoplesoft', label: 'University of Arizona' },
-]
+const only = process.argv.slice(2)
+const SCHOOLS = loadSchoolConfig(process.env.SCHOOLS_FILE || join(__dirname, 'config', 'schools.json'))
+  .filter(s => s.source.type === 'mongodb' && (!only.length || only.includes(s.id)))
 
 async function main() {
   const client = new MongoClient(MONGO_URI)
@@ -29,8 +31,8 @@ async function main() {
   mkdirSync(dataDir, { recursive: true })
 
   for (const school of SCHOOLS) {
-    console.log(`\n📦 Dumping programs for ${school.label} (db: ${school.db})...`)
-    const db = client.db(school.db)
+    console.log(`\n📦 Dumping programs for ${school.label} (db: ${school.source.db})...`)
+    const db = client.db(school.source.db)
 
     const programs = await db.collection('programs').aggregate([
       { $match: { cipCode: { $exists: true, $ne: '' }, status: 'Active' } },
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of local SOC matching against a labeled gold set
+ * (format in lib/match-eval.mjs; default fixtures/soc-match-gold.json).
+ *
+ * Usage: node evaluate-matching.mjs [--gold file.json] [--k 5] [--top 10] [--school <id>]
+ *          [--weights "title=5,bigram=3"] [--compare "title=5"]
+ *          [--baseline run.json] [--save run.json] [--ai-run recorded.json]
+ *          [--verbose] [--json]
+ *        node evaluate-matching.mjs --record-ai recorded.json [--gold file.json] [--top 10]
+ *
+ * Reports precision@k, recall@k and MRR (over the top --top matches) per school.
+ *
+ * Diff mode compares two matcher configurations on the same gold set:
+ *   --compare <weights>   local matcher with --weights vs. with these weights
+ *   --baseline <run.json> a run saved earlier with --save (e.g. before a change
+ *                         to tokenize or STOP_WORDS) vs. this run
+ *   --ai-run <file>       a recorded AI run ({ rankings: { caseId: [codes] } }) vs. this run
+ *
+ * --record-ai asks the configured AI provider (AI_* / OPENAI_API_KEY environment
+ * variables, see lib/ai-matcher.mjs) for every gold case and saves the run for --ai-run.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { createSocMatcher, DEFAULT_MATCH_WEIGHTS } from './lib/soc-matcher.mjs'
+import { loadCrosswalk } from './lib/crosswalk.mjs'
+import { createSchoolRegistry } from './lib/school-registry.mjs'
+import { parseGoldSet, scoreRun, diffRuns } from './lib/match-eval.mjs'
+import { createAiMatcher, createOpenAiCompatibleProvider, aiOptionsFromEnv } from './lib/ai-matcher.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue
+    const key = argv[i].slice(2)
+    const next = argv[i + 1]
+    args[key] = next && !next.startsWith('--') ? argv[++i] : true
+  }
+  return args
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`)
+  process.exit(1)
+}
+
+function readJson(file, what) {
+  if (!existsSync(file)) fail(`${what} not found: ${file}`)
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'))
+  } catch (err) {
+    fail(`${what} ${file} is not valid JSON: ${err.message}`)
+  }
+}
+
+// "title=5,bigram=3" → { title: 5, bigram: 3 }
+function parseWeights(spec) {
+  const weights = {}
+  if (typeof spec !== 'string') return weights
+  for (const pair of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, value] = pair.split('=').map(s => s.trim())
+    if (!(key in DEFAULT_MATCH_WEIGHTS)) fail(`Unknown weight "${key}" (expected ${Object.keys(DEFAULT_MATCH_WEIGHTS).join(', ')})`)
+    const n = Number(value)
+    if (!Number.isFinite(n) || n < 0) fail(`Weight ${key} must be a non-negative number`)
+    weights[key] = n
+  }
+  return weights
+}
+
+const args = parseArgs(process.argv.slice(2))
+const k = Number(args.k || 5)
+const top = Number(args.top || 10)
+if (!Number.isInteger(k) || k < 1) fail('--k must be a positive integer')
+if (!Number.isInteger(top) || top < k) fail('--top must be an integer of at least --k')
+
+// ─── Gold set ─────────────────────────────────────────────
+const goldFile = typeof args.gold === 'string' ? args.gold : join(__dirname, 'fixtures', 'soc-match-gold.json')
+const { cases: allCases, errors } = parseGoldSet(readJson(goldFile, 'Gold set'))
+if (errors.length) fail(`Invalid gold set ${goldFile}:\n${errors.map(e => `   case ${e.index ?? '-'}: ${e.message}`).join('\n')}`)
+const cases = typeof args.school === 'string' ? allCases.filter(c => c.schoolId === args.school) : allCases
+if (!cases.length) fail(`No gold cases${typeof args.school === 'string' ? ` for school "${args.school}"` : ''}`)
+
+// Resolve catalog programs for cases that reference one
+const registry = createSchoolRegistry({
+  file: process.env.SCHOOLS_FILE || join(__dirname, 'config', 'schools.json'),
+  dataDir: join(__dirname, 'data'),
+  log: { log() {}, warn() {}, error: console.error },
+})
+const skipped = []
+const runnable = cases.filter(c => {
+  if (c.program) return true
+  c.program = registry.programs(c.schoolId).find(p => p.code === c.programCode) || null
+  if (!c.program) skipped.push(`${c.id} (program not found in data/${c.schoolId}.json)`)
+  return !!c.program
+})
+
+// ─── Runs ─────────────────────────────────────────────────
+const socCodes = JSON.parse(readFileSync(join(__dirname, 'data', 'soc_codes.json'), 'utf-8'))
+const matcher = createSocMatcher({ socCodes, crosswalk: loadCrosswalk(join(__dirname, 'data', 'cip_soc_crosswalk.json')) })
+
+function localRun(label, weights) {
+  const config = { weights: { ...DEFAULT_MATCH_WEIGHTS, ...weights }, top }
+  const rankings = Object.fromEntries(runnable.map(c => [c.id, matcher.match(c.program, { topN: top, weights }).map(m => m.code)]))
+  return { label, generatedAt: new Date().toISOString(), config, rankings }
+}
+
+// Ranked AI codes per case from the configured provider (responses are not cached)
+async function recordAiRun(file) {
+  const options = aiOptionsFromEnv(process.env)
+  if (!options.enabled) fail('AI matching is not configured – set OPENAI_API_KEY, AI_API_KEY or AI_BASE_URL')
+  const socByCode = new Map(socCodes.map(s => [s.code, s]))
+  const ai = createAiMatcher({ provider: createOpenAiCompatibleProvider(options.provider), socByCode, retries: options.retries, unknownCodes: 'flag', cacheTtlSeconds: 0 })
+  const rankings = {}
+  const failed = []
+  for (const c of runnable) {
+    try {
+      rankings[c.id] = (await ai.match(c.program, { topN: top })).matches.map(m => m.code)
+      console.log(`   ✅ ${c.id}: ${rankings[c.id].length} codes`)
+    } catch (err) {
+      failed.push(c.id)
+      console.log(`   ❌ ${c.id}: ${err.message}`)
+    }
+  }
+  const config = { model: ai.model, baseUrl: options.provider.baseUrl, top }
+  writeFileSync(file, JSON.stringify({ label: `ai (${ai.model})`, generatedAt: new Date().toISOString(), config, rankings }, null, 2) + '\n')
+  console.log(`\n📄 Recorded ${Object.keys(rankings).length} AI rankings to ${file}${failed.length ? ` (${failed.length} failed)` : ''}`)
+}
+
+if (typeof args['record-ai'] === 'string') {
+  await recordAiRun(args['record-ai'])
+  process.exit(0)
+}
+
+function loadRun(file, what) {
+  const run = readJson(file, what)
+  if (!run.rankings || typeof run.rankings !== 'object') fail(`${what} ${file} has no "rankings" object`)
+  return { label: run.label || file, ...run }
+}
+
+const weights = parseWeights(args.weights)
+const current = localRun(args.weights ? `local (${args.weights})` : 'local', weights)
+
+let other = null // the run `current` is compared against
+if (typeof args.compare === 'string') other = localRun(`local (${args.compare})`, parseWeights(args.compare))
+else if (typeof args.baseline === 'string') other = loadRun(args.baseline, 'Baseline run')
+else if (typeof args['ai-run'] === 'string') other = loadRun(args['ai-run'], 'Recorded AI run')
+
+const scored = scoreRun(cases, current.rankings, { k })
+const scoredOther = other && scoreRun(cases, other.rankings, { k })
+// --compare puts the new weights second; a baseline or AI run is the reference
+const diff = other && (typeof args.compare === 'string' ? diffRuns(scored, scoredOther) : diffRuns(scoredOther, scored))
+
+if (typeof args.save === 'string') {
+  writeFileSync(args.save, JSON.stringify(current, null, 2) + '\n')
+}
+
+// ─── Report ───────────────────────────────────────────────
+if (args.json) {
+  console.log(JSON.stringify({ gold: goldFile, k, top, skipped, runs: [{ ...current, scores: scored }, ...(other ? [{ ...other, scores: scoredOther }] : [])], diff }, null, 2))
+  process.exit(0)
+}
+
+const pct = (v) => `${(v * 100).toFixed(1)}%`.padStart(7)
+const num = (v) => v.toFixed(3).padStart(7)
+const signed = (v, fmt) => (v > 0 ? '+' : v < 0 ? '−' : ' ') + fmt(Math.abs(v)).trim()
+
+function printScores(label, s) {
+  console.log(`\n📊 ${label}`)
+  console.log(`   ${'school'.padEnd(14)} ${'cases'.padStart(5)} ${`P@${k}`.padStart(7)} ${`R@${k}`.padStart(7)} ${'MRR'.padStart(7)}`)
+  for (const row of [...s.bySchool, { schoolId: 'all', ...s.overall }]) {
+    console.log(`   ${row.schoolId.padEnd(14)} ${String(row.cases).padStart(5)} ${pct(row.precision)} ${pct(row.recall)} ${num(row.mrr)}`)
+  }
+}
+
+function printCase(c) {
+  const mark = c.rr ? (c.firstHit === 1 ? '✅' : '🟡') : '❌'
+  console.log(`   ${mark} ${c.id.padEnd(20)} first hit ${c.firstHit ? `#${c.firstHit}` : '—'}  top ${k}: ${c.ranked.map(code => c.expected.includes(code) ? `[${code}]` : code).join(' ')}`)
+}
+
+console.log(`🧪 ${runnable.length} of ${cases.length} gold cases from ${goldFile} (k=${k}, ranked top ${top})`)
+for (const s of skipped) console.log(`   ⚠️  skipped ${s}`)
+
+if (!other) {
+  printScores(current.label, scored)
+  if (args.verbose) {
+    console.log('')
+    scored.cases.forEach(printCase)
+  }
+} else {
+  const [a, b] = typeof args.compare === 'string' ? [current, other] : [other, current]
+  printScores(`A: ${a.label}`, typeof args.compare === 'string' ? scored : scoredOther)
+  printScores(`B: ${b.label}`, typeof args.compare === 'string' ? scoredOther : scored)
+
+  console.log('\n🔀 B vs A')
+  for (const row of [...diff.bySchool, { schoolId: 'all', ...diff.overall }]) {
+    console.log(`   ${row.schoolId.padEnd(14)} P@${k} ${signed(row.precision.delta, pct).padStart(7)}  R@${k} ${signed(row.recall.delta, pct).padStart(7)}  MRR ${signed(row.mrr.delta, num).padStart(7)}`)
+  }
+  const show = (title, list) => {
+    if (!list.length) return
+    console.log(`\n${title} (${list.length})`)
+    for (const c of list) {
+      console.log(`   ${c.id.padEnd(20)} RR ${c.before.rr.toFixed(3)} → ${c.after.rr.toFixed(3)}  recall ${pct(c.before.recall).trim()} → ${pct(c.after.recall).trim()}`)
+      if (args.verbose) console.log(`      A: ${c.before.ranked.join(' ')}\n      B: ${c.after.ranked.join(' ')}`)
+    }
+  }
+  show('📈 Improved', diff.improved)
+  show('📉 Regressed', diff.regressed)
+  if (!diff.improved.length && !diff.regressed.length) console.log('\n   No case changed')
+  if (scoredOther.unranked.length && typeof args.compare !== 'string') {
+    console.log(`\n⚠️  ${scoredOther.unranked.length} gold cases missing from ${other.label} (scored as misses)`)
+  }
+}
+
+if (typeof args.save === 'string') console.log(`\n📄 Run saved to ${args.save} (use with --baseline)`)
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Import a program catalog from a CSV or JSON file into data/<school>.json
+ * (for institutions that cannot give us a Coursedog MongoDB; see dump-programs.mjs).
+ *
+ * Usage: node import-programs.mjs --school <id> --file programs.csv
+ *          [--format csv|json] [--map "code=Program ID,cipCode=CIP 2020"]
+ *          [--label "School Name"] [--dry-run] [--rejects rejected.csv]
+ *
+ * Columns are matched to program fields by header name (code, name, longName,
+ * cipCode, type, level, college, degreeDesignation, status, plus common
+ * aliases); --map overrides the matching. An unregistered school is added to
+ * the registry as a "file" source when --label is given.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { importCatalog, parseMappingSpec, detectFormat, IMPORT_FORMATS } from './lib/catalog-import.mjs'
+import { createSchoolRegistry, validateSchool } from './lib/school-registry.mjs'
+import { toCsv } from './lib/csv.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue
+    const key = argv[i].slice(2)
+    const next = argv[i + 1]
+    args[key] = next && !next.startsWith('--') ? argv[++i] : true
+  }
+  return args
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`)
+  process.exit(1)
+}
+
+const args = parseArgs(process.argv.slice(2))
+if (!args.school || typeof args.file !== 'string') {
+  fail('Usage: node import-programs.mjs --school <id> --file <programs.csv|json> [--format csv|json] [--map field=Column,...] [--label <name>] [--dry-run] [--rejects <file>]')
+}
+if (!existsSync(args.file)) fail(`File not found: ${args.file}`)
+
+const format = typeof args.format === 'string' ? args.format : detectFormat(args.file)
+if (!IMPORT_FORMATS.includes(format)) fail(`Cannot tell the format of ${args.file} – pass --format csv or --format json`)
+
+const registry = createSchoolRegistry({
+  file: process.env.SCHOOLS_FILE || join(__dirname, 'config', 'schools.json'),
+  dataDir: join(__dirname, 'data'),
+  log: { log() {}, warn() {}, error: console.error },
+})
+
+let school = registry.get(args.school)
+if (!school) {
+  if (typeof args.label !== 'string' && !args['dry-run']) {
+    fail(`Unknown school "${args.school}" (registered: ${registry.list().map(s => s.id).join(', ')}) – pass --label to register it`)
+  }
+  const { value, errors } = validateSchool({ id: args.school, label: typeof args.label === 'string' ? args.label : args.school })
+  if (errors) fail(`${errors[0].field} ${errors[0].message}`)
+  school = value
+}
+
+let result
+try {
+  result = importCatalog(readFileSync(args.file, 'utf-8'), {
+    format,
+    mapping: parseMappingSpec(typeof args.map === 'string' ? args.map : ''),
+    school: school.label,
+  })
+} catch (err) {
+  fail(err.message)
+}
+
+const { data, columns, unmapped, rejected, stats } = result
+console.log(`📚 ${school.label}: ${stats.rows} rows from ${args.file}`)
+console.log(`🧭 Columns: ${Object.entries(columns).map(([field, header]) => `${field}←"${header}"`).join(', ')}`)
+if (unmapped.length) console.log(`   (ignored: ${unmapped.join(', ')})`)
+console.log(`  ✅ ${stats.imported} programs`)
+if (stats.duplicates) console.log(`  🔁 ${stats.duplicates} duplicate codes (last row kept)`)
+if (stats.inactive) console.log(`  💤 ${stats.inactive} inactive rows skipped`)
+if (stats.rejected) {
+  console.log(`  ⚠️  ${stats.rejected} rows rejected:`)
+  for (const r of rejected.filter(r => !r.reason.startsWith('Duplicate')).slice(0, 20)) {
+    console.log(`     row ${r.row}${r.code ? ` (${r.code})` : ''}: ${r.reason}`)
+  }
+  if (stats.rejected > 20) console.log(`     … and ${stats.rejected - 20} more`)
+}
+if (typeof args.rejects === 'string') {
+  writeFileSync(args.rejects, toCsv([['Row', 'Code', 'Reason'], ...rejected.map(r => [r.row, r.code, r.reason])]))
+  console.log(`  📄 Rejected rows written to ${args.rejects}`)
+}
+
+if (args['dry-run']) {
+  console.log('\n🧪 Dry run – nothing written')
+} else if (!data.count) {
+  fail('No programs to import – data file left unchanged')
+} else {
+  if (!registry.has(school.id)) {
+    registry.create(school)
+    console.log(`\n🏫 Registered "${school.id}" in ${registry.file}`)
+  }
+  registry.saveData(school.id, data)
+  console.log(`\n📄 ${data.count} programs → data/${school.id}.json`)
+}
@@ -0,0 +1,367 @@
+/**
+ * AI-assisted SOC matching through a pluggable chat-completions provider.
+ *
+ * The provider speaks the OpenAI chat-completions protocol, so the same code
+ * talks to OpenAI or to a local model server exposing an OpenAI-compatible
+ * endpoint (Ollama, llama.cpp server, vLLM, LM Studio) via AI_BASE_URL.
+ *
+ *   - The model is asked for { matches: [{ code, title, reason }] }, described
+ *     by MATCH_SCHEMA; the reply is parsed as JSON and checked against the
+ *     same schema (no extracting arrays out of free text)
+ *   - Codes that are not detailed SOC 2018 occupations we know are dropped,
+ *     or kept with verified: false when unknownCodes is "flag"
+ *   - 429/5xx responses, network errors and invalid replies are retried with
+ *     exponential backoff (async-utils withRetry)
+ *   - Results are cached per provider, model, prompt version and program, in
+ *     memory and optionally on disk, so re-running a match does not re-bill
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs'
+import { join } from 'path'
+import { withRetry } from './async-utils.mjs'
+import { stableStringify } from './lmi-client.mjs'
+import { ApiError } from './validation.mjs'
+
+export const DEFAULT_AI_BASE_URL = 'https://api.openai.com/v1'
+export const DEFAULT_AI_MODEL = 'gpt-4o-mini'
+export const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none']
+export const UNKNOWN_CODE_POLICIES = ['drop', 'flag']
+
+// Bump when the prompt or schema changes so cached answers are not reused
+const PROMPT_VERSION = 2
+
+export const MATCH_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['matches'],
+  properties: {
+    matches: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['code', 'title', 'reason'],
+        properties: {
+          code: { type: 'string', pattern: '^\\d{2}-\\d{4}$' },
+          title: { type: 'string' },
+          reason: { type: 'string' },
+        },
+      },
+    },
+  },
+}
+
+/**
+ * Checks a value against the subset of JSON Schema MATCH_SCHEMA uses (type,
+ * required, properties, additionalProperties, items, maxItems, pattern).
+ * Returns a list of "path: problem" strings, empty when valid.
+ */
+export function validateSchema(schema, value, path = '$') {
+  const errors = []
+  const typeOf = (v) => Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v
+  if (typeOf(value) !== schema.type) return [`${path}: expected ${schema.type}, got ${typeOf(value)}`]
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`)
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties?.[key]) errors.push(...validateSchema(schema.properties[key], v, `${path}.${key}`))
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: is not allowed`)
+    }
+  }
+  if (schema.type === 'array') {
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: has more than ${schema.maxItems} items`)
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)))
+  }
+  if (schema.type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: "${value}" does not match ${schema.pattern}`)
+  }
+  return errors
+}
+
+/**
+ * Parses a model reply: the whole content must be one JSON document (a
+ * surrounding Markdown code fence, which local models like to add, is allowed).
+ * Throws when it is not JSON or does not fit MATCH_SCHEMA.
+ */
+export function parseMatchReply(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/, '$1').trim()
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch {
+    throw new Error(`reply is not JSON: ${text.slice(0, 120)}`)
+  }
+  const errors = validateSchema(MATCH_SCHEMA, value)
+  if (errors.length) throw new Error(`reply does not match the schema: ${errors.slice(0, 5).join('; ')}`)
+  return value.matches
+}
+
+function buildPrompt(program, topN) {
+  return `You are an expert in occupational classification. Given the following academic program, identify the ${topN} most relevant SOC (Standard Occupational Classification) codes from the 2018 SOC system that graduates of this program would most likely pursue.
+
+Program Information:
+- Name: ${program.longName || program.name}
+- Code: ${program.code || 'N/A'}
+- CIP Code: ${program.cipCode || 'N/A'}
+- Degree: ${program.degreeDesignation || 'N/A'}
+- Type: ${program.type || 'N/A'}
+- College: ${program.college || 'N/A'}
+- Level: ${program.level || 'N/A'}
+
+Respond with a JSON object of this exact shape, most relevant first:
+{"matches": [{"code": "XX-XXXX", "title": "Occupation Title", "reason": "Brief explanation of relevance"}]}
+
+Only use valid 2018 SOC detailed occupation codes (format: XX-XXXX). No other text.`
+}
+
+// ─── Providers ────────────────────────────────────────────
+/**
+ * OpenAI chat-completions provider; works with any OpenAI-compatible server.
+ * `complete(messages)` resolves to { status, headers, content }.
+ */
+export function createOpenAiCompatibleProvider({
+  baseUrl = DEFAULT_AI_BASE_URL,
+  apiKey = '',
+  model = DEFAULT_AI_MODEL,
+  responseFormat = 'json_schema',
+  timeoutMs = 30000,
+} = {}) {
+  const format = {
+    json_schema: { type: 'json_schema', json_schema: { name: 'soc_matches', strict: true, schema: MATCH_SCHEMA } },
+    json_object: { type: 'json_object' },
+    none: undefined,
+  }[responseFormat]
+
+  return {
+    name: baseUrl === DEFAULT_AI_BASE_URL ? 'openai' : 'openai-compatible',
+    baseUrl,
+    model,
+    async complete(messages) {
+      const headers = { 'Content-Type': 'application/json' }
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+      const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, messages, temperature: 0.3, max_tokens: 1500, response_format: format }),
+        signal: AbortSignal.timeout(timeoutMs),
+      })
+      const text = await response.text()
+      let data = null
+      try {
+        data = text ? JSON.parse(text) : null
+      } catch {}
+      return {
+        status: response.status,
+        headers: { 'retry-after': response.headers.get('retry-after') || undefined },
+        content: data?.choices?.[0]?.message?.content ?? null,
+        error: data?.error?.message || (response.ok ? null : text.slice(0, 300)),
+      }
+    },
+  }
+}
+
+/**
+ * Reads AI_* environment variables:
+ *   AI_BASE_URL        – OpenAI-compatible endpoint (default OpenAI; e.g. http://localhost:11434/v1)
+ *   AI_API_KEY         – API key (falls back to OPENAI_API_KEY; optional for local servers)
+ *   AI_MODEL           – model name (default gpt-4o-mini)
+ *   AI_RESPONSE_FORMAT – json_schema (default) | json_object | none, for servers without structured output
+ *   AI_TIMEOUT_MS      – per-attempt timeout (default 30000)
+ *   AI_RETRIES         – extra attempts on 429/5xx/invalid replies (default 2)
+ *   AI_UNKNOWN_CODES   – drop (default) | flag codes missing from our SOC list
+ *   AI_CACHE_DIR       – directory for the persistent response cache (memory only if unset)
+ *   AI_CACHE_TTL       – cache lifetime in seconds (default 604800 = 7 days; 0 disables)
+ *
+ * AI matching is enabled when an API key is set or AI_BASE_URL points at a
+ * non-OpenAI server.
+ */
+export function aiOptionsFromEnv(env) {
+  const baseUrl = env.AI_BASE_URL || DEFAULT_AI_BASE_URL
+  const apiKey = env.AI_API_KEY || env.OPENAI_API_KEY || ''
+  const responseFormat = (env.AI_RESPONSE_FORMAT || 'json_schema').toLowerCase()
+  if (!RESPONSE_FORMATS.includes(responseFormat)) {
+    throw new Error(`Unknown AI_RESPONSE_FORMAT "${env.AI_RESPONSE_FORMAT}" (expected ${RESPONSE_FORMATS.join(', ')})`)
+  }
+  const unknownCodes = (env.AI_UNKNOWN_CODES || 'drop').toLowerCase()
+  if (!UNKNOWN_CODE_POLICIES.includes(unknownCodes)) {
+    throw new Error(`Unknown AI_UNKNOWN_CODES "${env.AI_UNKNOWN_CODES}" (expected ${UNKNOWN_CODE_POLICIES.join(', ')})`)
+  }
+  return {
+    enabled: !!apiKey || baseUrl !== DEFAULT_AI_BASE_URL,
+    provider: { baseUrl, apiKey, model: env.AI_MODEL || DEFAULT_AI_MODEL, responseFormat, timeoutMs: Number(env.AI_TIMEOUT_MS || 30000) },
+    retries: env.AI_RETRIES != null ? Number(env.AI_RETRIES) : 2,
+    unknownCodes,
+    cacheDir: env.AI_CACHE_DIR || null,
+    cacheTtlSeconds: env.AI_CACHE_TTL != null ? Number(env.AI_CACHE_TTL) : 7 * 24 * 60 * 60,
+  }
+}
+
+// ─── Matcher ──────────────────────────────────────────────
+/**
+ * `provider` is null when AI matching is disabled. `socByCode` (code → SOC
+ * entry) decides which codes are known.
+ *
+ * match(program, { topN, cacheControl }) resolves to
+ * { matches, dropped: [{ code, title }], cache: 'HIT' | 'MISS' | 'REFRESH' | 'BYPASS', model }
+ * or throws an ApiError (AI_UNAVAILABLE, AI_UPSTREAM_ERROR, AI_INVALID_RESPONSE).
+ */
+export function createAiMatcher({
+  provider = null,
+  socByCode,
+  retries = 2,
+  baseDelayMs = 500,
+  unknownCodes = 'drop',
+  cacheDir = null,
+  cacheTtlSeconds = 7 * 24 * 60 * 60,
+  maxEntries = 500,
+} = {}) {
+  const memory = new Map() // key → { storedAt, expiresAt, matches } (insertion order doubles as LRU order)
+  const inflight = new Map()
+  const counters = { hits: 0, misses: 0, refreshes: 0, bypasses: 0, errors: 0, retries: 0, invalidReplies: 0 }
+  if (cacheDir) mkdirSync(cacheDir, { recursive: true })
+
+  const diskFile = (key) => join(cacheDir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`)
+
+  function remember(key, entry) {
+    memory.delete(key)
+    memory.set(key, entry)
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value)
+  }
+
+  function lookup(key) {
+    let entry = memory.get(key)
+    if (!entry && cacheDir && existsSync(diskFile(key))) {
+      try {
+        entry = JSON.parse(readFileSync(diskFile(key), 'utf-8'))
+      } catch {}
+    }
+    if (!entry || Date.now() >= entry.expiresAt) return null
+    remember(key, entry)
+    return entry
+  }
+
+  function store(key, matches) {
+    if (!(cacheTtlSeconds > 0)) return
+    const now = Date.now()
+    const entry = { key, storedAt: now, expiresAt: now + cacheTtlSeconds * 1000, matches }
+    remember(key, entry)
+    if (cacheDir) {
+      try {
+        writeFileSync(diskFile(key), JSON.stringify(entry))
+      } catch (err) {
+        console.error('AI cache write error:', err.message)
+      }
+    }
+  }
+
+  // Raw model matches for a program, retrying rate limits, server errors and invalid replies
+  async function ask(program, topN) {
+    const messages = [{ role: 'user', content: buildPrompt(program, topN) }]
+    let invalid = null
+    const result = await withRetry(async () => {
+      const res = await provider.complete(messages)
+      if (res.status < 200 || res.status >= 300) return res
+      try {
+        return { ...res, matches: parseMatchReply(res.content) }
+      } catch (err) {
+        counters.invalidReplies++
+        invalid = err
+        throw err
+      }
+    }, { retries, baseDelayMs, onRetry: () => counters.retries++ }).catch(err => {
+      if (err === invalid) throw new ApiError(502, `AI provider returned an invalid reply: ${err.message}`, { code: 'AI_INVALID_RESPONSE' })
+      throw new ApiError(503, `AI provider unreachable: ${err.message}`, { code: 'AI_UNAVAILABLE' })
+    })
+    if (!result.matches) {
+      throw new ApiError(502, `AI provider returned HTTP ${result.status}${result.error ? `: ${result.error}` : ''}`, {
+        code: 'AI_UPSTREAM_ERROR',
+        details: { upstreamStatus: result.status },
+      })
+    }
+    return result.matches
+  }
+
+  // Known codes enriched with our SOC data; unknown ones dropped or flagged
+  function resolve(raw, topN) {
+    const matches = []
+    const dropped = []
+    const seen = new Set()
+    for (const m of raw) {
+      if (seen.has(m.code)) continue
+      seen.add(m.code)
+      const local = socByCode.get(m.code)
+      if (!local && unknownCodes === 'drop') {
+        dropped.push({ code: m.code, title: m.title })
+        continue
+      }
+      matches.push({
+        code: m.code,
+        title: local?.title || m.title,
+        majorGroup: local?.majorGroup || '',
+        minorGroup: local?.minorGroup || '',
+        broadGroup: local?.broadGroup || '',
+        reason: m.reason,
+        source: 'ai',
+        verified: !!local, // true if code exists in our SOC file
+      })
+    }
+    return { matches: matches.slice(0, topN), dropped }
+  }
+
+  async function match(program, { topN = 10, cacheControl } = {}) {
+    if (!provider) throw new ApiError(503, 'AI matching is not configured', { code: 'AI_UNAVAILABLE' })
+    const request = {
+      v: PROMPT_VERSION,
+      model: provider.model,
+      baseUrl: provider.baseUrl,
+      topN,
+      program: ['name', 'longName', 'code', 'cipCode', 'degreeDesignation', 'type', 'college', 'level'].map(f => program[f] || null),
+    }
+    const key = stableStringify(request)
+    const cc = String(cacheControl || '').toLowerCase()
+    const noStore = /\bno-store\b/.test(cc) || !(cacheTtlSeconds > 0)
+    const noCache = /\bno-cache\b/.test(cc) || /\bmax-age=0\b/.test(cc)
+
+    let cache
+    let raw
+    if (noStore) {
+      counters.bypasses++
+      cache = 'BYPASS'
+    } else if (!noCache && (raw = lookup(key)?.matches)) {
+      counters.hits++
+      cache = 'HIT'
+    } else {
+      counters[noCache ? 'refreshes' : 'misses']++
+      cache = noCache ? 'REFRESH' : 'MISS'
+    }
+
+    if (!raw) {
+      // Concurrent identical requests share one upstream call
+      if (!inflight.has(key)) {
+        inflight.set(key, ask(program, topN)
+          .then(matches => { if (!noStore) store(key, matches); return matches })
+          .catch(err => { counters.errors++; throw err })
+          .finally(() => inflight.delete(key)))
+      }
+      raw = await inflight.get(key)
+    }
+    return { ...resolve(raw, topN), cache, model: provider.model }
+  }
+
+  return {
+    available: !!provider,
+    provider: provider?.name || null,
+    model: provider?.model || null,
+    match,
+    stats: () => ({
+      ...counters,
+      memoryEntries: memory.size,
+      diskEntries: cacheDir ? readdirSync(cacheDir).filter(f => f.endsWith('.json')).length : null,
+      ttlSeconds: cacheTtlSeconds,
+      persistent: !!cacheDir,
+    }),
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Small async helpers shared by batch jobs and upstream callers.
+ */
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Calls `fn(attempt)` until it succeeds or `retries` extra attempts are used up.
+ *
+ * `fn` may throw (network errors) or resolve to an LMI-style `{ status, headers }`
+ * result; results with a 429 or 5xx status are retried too. Backoff is
+ * exponential from `baseDelayMs`, but an upstream Retry-After header wins.
+ * The last result (or error) is returned (or thrown) when retries run out.
+ */
+export async function withRetry(fn, { retries = 3, baseDelayMs = 500, maxDelayMs = 30000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let result, error
+    try {
+      result = await fn(attempt)
+    } catch (err) {
+      error = err
+    }
+
+    const retryable = error || result?.status === 429 || result?.status >= 500
+    if (!retryable || attempt >= retries) {
+      if (error) throw error
+      return result
+    }
+
+    const retryAfter = Number(result?.headers?.['retry-after'])
+    const delay = retryAfter > 0
+      ? Math.min(retryAfter * 1000, maxDelayMs)
+      : Math.min(baseDelayMs * 2 ** attempt, maxDelayMs)
+    onRetry?.({ attempt: attempt + 1, delay, status: result?.status, error })
+    await sleep(delay)
+  }
+}
+
+/**
+ * Maps `items` through async `fn(item, index)` with at most `limit` calls in
+ * flight. Results keep the order of `items`; the first rejection rejects the
+ * whole map (calls already started still run to completion).
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  async function worker() {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i], i)
+    }
+  }
+  const workers = Math.max(1, Math.min(limit || 1, items.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
@@ -0,0 +1,46 @@
+/**
+ * Append-only audit log of security events (logins, lockouts, account changes,
+ * rate limiting), one JSON object per line.
+ */
+
+import { appendFileSync, readFileSync, existsSync, mkdirSync } from 'fs'
+import { dirname } from 'path'
+
+export function createAuditLog({ file }) {
+  mkdirSync(dirname(file), { recursive: true })
+
+  return {
+    /** Records `event` for a request: { event, username, ip, userAgent, ...details }. */
+    record(event, req, details = {}) {
+      const entry = {
+        ts: new Date().toISOString(),
+        event,
+        username: details.username ?? req?.user?.username ?? null,
+        ip: req?.ip || null,
+        userAgent: req?.get?.('user-agent') || null,
+        ...details,
+      }
+      try {
+        appendFileSync(file, JSON.stringify(entry) + '\n')
+      } catch (err) {
+        console.error('Audit log write error:', err)
+      }
+      return entry
+    },
+
+    /** Most recent entries first, filtered by { event (prefix), username }. */
+    query({ event, username, limit = 100 } = {}) {
+      if (!existsSync(file)) return []
+      const lines = readFileSync(file, 'utf-8').split('\n').filter(Boolean)
+      const results = []
+      for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+        let entry
+        try { entry = JSON.parse(lines[i]) } catch { continue }
+        if (event && !entry.event.startsWith(event)) continue
+        if (username && entry.username !== username) continue
+        results.push(entry)
+      }
+      return results
+    },
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * User accounts, roles and persistent sessions.
+ *
+ * Passwords are hashed with scrypt and a per-user random salt, stored as
+ * "scrypt$N$r$p$salt$hash" so cost parameters can be raised later without
+ * invalidating existing hashes.
+ *
+ * Roles are ordered: viewer < analyst < admin. A user's `schools` list scopes
+ * which schools they can see; ['*'] means all schools.
+ *
+ * Users and sessions are JSON files; session tokens are stored as SHA-256
+ * digests so a leaked sessions file cannot be replayed.
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs'
+import { dirname } from 'path'
+
+export const ROLES = ['viewer', 'analyst', 'admin']
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 }
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,39}$/
+const MIN_PASSWORD_LENGTH = 8
+
+// ─── Passwords ────────────────────────────────────────────
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const hash = crypto.scryptSync(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p })
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$')
+}
+
+export function verifyPassword(password, stored) {
+  const [algo, N, r, p, salt, hash] = String(stored || '').split('$')
+  if (algo !== 'scrypt' || !hash) return false
+  const expected = Buffer.from(hash, 'base64')
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r),
+  })
+  return crypto.timingSafeEqual(actual, expected)
+}
+
+// ─── Roles & scoping ──────────────────────────────────────
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+
+export const canAccessSchool = (user, schoolId) =>
+  !!user && (user.schools.includes('*') || user.schools.includes(schoolId))
+
+// ─── JSON file helpers ────────────────────────────────────
+function readJson(file, fallback) {
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : fallback
+}
+
+function writeJson(file, data) {
+  mkdirSync(dirname(file), { recursive: true })
+  writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2))
+  renameSync(`${file}.tmp`, file)
+}
+
+// ─── Users ────────────────────────────────────────────────
+/** Strips the password hash for API responses. */
+export const publicUser = ({ passwordHash, ...user }) => user
+
+export function createUserStore({ file }) {
+  const users = readJson(file, { users: [] }).users
+  const save = () => writeJson(file, { users })
+  const find = (username) => users.find(u => u.username === String(username || '').toLowerCase())
+
+  function validate({ username, password, role, schools }, { partial = false } = {}) {
+    if (!partial || username !== undefined) {
+      if (!USERNAME_RE.test(String(username || '').toLowerCase())) {
+        return 'username must be 2-40 characters: letters, digits, ".", "_" or "-"'
+      }
+    }
+    if (!partial || password !== undefined) {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      }
+    }
+    if (role !== undefined && !ROLES.includes(role)) return `role must be one of: ${ROLES.join(', ')}`
+    if (schools !== undefined && (!Array.isArray(schools) || schools.some(s => typeof s !== 'string'))) {
+      return 'schools must be an array of school ids (or ["*"])'
+    }
+    return null
+  }
+
+  return {
+    get count() { return users.length },
+    list: () => users.map(publicUser),
+    get: (username) => find(username) || null,
+    validate,
+
+    create({ username, password, name, role = 'viewer', schools = ['*'] }) {
+      const user = {
+        username: username.toLowerCase(),
+        name: name || username,
+        role,
+        schools,
+        passwordHash: hashPassword(password),
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      }
+      users.push(user)
+      save()
+      return user
+    },
+
+    update(username, { password, name, role, schools, disabled }) {
+      const user = find(username)
+      if (!user) return null
+      if (password !== undefined) user.passwordHash = hashPassword(password)
+      if (name !== undefined) user.name = name
+      if (role !== undefined) user.role = role
+      if (schools !== undefined) user.schools = schools
+      if (disabled !== undefined) user.disabled = !!disabled
+      user.updatedAt = new Date().toISOString()
+      save()
+      return user
+    },
+
+    remove(username) {
+      const idx = users.findIndex(u => u.username === String(username).toLowerCase())
+      if (idx === -1) return false
+      users.splice(idx, 1)
+      save()
+      return true
+    },
+
+    /** The user for valid, enabled credentials, else null. */
+    authenticate(username, password) {
+      const user = find(username)
+      // Hash anyway for unknown users so response time does not reveal which usernames exist
+      if (!user) { verifyPassword(password, DUMMY_HASH); return null }
+      if (user.disabled || !verifyPassword(password, user.passwordHash)) return null
+      return user
+    },
+  }
+}
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'))
+
+// ─── Sessions ─────────────────────────────────────────────
+const digest = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+export function createSessionStore({ file, ttlMs = 24 * 60 * 60 * 1000 }) {
+  const sessions = new Map(Object.entries(readJson(file, { sessions: {} }).sessions))
+  const save = () => writeJson(file, { sessions: Object.fromEntries(sessions) })
+
+  function prune() {
+    const now = Date.now()
+    let removed = 0
+    for (const [key, s] of sessions) {
+      if (s.expiresAt <= now) { sessions.delete(key); removed++ }
+    }
+    return removed
+  }
+  if (prune()) save()
+
+  return {
+    ttlMs,
+
+    create(username) {
+      prune()
+      const token = crypto.randomBytes(32).toString('hex')
+      sessions.set(digest(token), { username, createdAt: Date.now(), expiresAt: Date.now() + ttlMs })
+      save()
+      return token
+    },
+
+    /** The live session for a token, or null. */
+    get(token) {
+      if (!token) return null
+      const session = sessions.get(digest(token))
+      if (!session) return null
+      if (Date.now() > session.expiresAt) {
+        sessions.delete(digest(token))
+        save()
+        return null
+      }
+      return session
+    },
+
+    destroy(token) {
+      if (token && sessions.delete(digest(token))) save()
+    },
+
+    destroyForUser(username) {
+      let removed = 0
+      for (const [key, s] of sessions) {
+        if (s.username === username) { sessions.delete(key); removed++ }
+      }
+      if (removed) save()
+      return removed
+    },
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Program catalog import from CSV or JSON program lists.
+ *
+ * Produces the same data/<id>.json shape dump-programs.mjs writes from a
+ * Coursedog MongoDB ({ school, programs, count }), so institutions without a
+ * database export can still be loaded. Columns are mapped onto the program
+ * fields by header name (with common aliases, or an explicit mapping), CIP
+ * codes (6-digit or 4-digit series) are validated, inactive rows are skipped,
+ * rows whose status is neither active nor inactive are rejected and programs
+ * are deduplicated by code the way the Mongo `$group` does: the latest record
+ * (here: the last row) wins.
+ */
+
+import { parseCsvObjects } from './csv.mjs'
+import { normalizeCip } from './crosswalk.mjs'
+import { PROGRAM_CIP_RE } from './validation.mjs'
+
+export const IMPORT_FORMATS = ['csv', 'json']
+
+// Program fields as stored in data/<id>.json (what matchSocCodes and the filters endpoint read),
+// in the dump's order
+export const PROGRAM_FIELDS = ['name', 'longName', 'code', 'cipCode', 'type', 'level', 'college', 'degreeDesignation', 'status']
+
+// Header aliases, compared lowercased with spaces, "_" and "-" removed
+const FIELD_ALIASES = {
+  code: ['code', 'programcode', 'programid', 'id', 'majorcode', 'plancode', 'academicplan'],
+  name: ['name', 'programname', 'shortname', 'title', 'program'],
+  longName: ['longname', 'fullname', 'programtitle', 'description', 'longtitle', 'transcripttitle'],
+  cipCode: ['cipcode', 'cip', 'cip2020', 'cipcode2020', 'cip2010'],
+  type: ['type', 'programtype', 'plantype', 'awardtype'],
+  level: ['level', 'career', 'academiclevel', 'academiccareer', 'programlevel'],
+  college: ['college', 'school', 'faculty', 'academicgroup', 'division'],
+  degreeDesignation: ['degreedesignation', 'degree', 'credential', 'award', 'degreetype'],
+  status: ['status', 'programstatus', 'active'],
+}
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[\s_-]+/g, '')
+
+/**
+ * Parses a "field=Column,field=Column" mapping spec (CLI --map, API ?map=)
+ * into { field: column }; throws on an unknown field.
+ */
+export function parseMappingSpec(spec) {
+  const mapping = {}
+  for (const pair of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const eq = pair.indexOf('=')
+    const field = eq === -1 ? '' : pair.slice(0, eq).trim()
+    if (!PROGRAM_FIELDS.includes(field)) {
+      throw new Error(`Invalid mapping "${pair}" – expected field=Column with field one of: ${PROGRAM_FIELDS.join(', ')}`)
+    }
+    mapping[field] = pair.slice(eq + 1).trim()
+  }
+  return mapping
+}
+
+/**
+ * Resolves which source column feeds each program field: explicit `mapping`
+ * entries first, then header aliases. Returns { columns: { field: header },
+ * unmapped: [headers not used] }.
+ */
+export function mapColumns(headers, mapping = {}) {
+  const columns = {}
+  const byKey = new Map(headers.map(h => [headerKey(h), h]))
+  for (const field of PROGRAM_FIELDS) {
+    if (mapping[field]) {
+      const header = headers.includes(mapping[field]) ? mapping[field] : byKey.get(headerKey(mapping[field]))
+      if (!header) throw new Error(`Mapped column "${mapping[field]}" for ${field} is not in the file`)
+      columns[field] = header
+      continue
+    }
+    const alias = FIELD_ALIASES[field].find(a => byKey.has(a))
+    if (alias) columns[field] = byKey.get(alias)
+  }
+  const used = new Set(Object.values(columns))
+  return { columns, unmapped: headers.filter(h => !used.has(h)) }
+}
+
+/** Source rows as objects: CSV with a header row, or a JSON array (or { programs: [...] }). */
+export function parseCatalog(text, format) {
+  if (format === 'csv') return parseCsvObjects(text)
+  const parsed = JSON.parse(text)
+  const rows = Array.isArray(parsed) ? parsed : parsed?.programs
+  if (!Array.isArray(rows)) throw new Error('JSON catalog must be an array of programs or { "programs": [...] }')
+  return rows
+}
+
+/** Guesses the format from a file name or content type; null if neither says. */
+export function detectFormat(name = '') {
+  if (/\.csv$|[/+]csv\b/i.test(name)) return 'csv'
+  if (/\.json$|[/+]json\b/i.test(name)) return 'json'
+  return null
+}
+
+const cell = (value) => value == null ? '' : String(value).trim()
+const ACTIVE_STATUS = /^(active|true|yes|y|1)$/i
+const INACTIVE_STATUS = /^(inactive|false|no|n|0)$/i
+
+/**
+ * Imports a catalog. Options: format ('csv' | 'json'), mapping ({ field:
+ * column }), school (label for the output).
+ *
+ * Returns { data: { school, programs, count }, columns, unmapped,
+ * rejected: [{ row, code, reason }], stats }. Row numbers are as a user sees
+ * them: the CSV line (header = 1) or the 1-based index in a JSON array.
+ */
+export function importCatalog(text, { format = 'csv', mapping = {}, school = '' } = {}) {
+  const rows = parseCatalog(text, format)
+  const headers = [...new Set(rows.flatMap(r => r && typeof r === 'object' ? Object.keys(r) : []))]
+  const { columns, unmapped } = mapColumns(headers, mapping)
+  if (!columns.code) throw new Error('No program code column found – map one with code=<column>')
+  if (!columns.cipCode) throw new Error('No CIP code column found – map one with cipCode=<column>')
+
+  const rejected = []
+  const byCode = new Map() // code → { row, program }
+  let inactive = 0, duplicates = 0
+
+  for (const [i, raw] of rows.entries()) {
+    const row = format === 'csv' ? i + 2 : i + 1
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      rejected.push({ row, code: '', reason: 'Not an object' })
+      continue
+    }
+    const program = Object.fromEntries(PROGRAM_FIELDS.map(f => [f, columns[f] ? cell(raw[columns[f]]) : '']))
+    const { code } = program
+    const reject = (reason) => rejected.push({ row, code, reason })
+
+    if (!code) { reject('Missing program code'); continue }
+    if (INACTIVE_STATUS.test(program.status)) { inactive++; continue }
+    if (program.status && !ACTIVE_STATUS.test(program.status)) { reject(`Unknown status "${program.status}" (expected Active or Inactive)`); continue }
+    if (!program.cipCode) { reject('Missing CIP code'); continue }
+    const cip = normalizeCip(program.cipCode)
+    if (!cip || !PROGRAM_CIP_RE.test(cip)) { reject(`Invalid CIP code "${program.cipCode}" (expected NN.NNNN or series NN.NN)`); continue }
+    if (!program.name && !program.longName) { reject('Missing program name'); continue }
+
+    const previous = byCode.get(code)
+    if (previous) {
+      duplicates++
+      rejected.push({ row: previous.row, code, reason: `Duplicate program code – superseded by row ${row}` })
+    }
+    byCode.set(code, {
+      row,
+      program: {
+        _id: code,
+        ...program,
+        name: program.name || program.longName,
+        longName: program.longName || program.name,
+        cipCode: cip,
+        status: 'Active',
+      },
+    })
+  }
+
+  // Same order as the Mongo dump ($sort: { name: 1 } compares code points)
+  const programs = [...byCode.values()].map(e => e.program)
+    .sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+
+  return {
+    data: { school, programs, count: programs.length },
+    columns,
+    unmapped,
+    rejected: rejected.sort((a, b) => a.row - b.row),
+    stats: {
+      rows: rows.length,
+      imported: programs.length,
+      rejected: rejected.length - duplicates,
+      duplicates,
+      inactive,
+    },
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * CIP 2020 taxonomy (NCES Classification of Instructional Programs).
+ *
+ * data/cip_codes.json is generated by build-cip-codes.mjs from the official
+ * NCES CIPCode2020.csv:
+ *
+ *   { source, partial?, generatedAt, codes: [{ code: "11.0701", title: "Computer Science", definition }] }
+ *
+ * `partial: true` marks a hand-made seed that lists only some codes, so an
+ * unknown code may still be a valid CIP 2020 code. The seed has no generatedAt
+ * (it was not built from CIPCode2020.csv).
+ *
+ * Codes form a three-level hierarchy: 2-digit family ("11"), 4-digit series
+ * ("11.07") and 6-digit program ("11.0701"). A series or program missing from
+ * the file (e.g. a school-local "xx.xx99" code) still resolves to its nearest
+ * known ancestor's title.
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { parseCsv } from './csv.mjs'
+import { normalizeCip } from './crosswalk.mjs'
+
+export const CIP_LEVELS = ['family', 'series', 'program']
+
+/** Normalizes a family ("1", "01"), series or program code; null if not a CIP code. */
+export function normalizeCipCode(value) {
+  const str = String(value ?? '').replace(/^="?|"$/g, '').trim()
+  if (/^\d{1,2}\.?$/.test(str)) return str.replace('.', '').padStart(2, '0')
+  return normalizeCip(str)
+}
+
+export const cipLevel = (code) => code.length === 2 ? 'family' : code.length === 5 ? 'series' : 'program'
+
+const parentOf = (code) => code.length === 7 ? code.slice(0, 5) : code.length === 5 ? code.slice(0, 2) : null
+
+export function createCipTaxonomy({ codes = [], source = '', partial = false, generatedAt = null } = {}) {
+  const byCode = new Map() // code → { code, title, definition, level }
+  const children = new Map() // code → [child codes]
+
+  for (const entry of codes) {
+    const code = normalizeCipCode(entry.code)
+    if (!code) continue
+    byCode.set(code, { code, title: entry.title, definition: entry.definition || null, level: cipLevel(code) })
+  }
+  for (const code of [...byCode.keys()].sort()) {
+    const parent = parentOf(code)
+    if (!parent) continue
+    if (!children.has(parent)) children.set(parent, [])
+    children.get(parent).push(code)
+  }
+
+  const ref = (code) => code && byCode.has(code) ? { code, title: byCode.get(code).title } : null
+  const ancestors = (code) => [code.slice(0, 2), code.length > 2 ? code.slice(0, 5) : null, code.length > 5 ? code : null]
+
+  return {
+    source,
+    partial,
+    generatedAt,
+    size: byCode.size,
+
+    /**
+     * A code with its place in the hierarchy: { code, title, level, definition,
+     * family, series, children: [{ code, title }] }, or null when unknown.
+     */
+    get(value) {
+      const code = normalizeCipCode(value)
+      const entry = code && byCode.get(code)
+      if (!entry) return null
+      const [family, series] = ancestors(code)
+      return {
+        ...entry,
+        family: code === family ? null : ref(family),
+        series: code.length === 7 ? ref(series) : null,
+        children: (children.get(code) || []).map(ref),
+      }
+    },
+
+    /**
+     * CIP context for a program record's cipCode: { cipTitle, cipFamily } with
+     * the title of the most specific known level. Empty when nothing is known.
+     */
+    describe(value) {
+      const code = normalizeCipCode(value)
+      if (!code) return {}
+      const known = ancestors(code).filter(Boolean).reverse().find(c => byCode.has(c))
+      if (!known) return {}
+      return { cipTitle: byCode.get(known).title, cipFamily: ref(code.slice(0, 2)) }
+    },
+
+    /** Title of exactly this code, or null. */
+    title: (value) => byCode.get(normalizeCipCode(value))?.title || null,
+
+    /**
+     * Codes whose code starts with `q` or whose title contains every word of
+     * `q`; code matches first, then title-prefix matches, then the rest.
+     * Options: level (one of CIP_LEVELS), limit.
+     */
+    search(q, { level, limit = 50 } = {}) {
+      const query = q.trim().toLowerCase()
+      const words = query.split(/\s+/).filter(Boolean)
+      const results = []
+      for (const entry of byCode.values()) {
+        if (level && entry.level !== level) continue
+        const title = entry.title.toLowerCase()
+        let rank
+        if (entry.code.startsWith(query)) rank = 0
+        else if (words.length && words.every(w => title.includes(w))) rank = title.startsWith(query) ? 1 : 2
+        else continue
+        results.push({ rank, entry })
+      }
+      results.sort((a, b) => a.rank - b.rank || a.entry.code.localeCompare(b.entry.code))
+      return {
+        total: results.length,
+        results: results.slice(0, limit).map(({ entry }) => ({ code: entry.code, title: entry.title, level: entry.level })),
+      }
+    },
+  }
+}
+
+/** Loads the taxonomy JSON file; an empty taxonomy if the file is missing. */
+export function loadCipTaxonomy(file) {
+  if (!existsSync(file)) return createCipTaxonomy()
+  return createCipTaxonomy(JSON.parse(readFileSync(file, 'utf-8')))
+}
+
+/**
+ * Parses NCES CIPCode2020.csv. Columns are found by header name (CIPCode,
+ * CIPTitle, CIPDefinition, Action); codes the 2020 edition deleted or moved
+ * away are skipped.
+ *
+ * Returns { codes: [{ code, title, definition }], rejected: [{ line, reason }] }.
+ */
+export function parseCipCsv(text) {
+  const [header = [], ...rows] = parseCsv(text)
+  const col = (re) => header.findIndex(h => re.test(h.replace(/\s+/g, '')))
+  const codeCol = col(/^CIPCode$/i)
+  const titleCol = col(/^CIPTitle$/i)
+  const definitionCol = col(/^CIPDefinition$/i)
+  const actionCol = col(/^Action$/i)
+  if (codeCol === -1 || titleCol === -1) {
+    throw new Error(`CIP CSV needs CIPCode and CIPTitle columns (found: ${header.join(', ')})`)
+  }
+
+  const codes = []
+  const rejected = []
+  rows.forEach((row, i) => {
+    const line = i + 2
+    const action = actionCol === -1 ? '' : String(row[actionCol] || '').trim()
+    if (/^(deleted|moved to)/i.test(action)) return
+    const code = normalizeCipCode(row[codeCol])
+    const title = String(row[titleCol] || '').trim().replace(/\.$/, '')
+    if (!code) return rejected.push({ line, reason: `Invalid CIP code "${row[codeCol]}"` })
+    if (!title) return rejected.push({ line, reason: `CIP ${code} has no title` })
+    const definition = definitionCol === -1 ? '' : String(row[definitionCol] || '').trim()
+    codes.push(definition ? { code, title, definition } : { code, title })
+  })
+
+  return { codes, rejected }
+}
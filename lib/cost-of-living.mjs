@@ -0,0 +1,131 @@
+/**
+ * Cost-of-living adjusted wages from BEA regional price parities (RPPs).
+ *
+ * An RPP is a region's price level as a percent of the U.S. average (= 100).
+ * A real wage is the nominal wage in national-average dollars,
+ * salary × 100 / RPP: $90k where prices are 18% above average is worth
+ * about $76k, and $90k where they are 5% below is worth about $95k.
+ *
+ * data/regional_price_parities.json is keyed like the /api/lmi/regions
+ * entries and can be rebuilt from the BEA downloads with build-price-parities.mjs:
+ *
+ *   { source, partial?, year, generatedAt?, parities: { "national-99": 100, "state-06": 112.6, "msa-41860": 118.2 } }
+ *
+ * `partial: true` marks a seed table with only some regions (the bundled one:
+ * states and the fixture metros, with no generatedAt as it was not built from
+ * the BEA downloads); responses pass it on as costOfLiving.partial. Either way
+ * a region the table lacks gets costOfLiving.covered: false and no real wages.
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { parseCsv } from './csv.mjs'
+
+const NATIONAL_KEY = 'national-99'
+
+/** Key of a region in the parity table: "state-06", "msa-41860", "national-99". */
+export const regionKey = (regionType, region) =>
+  !regionType || regionType === 'national' ? NATIONAL_KEY : `${regionType}-${region}`
+
+export function createPriceParities({ parities = {}, source = '', partial = false, year = null, generatedAt = null } = {}) {
+  return {
+    source,
+    partial,
+    year,
+    generatedAt,
+    size: Object.keys(parities).length,
+
+    /** The region's RPP, or null when the table does not cover it (the nation is always 100). */
+    parity(regionType, region) {
+      const key = regionKey(regionType, region)
+      return parities[key] ?? (key === NATIONAL_KEY ? 100 : null)
+    },
+  }
+}
+
+/** Loads the parity JSON file; an empty table (national only) if the file is missing. */
+export function loadPriceParities(file) {
+  if (!existsSync(file)) return createPriceParities()
+  return createPriceParities(JSON.parse(readFileSync(file, 'utf-8')))
+}
+
+/**
+ * Parses a BEA RPP table saved as CSV (SARPP for states, MARPP for metro
+ * areas). Columns are found by header name: GeoFIPS, LineCode and one column
+ * per year; only line 1 ("RPPs: All items") is read. `year` defaults to the
+ * latest year column.
+ *
+ * GeoFIPS 00000 is the nation, XX000 a state and a 5-digit CBSA code a metro;
+ * state metro/nonmetro portions and footnote rows are skipped.
+ *
+ * Returns { year, parities, rejected: [{ line, reason }] }.
+ */
+export function parsePriceParitiesCsv(text, { year } = {}) {
+  const [header = [], ...rows] = parseCsv(text)
+  const col = (name) => header.findIndex(h => h.trim().toLowerCase() === name.toLowerCase())
+  const fipsCol = col('GeoFIPS')
+  const lineCol = col('LineCode')
+  const years = header.map(h => h.trim()).filter(h => /^\d{4}$/.test(h))
+  const useYear = String(year || years.at(-1) || '')
+  const valueCol = col(useYear)
+  if (fipsCol === -1 || lineCol === -1 || valueCol === -1) {
+    throw new Error(`RPP CSV needs GeoFIPS, LineCode and ${useYear || 'year'} columns (found: ${header.join(', ')})`)
+  }
+
+  const parities = {}
+  const rejected = []
+  rows.forEach((row, i) => {
+    const fips = (row[fipsCol] || '').replace(/"/g, '').trim()
+    if (!/^\d{5}$/.test(fips) || (row[lineCol] || '').trim() !== '1') return
+    const key = fips === '00000' ? NATIONAL_KEY
+      : /^\d{2}000$/.test(fips) ? `state-${fips.slice(0, 2)}`
+        : /^[1-4]\d{4}$/.test(fips) ? `msa-${fips}`
+          : null
+    if (!key) return
+    const value = Number((row[valueCol] || '').trim())
+    if (!(value > 0)) {
+      rejected.push({ line: i + 2, reason: `no ${useYear} value for ${fips} (${row[valueCol] || 'empty'})` })
+      return
+    }
+    parities[key] = value
+  })
+  return { year: Number(useYear), parities, rejected }
+}
+
+const realWage = (salary, parity) => salary != null && parity ? Math.round(salary * 100 / parity) : null
+
+/**
+ * Copy of a by-cip / by-soc response with real-wage fields added: every
+ * occupation's laborMarketData gets realMedianAnnualSalary and
+ * regionalPriceParity next to medianAnnualSalary, and the response data gets
+ * costOfLiving: { regionType, region, covered, regionalPriceParity, year, source, partial }.
+ * When the table does not cover the region, covered is false and real wages are null.
+ */
+export function withRealWages(response, parities, { regionType, region } = {}) {
+  if (!response?.data) return response
+  const parity = parities.parity(regionType, region)
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      costOfLiving: {
+        regionType: regionType || 'national',
+        region: region || null,
+        covered: parity != null,
+        regionalPriceParity: parity,
+        year: parities.year,
+        source: parities.source,
+        partial: parities.partial,
+      },
+      matchedOccupations: (response.data.matchedOccupations || []).map(occ => occ.laborMarketData
+        ? {
+            ...occ,
+            laborMarketData: {
+              ...occ.laborMarketData,
+              realMedianAnnualSalary: realWage(occ.laborMarketData.medianAnnualSalary, parity),
+              regionalPriceParity: parity,
+            },
+          }
+        : occ),
+    },
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * CIP 2020 ↔ SOC 2018 crosswalk (NCES / BLS).
+ *
+ * data/cip_soc_crosswalk.json is generated by build-crosswalk.mjs from the
+ * official NCES crosswalk export:
+ *
+ *   { source, partial?, generatedAt, cipTitles: { "11.0701": "Computer Science" },
+ *     cipToSoc: { "11.0701": ["15-1221", "15-1252", ...] } }
+ *
+ * `partial: true` marks a hand-made seed that covers only some CIP codes; a
+ * CIP it lacks may still have occupations in the full NCES table. The seed has
+ * no generatedAt (it was not built from an NCES export).
+ *
+ * A CIP mapped to an empty list means the crosswalk explicitly has no SOC match
+ * for it (NCES "99-9999 NO MATCH"). Catalog CIPs that are only 4 digits
+ * (a CIP series such as "23.01") resolve to the union of their 6-digit codes.
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { parseCsv } from './csv.mjs'
+
+const CIP_RE = /^(\d{1,2})\.(\d{2})(\d{2})?$/
+const SOC_RE = /^\d{2}-\d{4}$/
+
+/** Normalizes "1.0101" / "01.0101" / '="01.0101"' to "01.0101"; null if not a CIP code. */
+export function normalizeCip(value) {
+  const str = String(value ?? '').replace(/^="?|"$/g, '').trim()
+  const m = str.match(CIP_RE)
+  if (!m) return null
+  return `${m[1].padStart(2, '0')}.${m[2]}${m[3] || ''}`
+}
+
+export function createCrosswalk({ cipToSoc = {}, cipTitles = {}, source = '', partial = false, generatedAt = null } = {}) {
+  const bySeries = new Map() // "11.07" → Set<soc>
+  const socToCip = new Map() // soc → Set<cip>
+
+  for (const [cip, socs] of Object.entries(cipToSoc)) {
+    const series = cip.slice(0, 5)
+    if (!bySeries.has(series)) bySeries.set(series, new Set())
+    for (const soc of socs) {
+      bySeries.get(series).add(soc)
+      if (!socToCip.has(soc)) socToCip.set(soc, new Set())
+      socToCip.get(soc).add(cip)
+    }
+  }
+
+  return {
+    source,
+    partial,
+    generatedAt,
+    size: Object.keys(cipToSoc).length,
+
+    /**
+     * SOC codes for a program CIP: `{ cipCode, level: 'program'|'series', socCodes }`,
+     * or null when the crosswalk does not cover the code.
+     */
+    lookup(cipCode) {
+      const cip = normalizeCip(cipCode)
+      if (!cip) return null
+      if (cip.length === 7 && cipToSoc[cip]) {
+        return { cipCode: cip, level: 'program', title: cipTitles[cip] || null, socCodes: cipToSoc[cip] }
+      }
+      // 4-digit series code, or a 6-digit code the crosswalk lacks (e.g. local "xx.xx99" codes)
+      const series = bySeries.get(cip.slice(0, 5))
+      if (!series) return null
+      return { cipCode: cip.slice(0, 5), level: 'series', title: null, socCodes: [...series] }
+    },
+
+    /** SOC codes the crosswalk lists for exactly this 6-digit CIP, or null (no series fallback). */
+    programSocCodes: (cipCode) => cipToSoc[normalizeCip(cipCode)] || null,
+
+    cipsForSoc: (socCode) => [...(socToCip.get(socCode) || [])],
+  }
+}
+
+/** Loads the crosswalk JSON file; an empty crosswalk if the file is missing. */
+export function loadCrosswalk(file) {
+  if (!existsSync(file)) return createCrosswalk()
+  return createCrosswalk(JSON.parse(readFileSync(file, 'utf-8')))
+}
+
+/**
+ * Parses the NCES crosswalk CSV (the CIP-SOC sheet of CIP2020_SOC2018_Crosswalk.xlsx
+ * saved as CSV). Columns are found by header name: CIP2020Code, CIP2020Title,
+ * SOC2018Code, SOC2018Title. Rows whose SOC is "99-9999" record an explicit no-match.
+ *
+ * Returns { cipToSoc, cipTitles, rejected: [{ line, reason }] }.
+ */
+export function parseCrosswalkCsv(text, { knownSocCodes } = {}) {
+  const [header = [], ...rows] = parseCsv(text)
+  const col = (re) => header.findIndex(h => re.test(h.replace(/\s+/g, '')))
+  const cipCol = col(/^CIP\d*Code$/i)
+  const cipTitleCol = col(/^CIP\d*Title$/i)
+  const socCol = col(/^SOC\d*Code$/i)
+  if (cipCol === -1 || socCol === -1) {
+    throw new Error(`Crosswalk CSV needs CIP and SOC code columns (found: ${header.join(', ')})`)
+  }
+
+  const cipToSoc = {}
+  const cipTitles = {}
+  const rejected = []
+
+  rows.forEach((row, i) => {
+    const line = i + 2
+    const cip = normalizeCip(row[cipCol])
+    const soc = String(row[socCol] ?? '').replace(/^="?|"$/g, '').trim()
+    if (!cip || cip.length !== 7) return rejected.push({ line, reason: `Invalid CIP code "${row[cipCol]}"` })
+
+    if (!cipToSoc[cip]) cipToSoc[cip] = []
+    if (cipTitleCol !== -1 && row[cipTitleCol]) cipTitles[cip] = row[cipTitleCol].trim().replace(/\.$/, '')
+
+    if (soc === '99-9999') return // NO MATCH: keep the CIP with an empty list
+    if (!SOC_RE.test(soc)) return rejected.push({ line, reason: `Invalid SOC code "${row[socCol]}"` })
+    if (knownSocCodes && !knownSocCodes.has(soc)) return rejected.push({ line, reason: `SOC ${soc} is not in soc_codes.json` })
+    if (!cipToSoc[cip].includes(soc)) cipToSoc[cip].push(soc)
+  })
+
+  return { cipToSoc, cipTitles, rejected }
+}
@@ -0,0 +1,53 @@
+/**
+ * CSV reading and writing (RFC 4180, no external dependency).
+ */
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes, CRLF/LF line endings and a UTF-8 BOM.
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = [], field = '', inQuotes = false
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++ }
+      else if (ch === '"') inQuotes = false
+      else field += ch
+    } else if (ch === '"') {
+      inQuotes = true
+    } else if (ch === ',') {
+      row.push(field); field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++
+      row.push(field); field = ''
+      rows.push(row); row = []
+    } else {
+      field += ch
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row) }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''))
+}
+
+/** Parses CSV with a header row into objects keyed by header name. */
+export function parseCsvObjects(text) {
+  const [header = [], ...rows] = parseCsv(text)
+  const keys = header.map(h => h.trim())
+  return rows.map(row => Object.fromEntries(keys.map((k, i) => [k, row[i] ?? ''])))
+}
+
+function csvCell(val) {
+  if (val == null) return ''
+  let str = String(val)
+  // Neutralize spreadsheet formula injection in text cells
+  if (typeof val === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
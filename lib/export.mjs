@@ -0,0 +1,127 @@
+/**
+ * Tabular exports (CSV / XLSX) of LMI results and SOC matches.
+ *
+ * The *Table() helpers flatten API payloads into `{ name, rows }` tables whose
+ * first row is the header; sendTables() serializes them in the requested format.
+ */
+
+import { writeXlsx } from './xlsx.mjs'
+import { toCsv } from './csv.mjs'
+
+export const EXPORT_FORMATS = ['csv', 'xlsx']
+
+const joinList = (list) => (list || []).filter(Boolean).join('; ')
+const skillNames = (skills) => joinList((skills || []).map(s => s.mslSkillName || s.name))
+
+/** One row per matched occupation: wages, employment, growth, demand and skills. */
+export function occupationsTable(lmiData, { name = 'Occupations' } = {}) {
+  const data = lmiData?.data || {}
+  const rows = [[
+    'SOC Code', 'Occupation', 'Region', 'Median Annual Salary', 'Total Employment',
+    'Forecasted Growth', 'Avg Annual Openings Rate', 'Typical Degree', 'Work Experience',
+    'Demand Score', 'Growth Percentile', 'Openings Percentile', 'Demand Factors',
+    'Core Skills', 'Relevant Skills', 'Transferable Skills', 'Alternative Titles',
+  ]]
+  for (const occ of data.matchedOccupations || []) {
+    const lmd = occ.laborMarketData || {}
+    const demand = lmd.demand || {}
+    const sr = occ.skillRequirements || {}
+    rows.push([
+      occ.socCode, occ.name, data.region || '', lmd.medianAnnualSalary, lmd.totalEmployment,
+      lmd.forecastedEmploymentGrowth, lmd.averageAnnualOpenings, lmd.typicalDegreeLevel, lmd.typicalWorkExperience,
+      demand.score, demand.growthPercentile, demand.openingsPercentile, joinList(demand.factors),
+      skillNames(sr.coreSkills), skillNames(sr.relevantSkills), skillNames(sr.transferableSkills),
+      joinList(occ.alternativeTitles),
+    ])
+  }
+  return { name, rows }
+}
+
+/** Long format: one row per (occupation, skill). */
+export function skillsTable(lmiData, { name = 'Skills' } = {}) {
+  const rows = [['SOC Code', 'Occupation', 'Skill Type', 'Skill ID', 'Skill', 'Description']]
+  const groups = [['coreSkills', 'Core'], ['relevantSkills', 'Relevant'], ['transferableSkills', 'Transferable']]
+  for (const occ of lmiData?.data?.matchedOccupations || []) {
+    for (const [field, label] of groups) {
+      for (const s of occ.skillRequirements?.[field] || []) {
+        rows.push([occ.socCode, occ.name, label, s.mslSkillId, s.mslSkillName, s.mslSkillDescription])
+      }
+    }
+  }
+  return { name, rows }
+}
+
+/**
+ * One row per (region, occupation) from a compare-regions / soc-regional-compare
+ * result list. `regions[i]` describes `results[i]` ({ regionType, region, label,
+ * error }); a region with an `error` message failed upstream. Status is 'ok',
+ * 'no-data' or 'error' (like the regional heatmap), so a failed region never
+ * reads as one without data.
+ */
+export function regionsTable(results, regions, { name = 'Regions' } = {}) {
+  const rows = [[
+    'Region', 'Region Type', 'Region Code', 'Status', 'Message', 'SOC Code', 'Occupation', 'Median Annual Salary',
+    'Total Employment', 'Forecasted Growth', 'Avg Annual Openings Rate', 'Demand Score',
+    'Growth Percentile', 'Openings Percentile',
+  ]]
+  results.forEach((result, i) => {
+    const info = regions[i] || {}
+    const label = info.label || result?.data?.region || ''
+    const region = [label, info.regionType || '', info.region || '']
+    if (info.error) {
+      rows.push([...region, 'error', info.error])
+      return
+    }
+    const occupations = result?.data?.matchedOccupations || []
+    if (!occupations.length) {
+      rows.push([...region, 'no-data', 'No data available'])
+      return
+    }
+    for (const occ of occupations) {
+      const lmd = occ.laborMarketData || {}
+      const demand = lmd.demand || {}
+      rows.push([
+        ...region, 'ok', '', occ.socCode, occ.name, lmd.medianAnnualSalary,
+        lmd.totalEmployment, lmd.forecastedEmploymentGrowth, lmd.averageAnnualOpenings, demand.score,
+        demand.growthPercentile, demand.openingsPercentile,
+      ])
+    }
+  })
+  return { name, rows }
+}
+
+/** SOC match list (local, AI or match-and-fetch enriched matches). */
+export function socMatchesTable(matches, { name = 'SOC Matches' } = {}) {
+  const rows = [[
+    'Rank', 'SOC Code', 'Title', 'Major Group', 'Minor Group', 'Broad Group', 'Source',
+    'Match Source', 'Relevance Score', 'Verified', 'Reason', 'Has LMI', 'Median Annual Salary', 'Total Employment',
+    'Forecasted Growth', 'Demand Score', 'Demand Factors', 'Typical Degree', 'Core Skills',
+  ]]
+  matches.forEach((m, i) => {
+    rows.push([
+      i + 1, m.code, m.title, m.majorGroup, m.minorGroup, m.broadGroup, m.source || 'local',
+      m.matchSource, m.relevanceScore, m.verified, m.reason, m.hasLMI, m.medianSalary, m.totalEmployment,
+      m.growthRate, m.demandScore, joinList(m.demandFactors), m.degreeLevel,
+      skillNames(m.lmiData?.skillRequirements?.coreSkills),
+    ])
+  })
+  return { name, rows }
+}
+
+// ─── Serializers ──────────────────────────────────────────
+/**
+ * Sends tables as a file download. CSV carries only the first table;
+ * XLSX gets one sheet per table.
+ */
+export function sendTables(res, { format, filename, tables }) {
+  const safeName = filename.replace(/[^a-zA-Z0-9._-]+/g, '-')
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.set('Content-Disposition', `attachment; filename="${safeName}.xlsx"`)
+    return res.send(writeXlsx(tables))
+  }
+  res.set('Content-Type', 'text/csv; charset=utf-8')
+  res.set('Content-Disposition', `attachment; filename="${safeName}.csv"`)
+  // BOM so Excel opens UTF-8 CSVs with the right encoding
+  res.send('\uFEFF' + toCsv(tables[0].rows))
+}
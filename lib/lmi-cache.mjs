@@ -0,0 +1,233 @@
+/**
+ * Response cache for the LMI client.
+ *
+ * Wraps a client from lmi-client.mjs with the same method names. Each call
+ * takes an optional `{ cacheControl }` (the incoming request's Cache-Control
+ * header) and resolves to the usual `{ status, headers, data }` plus
+ * `cache: 'HIT' | 'STALE' | 'MISS' | 'REFRESH' | 'BYPASS'`.
+ *
+ *   - Entries are keyed on endpoint + normalized request (sorted keys,
+ *     sorted/deduped code lists, defaults filled in)
+ *   - Each endpoint has its own TTL; after expiry an entry is still served
+ *     for `staleSeconds` while a background refresh runs
+ *   - `Cache-Control: no-cache` / `max-age=0` skips the read but stores the
+ *     fresh result; `no-store` skips the cache entirely
+ *   - Only 2xx responses are stored; concurrent identical misses share one
+ *     upstream call
+ *   - With `dir` set, entries are also written to disk and survive restarts
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs'
+import { join } from 'path'
+import { stableStringify } from './lmi-client.mjs'
+
+// Default TTLs in seconds
+export const DEFAULT_TTLS = {
+  'by-cip': 6 * 60 * 60,
+  'by-soc': 6 * 60 * 60,
+  'regions': 24 * 60 * 60,
+  'skills-tree': 24 * 60 * 60,
+  'skill': 24 * 60 * 60,
+}
+
+const uniqueSorted = (list) => Array.isArray(list)
+  ? [...new Set(list.map(c => String(c).trim()))].sort()
+  : list
+
+function normalizeLmiBody(body = {}, codeField) {
+  const regionType = body.regionType || 'national'
+  return {
+    [codeField]: uniqueSorted(body[codeField]),
+    regionType,
+    region: regionType === 'national' || body.region == null ? undefined : String(body.region),
+    includeSkills: body.includeSkills !== false,
+  }
+}
+
+function parseCacheControl(header) {
+  const value = String(header || '').toLowerCase()
+  return {
+    noStore: /\bno-store\b/.test(value),
+    noCache: /\bno-cache\b/.test(value) || /\bmax-age=0\b/.test(value),
+  }
+}
+
+/**
+ * Parses LMI_CACHE_* environment variables into cache options:
+ *   LMI_CACHE_DIR     – directory for the on-disk store (memory only if unset)
+ *   LMI_CACHE_TTLS    – per-endpoint TTL overrides, e.g. "by-cip=3600,regions=86400"
+ *   LMI_CACHE_STALE   – stale-while-revalidate window in seconds (default 3600)
+ *   LMI_CACHE_MAX     – max in-memory entries (default 500)
+ */
+export function cacheOptionsFromEnv(env) {
+  const ttls = { ...DEFAULT_TTLS }
+  for (const pair of (env.LMI_CACHE_TTLS || '').split(',')) {
+    const [name, seconds] = pair.split('=').map(s => s?.trim())
+    if (name in ttls && !Number.isNaN(Number(seconds))) ttls[name] = Number(seconds)
+  }
+  return {
+    dir: env.LMI_CACHE_DIR || null,
+    ttls,
+    staleSeconds: env.LMI_CACHE_STALE != null ? Number(env.LMI_CACHE_STALE) : 3600,
+    maxEntries: env.LMI_CACHE_MAX != null ? Number(env.LMI_CACHE_MAX) : 500,
+  }
+}
+
+export function createCachedLmiClient(client, { dir = null, ttls = DEFAULT_TTLS, staleSeconds = 3600, maxEntries = 500 } = {}) {
+  const memory = new Map()   // key → entry (insertion order doubles as LRU order)
+  const inflight = new Map() // key → Promise of a fresh result
+  const counters = {}        // endpoint → { hits, stale, misses, refreshes, bypasses, errors }
+
+  if (dir) mkdirSync(dir, { recursive: true })
+
+  const count = (endpoint, field) => {
+    counters[endpoint] ||= { hits: 0, stale: 0, misses: 0, refreshes: 0, bypasses: 0, errors: 0 }
+    counters[endpoint][field]++
+  }
+
+  const diskFile = (key) => join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`)
+
+  function remember(key, entry) {
+    memory.delete(key)
+    memory.set(key, entry)
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value)
+  }
+
+  function lookup(key) {
+    if (memory.has(key)) {
+      const entry = memory.get(key)
+      remember(key, entry)
+      return entry
+    }
+    if (!dir) return null
+    const file = diskFile(key)
+    if (!existsSync(file)) return null
+    try {
+      const entry = JSON.parse(readFileSync(file, 'utf-8'))
+      remember(key, entry)
+      return entry
+    } catch {
+      return null
+    }
+  }
+
+  function store(key, endpoint, result) {
+    const ttl = ttls[endpoint] ?? 0
+    if (ttl <= 0 || result.status < 200 || result.status >= 300) return
+    const now = Date.now()
+    const entry = {
+      key,
+      endpoint,
+      storedAt: now,
+      expiresAt: now + ttl * 1000,
+      staleUntil: now + (ttl + staleSeconds) * 1000,
+      value: { status: result.status, headers: result.headers, data: result.data },
+    }
+    remember(key, entry)
+    if (dir) {
+      try {
+        writeFileSync(diskFile(key), JSON.stringify(entry))
+      } catch (err) {
+        console.error('LMI cache write error:', err.message)
+      }
+    }
+  }
+
+  // One upstream call per key at a time; the result is stored on success
+  function fetchFresh(key, endpoint, loader) {
+    if (inflight.has(key)) return inflight.get(key)
+    const promise = loader()
+      .then(result => { store(key, endpoint, result); return result })
+      .catch(err => { count(endpoint, 'errors'); throw err })
+      .finally(() => inflight.delete(key))
+    inflight.set(key, promise)
+    return promise
+  }
+
+  async function cached(endpoint, request, loader, { cacheControl } = {}) {
+    const key = `${endpoint}:${stableStringify(request)}`
+    const cc = parseCacheControl(cacheControl)
+
+    if (cc.noStore || !(ttls[endpoint] > 0)) {
+      count(endpoint, 'bypasses')
+      return { ...(await loader()), cache: 'BYPASS' }
+    }
+
+    if (!cc.noCache) {
+      const entry = lookup(key)
+      const now = Date.now()
+      if (entry && now < entry.expiresAt) {
+        count(endpoint, 'hits')
+        return { ...entry.value, cache: 'HIT' }
+      }
+      if (entry && now < entry.staleUntil) {
+        count(endpoint, 'stale')
+        fetchFresh(key, endpoint, loader).catch(err => console.error(`LMI cache refresh error (${endpoint}):`, err.message))
+        return { ...entry.value, cache: 'STALE' }
+      }
+      count(endpoint, 'misses')
+      return { ...(await fetchFresh(key, endpoint, loader)), cache: 'MISS' }
+    }
+
+    count(endpoint, 'refreshes')
+    return { ...(await fetchFresh(key, endpoint, loader)), cache: 'REFRESH' }
+  }
+
+  function stats() {
+    const totals = { hits: 0, stale: 0, misses: 0, refreshes: 0, bypasses: 0, errors: 0 }
+    for (const c of Object.values(counters)) {
+      for (const field of Object.keys(totals)) totals[field] += c[field]
+    }
+    const lookups = totals.hits + totals.stale + totals.misses
+    const entriesByEndpoint = {}
+    for (const entry of memory.values()) {
+      entriesByEndpoint[entry.endpoint] = (entriesByEndpoint[entry.endpoint] || 0) + 1
+    }
+    return {
+      ...totals,
+      hitRate: lookups ? Math.round((totals.hits + totals.stale) / lookups * 1000) / 1000 : null,
+      memoryEntries: memory.size,
+      diskEntries: dir ? readdirSync(dir).filter(f => f.endsWith('.json')).length : null,
+      entriesByEndpoint,
+      byEndpoint: counters,
+      ttls,
+      staleSeconds,
+      maxEntries,
+      persistent: !!dir,
+    }
+  }
+
+  /** Removes all entries, or only those for one endpoint. Returns counts per store. */
+  function purge(endpoint) {
+    const removed = { memory: 0, disk: 0 }
+    for (const [key, entry] of memory) {
+      if (!endpoint || entry.endpoint === endpoint) { memory.delete(key); removed.memory++ }
+    }
+    if (dir) {
+      for (const file of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        const path = join(dir, file)
+        if (endpoint) {
+          try {
+            if (JSON.parse(readFileSync(path, 'utf-8')).endpoint !== endpoint) continue
+          } catch { /* unreadable entry – remove it */ }
+        }
+        unlinkSync(path)
+        removed.disk++
+      }
+    }
+    return removed
+  }
+
+  return {
+    provider: client.provider,
+    baseUrl: client.baseUrl,
+    byCip: (body, opts) => cached('by-cip', normalizeLmiBody(body, 'cipCodes'), () => client.byCip(body), opts),
+    bySoc: (body, opts) => cached('by-soc', normalizeLmiBody(body, 'socCodes'), () => client.bySoc(body), opts),
+    regions: (type, opts) => cached('regions', { type: type || undefined }, () => client.regions(type), opts),
+    skillsTree: (opts) => cached('skills-tree', {}, () => client.skillsTree(), opts),
+    skill: (skillId, opts) => cached('skill', { skillId }, () => client.skill(skillId), opts),
+    stats,
+    purge,
+  }
+}
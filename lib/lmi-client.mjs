@@ -0,0 +1,295 @@
+/**
+ * LMI client – the single place that talks to the Mapademics API.
+ *
+ * Routes call the client (byCip, bySoc, regions, skillsTree, skill); the client
+ * delegates to a provider that implements `request({ method, path, query, body })`
+ * and resolves to `{ status, headers, data }`:
+ *
+ *   mapademics – live HTTP calls to the embedded API (MAPADEMICS_BASE_URL)
+ *   fixtures   – offline responses served from fixtures/lmi (no sandbox needed)
+ *
+ * With LMI_RECORD=1 the live provider also writes every response into the
+ * fixtures directory, so a demo or test session can be replayed offline later.
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { join } from 'path'
+import { upstreamError, LIMITS } from './validation.mjs'
+
+export const DEFAULT_BASE_URL = 'https://embedded-api-sandbox.mapademics.com/v1'
+export const DEFAULT_API_KEY = 'pk_test_PtOajWu6grZat4xtjGgRTNqR'
+
+const LMI_PATH = '/labor-market-intelligence'
+
+// Upstream headers worth passing back to our own clients
+const FORWARDED_HEADERS = ['x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset', 'retry-after']
+
+/**
+ * JSON.stringify with sorted keys and undefined values dropped, so two
+ * equivalent requests always serialize to the same string.
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(v => stableStringify(v ?? null)).join(',')}]`
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/** File name (without extension) a request is recorded under. */
+function fixtureKey({ method = 'GET', path, query, body }) {
+  const slug = `${method}${path}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '')
+  const hash = crypto.createHash('sha1').update(stableStringify({ query, body })).digest('hex').slice(0, 12)
+  return `${slug}-${hash}`
+}
+
+// ─── Providers ────────────────────────────────────────────
+/**
+ * Live provider: forwards requests to the Mapademics embedded API.
+ */
+export function createMapademicsProvider({ baseUrl = DEFAULT_BASE_URL, apiKey = DEFAULT_API_KEY } = {}) {
+  return {
+    name: 'mapademics',
+    baseUrl,
+    async request({ method = 'GET', path, query, body }) {
+      const url = new URL(`${baseUrl}${path}`)
+      for (const [key, val] of Object.entries(query || {})) {
+        if (val != null && val !== '') url.searchParams.set(key, val)
+      }
+
+      const headers = { 'Authorization': `Bearer ${apiKey}` }
+      if (body) headers['Content-Type'] = 'application/json'
+
+      const response = await fetch(url.toString(), {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+      })
+
+      const text = await response.text()
+      let data
+      try {
+        data = text ? JSON.parse(text) : null
+      } catch {
+        data = { object: 'error', error: { message: text.slice(0, 500) } }
+      }
+
+      const forwarded = {}
+      for (const name of FORWARDED_HEADERS) {
+        const val = response.headers.get(name)
+        if (val != null) forwarded[name] = val
+      }
+      return { status: response.status, headers: forwarded, data }
+    },
+  }
+}
+
+/**
+ * Wraps another provider and saves each non-5xx response under
+ * `<dir>/recorded/`, where the fixture provider will find it.
+ */
+export function createRecordingProvider(inner, { dir }) {
+  const recordDir = join(dir, 'recorded')
+  return {
+    ...inner,
+    async request(req) {
+      const res = await inner.request(req)
+      if (res.status < 500) {
+        mkdirSync(recordDir, { recursive: true })
+        const file = join(recordDir, `${fixtureKey(req)}.json`)
+        writeFileSync(file, JSON.stringify({ request: req, ...res }, null, 2))
+      }
+      return res
+    },
+  }
+}
+
+/**
+ * Offline provider. Looks for an exact recorded response first
+ * (`<dir>/recorded/<key>.json`); otherwise builds one from the fixture
+ * dataset, mimicking the sandbox: occupations are served for the CIP/SOC
+ * codes in occupations.json and everything else comes back as a warning.
+ */
+export function createFixtureProvider({ dir }) {
+  let dataset = null
+
+  function loadDataset() {
+    if (dataset) return dataset
+    const read = (file) => JSON.parse(readFileSync(join(dir, file), 'utf-8'))
+    const { cipToSoc, occupations } = read('occupations.json')
+    dataset = {
+      cipToSoc,
+      occupations: new Map(occupations.map(o => [o.socCode, o])),
+      regions: read('regions.json').data,
+      factors: read('regional-factors.json'),
+      skillsTree: read('skills-library-tree.json').data,
+    }
+    return dataset
+  }
+
+  const ok = (data) => ({ status: 200, headers: {}, data })
+  const error = (status, code, message) => ({ status, headers: {}, data: { object: 'error', error: { code, message } } })
+  const meta = () => ({ requestId: `fixture_${crypto.randomBytes(6).toString('hex')}`, timestamp: new Date().toISOString(), source: 'fixtures' })
+
+  // Scale national figures to a region using its fixture factors
+  function regionalize(occ, regionKey) {
+    const { wageIndex = 1, employmentShare = 1 } = loadDataset().factors[regionKey] || {}
+    const lmd = occ.laborMarketData
+    return {
+      ...occ,
+      laborMarketData: {
+        ...lmd,
+        medianAnnualSalary: Math.round(lmd.medianAnnualSalary * wageIndex / 10) * 10,
+        totalEmployment: Math.round(lmd.totalEmployment * employmentShare),
+      },
+    }
+  }
+
+  function resolveRegion({ regionType = 'national', region }) {
+    const { regions } = loadDataset()
+    const code = regionType === 'national' ? '99' : String(region ?? '')
+    const match = regions.find(r => r.type === regionType && r.code === code)
+    return match ? { key: `${match.type}-${match.code}`, label: match.label } : null
+  }
+
+  function lmiResponse(kind, body) {
+    const ds = loadDataset()
+    const codes = (kind === 'cip' ? body?.cipCodes : body?.socCodes) || []
+    const region = resolveRegion(body || {})
+    if (!region) return error(400, 'INVALID_REGION', `Unknown region ${body?.regionType}/${body?.region}`)
+
+    const warnings = []
+    const socCodes = []
+    for (const code of codes) {
+      const mapped = kind === 'cip' ? ds.cipToSoc[code] : (ds.occupations.has(code) ? [code] : null)
+      if (!mapped) {
+        warnings.push(kind === 'cip'
+          ? { code: 'INVALID_CIP_CODE', message: `CIP code ${code} not found in dataset` }
+          : { code: 'INVALID_SOC_CODE', message: `SOC code ${code} not found in dataset` })
+        continue
+      }
+      for (const soc of mapped) if (!socCodes.includes(soc)) socCodes.push(soc)
+    }
+
+    const matchedOccupations = socCodes.map(soc => {
+      const occ = regionalize(ds.occupations.get(soc), region.key)
+      if (body?.includeSkills === false) delete occ.skillRequirements
+      return occ
+    })
+
+    return ok({
+      object: 'labor_market_intelligence',
+      data: {
+        [kind === 'cip' ? 'cipCodes' : 'socCodes']: codes,
+        regionType: body?.regionType || 'national',
+        region: region.label,
+        matchedOccupations,
+        warnings,
+      },
+      meta: meta(),
+    })
+  }
+
+  function synthesize({ method = 'GET', path, query, body }) {
+    const ds = loadDataset()
+    if (method === 'POST' && path === `${LMI_PATH}/by-cip`) return lmiResponse('cip', body)
+    if (method === 'POST' && path === `${LMI_PATH}/by-soc`) return lmiResponse('soc', body)
+    if (method === 'GET' && path === `${LMI_PATH}/regions`) {
+      const data = query?.type ? ds.regions.filter(r => r.type === query.type) : ds.regions
+      return ok({ object: 'list', data })
+    }
+    if (method === 'GET' && path === '/skills-library/tree') {
+      return ok({ object: 'skills_library_tree', data: ds.skillsTree, meta: meta() })
+    }
+    const skillMatch = method === 'GET' && path.match(/^\/skills-library\/([^/]+)$/)
+    if (skillMatch) {
+      const skillId = decodeURIComponent(skillMatch[1])
+      for (const domain of ds.skillsTree.domains) {
+        const skill = domain.skills.find(s => s.id === skillId)
+        if (skill) return ok({ object: 'skill', data: { ...skill, domainId: domain.id, domainName: domain.name }, meta: meta() })
+      }
+      return error(404, 'SKILL_NOT_FOUND', `Skill ${skillId} not found`)
+    }
+    return error(404, 'NOT_FOUND', `No fixture for ${method} ${path}`)
+  }
+
+  return {
+    name: 'fixtures',
+    baseUrl: `fixtures:${dir}`,
+    async request(req) {
+      const recorded = join(dir, 'recorded', `${fixtureKey(req)}.json`)
+      if (existsSync(recorded)) {
+        const { status, headers, data } = JSON.parse(readFileSync(recorded, 'utf-8'))
+        return { status, headers: headers || {}, data }
+      }
+      return synthesize(req)
+    },
+  }
+}
+
+// ─── Client ───────────────────────────────────────────────
+/**
+ * Typed wrapper over a provider. Every method resolves to `{ status, headers, data }`.
+ */
+export function createLmiClient(provider) {
+  const call = (method, path, { query, body } = {}) => provider.request({ method, path, query, body })
+  return {
+    provider: provider.name,
+    baseUrl: provider.baseUrl,
+    byCip: (body) => call('POST', `${LMI_PATH}/by-cip`, { body }),
+    bySoc: (body) => call('POST', `${LMI_PATH}/by-soc`, { body }),
+    regions: (type) => call('GET', `${LMI_PATH}/regions`, { query: { type } }),
+    skillsTree: () => call('GET', '/skills-library/tree'),
+    skill: (skillId) => call('GET', `/skills-library/${encodeURIComponent(skillId)}`),
+  }
+}
+
+/**
+ * A by-cip / by-soc call (`fetch`, e.g. client.bySoc) for more codes than the
+ * upstream takes at once: one call per LIMITS.codes of `body[key]`, in order,
+ * merged into a single response with every call's matchedOccupations and
+ * warnings. The first failed response is returned as is.
+ */
+export async function fetchInBatches(fetch, key, body, opts) {
+  const codes = body[key]
+  const occupations = [], warnings = []
+  let last = null
+  for (let i = 0; i < codes.length || !last; i += LIMITS.codes) {
+    last = await fetch({ ...body, [key]: codes.slice(i, i + LIMITS.codes) }, opts)
+    if (upstreamError(last)) return last
+    occupations.push(...(last.data?.data?.matchedOccupations || []))
+    warnings.push(...(last.data?.data?.warnings || []))
+  }
+  return { ...last, data: { ...last.data, data: { ...last.data?.data, matchedOccupations: occupations, warnings } } }
+}
+
+/**
+ * Builds the client described by the environment:
+ *   LMI_PROVIDER        – mapademics (default) | fixtures
+ *   MAPADEMICS_BASE_URL – API base URL (default: sandbox)
+ *   MAPADEMICS_API_KEY  – API key
+ *   LMI_FIXTURES_DIR    – fixture directory (default <rootDir>/fixtures/lmi)
+ *   LMI_RECORD          – "1" to record live responses into the fixture directory
+ */
+export function createLmiClientFromEnv(env, { rootDir }) {
+  const fixturesDir = env.LMI_FIXTURES_DIR || join(rootDir, 'fixtures', 'lmi')
+  const providerName = (env.LMI_PROVIDER || 'mapademics').toLowerCase()
+
+  let provider
+  if (providerName === 'fixtures') {
+    provider = createFixtureProvider({ dir: fixturesDir })
+  } else if (providerName === 'mapademics') {
+    provider = createMapademicsProvider({
+      baseUrl: env.MAPADEMICS_BASE_URL || DEFAULT_BASE_URL,
+      apiKey: env.MAPADEMICS_API_KEY || DEFAULT_API_KEY,
+    })
+    if (env.LMI_RECORD === '1') provider = createRecordingProvider(provider, { dir: fixturesDir })
+  } else {
+    throw new Error(`Unknown LMI_PROVIDER "${env.LMI_PROVIDER}" (expected "mapademics" or "fixtures")`)
+  }
+  return createLmiClient(provider)
+}
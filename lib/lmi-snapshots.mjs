@@ -0,0 +1,455 @@
+/**
+ * Historical LMI snapshots: the labor market figures of every program in a
+ * school's catalog for one region, taken on a schedule or on demand and kept
+ * so we can show how a program's occupations moved between terms.
+ *
+ * Programs with approved SOC mappings are read from by-soc for those codes,
+ * the rest from by-cip (batched and attributed like batch reports). One JSON
+ * file per snapshot (<dir>/<schoolId>/<id>.json):
+ *
+ *   { id, schoolId, school, regionType, region, trigger: 'schedule'|'manual'|'scorecard',
+ *     requestedBy, status: 'running'|'completed'|'failed', takenAt, finishedAt,
+ *     summary, programs: { "<code>": { name, cipCode, source: 'cip'|'approved',
+ *       socCodes, status, metrics, occupations: [{ socCode, name, ...figures }] } } }
+ *
+ * Program metrics are the employment-weighted summary used by program
+ * comparison, under the same names as the occupation figures. Occupations
+ * also keep their demand percentiles, so the portfolio scorecard can be
+ * scored from the latest snapshot (see snapshotResults).
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, renameSync, unlinkSync } from 'fs'
+import { join } from 'path'
+import { sleep, withRetry } from './async-utils.mjs'
+import { ApiError, LIMITS } from './validation.mjs'
+import { fetchOccupationsByCip } from './report-jobs.mjs'
+import { round, summarizeOccupations } from './lmi-stats.mjs'
+
+/** Figures tracked per program and occupation, in display order. */
+export const SNAPSHOT_METRICS = [
+  { key: 'medianAnnualSalary', label: 'Median Annual Salary', format: 'currency' },
+  { key: 'totalEmployment', label: 'Total Employment', format: 'number' },
+  { key: 'forecastedEmploymentGrowth', label: 'Forecasted Growth', format: 'percent' },
+  { key: 'demandScore', label: 'Demand Score', format: 'score' },
+]
+
+const occupationFigures = (occ) => {
+  const lmd = occ.laborMarketData || {}
+  return {
+    socCode: occ.socCode,
+    name: occ.name,
+    medianAnnualSalary: lmd.medianAnnualSalary ?? null,
+    totalEmployment: lmd.totalEmployment ?? null,
+    forecastedEmploymentGrowth: lmd.forecastedEmploymentGrowth ?? null,
+    demandScore: lmd.demand?.score ?? null,
+    growthPercentile: lmd.demand?.growthPercentile ?? null,
+    openingsPercentile: lmd.demand?.openingsPercentile ?? null,
+  }
+}
+
+function programMetrics(occupations) {
+  const s = summarizeOccupations(occupations)
+  return {
+    medianAnnualSalary: s.medianSalary,
+    totalEmployment: s.totalEmployment,
+    forecastedEmploymentGrowth: s.growthRate,
+    demandScore: s.demandScore,
+    occupationCount: s.occupationCount,
+  }
+}
+
+// by-soc for every approved code in batches of at most LIMITS.codes
+// (the upstream limit, however many codes the programs have between them);
+// a by-soc reply names each occupation, so no attribution pass is needed
+async function fetchOccupationsBySoc(lmi, socCodes, {
+  regionType = 'national',
+  region,
+  batchSize = LIMITS.codes,
+  delayMs = 250,
+  retries = 3,
+  cacheControl,
+  log = () => {},
+} = {}) {
+  const occupations = new Map() // socCode → occupation
+  const errors = new Map()      // socCode → message
+  batchSize = Math.min(batchSize, LIMITS.codes)
+  let calls = 0
+  for (let i = 0; i < socCodes.length; i += batchSize) {
+    const batch = socCodes.slice(i, i + batchSize)
+    if (calls++ > 0 && delayMs > 0) await sleep(delayMs)
+    try {
+      const body = { socCodes: batch, regionType, includeSkills: false }
+      if (region) body.region = region
+      const { status, data } = await withRetry(() => lmi.bySoc(body, { cacheControl }), {
+        retries,
+        onRetry: ({ attempt, delay, status, error }) =>
+          log(`Retry ${attempt} for ${batch.length} SOC code(s) in ${delay}ms (${status || error?.message})`),
+      })
+      if (status >= 400 || data?.object === 'error') throw new Error(data?.error?.message || `Upstream status ${status}`)
+      for (const occ of data?.data?.matchedOccupations || []) occupations.set(occ.socCode, occ)
+    } catch (err) {
+      for (const code of batch) errors.set(code, err.message)
+    }
+  }
+  return { occupations, errors, calls }
+}
+
+/**
+ * Fetches the occupations of every program: by-soc for the approved SOC codes
+ * `socCodesFor(program)` returns, by-cip for programs without any.
+ *
+ * A program whose lookup partly failed is marked 'error' rather than 'ok', so a
+ * missing occupation never passes for a smaller labor market.
+ *
+ * Options: socCodesFor, plus the options of fetchOccupationsByCip.
+ * Returns { programs: Map(code → { source: 'approved'|'cip', socCodes, status,
+ * message?, occupations }), approved (count), calls }.
+ */
+export async function fetchProgramOccupations(lmi, programs, { socCodesFor = () => [], ...options } = {}) {
+  const approved = new Map()
+  for (const p of programs) {
+    const codes = socCodesFor(p)
+    if (codes.length) approved.set(p.code, codes)
+  }
+  const cips = [...new Set(programs.filter(p => !approved.has(p.code) && p.cipCode).map(p => p.cipCode))]
+  const byCip = await fetchOccupationsByCip(lmi, cips, options)
+  const bySoc = await fetchOccupationsBySoc(lmi, [...new Set([...approved.values()].flat())], options)
+
+  const results = new Map()
+  for (const p of programs) {
+    if (approved.has(p.code)) {
+      const socCodes = approved.get(p.code)
+      const failed = socCodes.find(code => bySoc.errors.has(code))
+      const occupations = socCodes.map(code => bySoc.occupations.get(code)).filter(Boolean)
+      results.set(p.code, {
+        source: 'approved',
+        socCodes,
+        status: failed ? 'error' : occupations.length ? 'ok' : 'no-data',
+        ...(failed ? { message: bySoc.errors.get(failed) } : {}),
+        occupations,
+      })
+    } else {
+      const result = byCip.results.get(p.cipCode) || { status: p.cipCode ? 'error' : 'invalid-cip' }
+      results.set(p.code, {
+        source: 'cip',
+        socCodes: null,
+        status: result.status,
+        ...(result.message ? { message: result.message } : {}),
+        occupations: result.status === 'ok' ? result.occupations : [],
+      })
+    }
+  }
+  return { programs: results, approved: approved.size, calls: byCip.calls + bySoc.calls }
+}
+
+/**
+ * Fetches the current figures of every program (see fetchProgramOccupations).
+ * Returns { programs: { code → entry }, summary }.
+ */
+export async function snapshotPrograms(lmi, programs, options = {}) {
+  const fetched = await fetchProgramOccupations(lmi, programs, options)
+
+  const entries = {}
+  for (const p of programs) {
+    const entry = fetched.programs.get(p.code)
+    entries[p.code] = {
+      name: p.longName || p.name || p.code,
+      cipCode: p.cipCode || null,
+      ...entry,
+      metrics: entry.status === 'ok' ? programMetrics(entry.occupations) : null,
+      occupations: entry.occupations.map(occupationFigures),
+    }
+  }
+
+  const statuses = Object.values(entries).map(e => e.status)
+  return {
+    programs: entries,
+    summary: {
+      programs: programs.length,
+      programsWithData: statuses.filter(s => s === 'ok').length,
+      approvedPrograms: fetched.approved,
+      failedPrograms: statuses.filter(s => s === 'error').length,
+      upstreamCalls: fetched.calls,
+    },
+  }
+}
+
+/**
+ * A completed snapshot's programs in the shape fetchProgramOccupations returns
+ * (code → { source, socCodes, status, message?, occupations }), with each
+ * occupation's figures back under laborMarketData. Snapshots taken before
+ * percentiles were stored have null growth and openings percentiles.
+ */
+export function snapshotResults(snapshot) {
+  const results = new Map()
+  for (const [code, entry] of Object.entries(snapshot.programs || {})) {
+    results.set(code, {
+      source: entry.source,
+      socCodes: entry.socCodes,
+      status: entry.status,
+      ...(entry.message ? { message: entry.message } : {}),
+      occupations: entry.occupations.map(o => ({
+        socCode: o.socCode,
+        name: o.name,
+        laborMarketData: {
+          medianAnnualSalary: o.medianAnnualSalary,
+          totalEmployment: o.totalEmployment,
+          forecastedEmploymentGrowth: o.forecastedEmploymentGrowth,
+          demand: { score: o.demandScore, growthPercentile: o.growthPercentile ?? null, openingsPercentile: o.openingsPercentile ?? null },
+        },
+      })),
+    })
+  }
+  return results
+}
+
+// ─── Trends ───────────────────────────────────────────────
+// { metric → { from, to, delta, pct } } between two sets of figures
+function changes(before, after) {
+  return Object.fromEntries(SNAPSHOT_METRICS.map(({ key }) => {
+    const from = before?.[key] ?? null
+    const to = after?.[key] ?? null
+    const delta = from != null && to != null ? round(to - from, 4) : null
+    return [key, { from, to, delta, pct: delta != null && from ? round(delta / Math.abs(from), 4) : null }]
+  }))
+}
+
+/**
+ * A program's figures across completed snapshots, oldest first.
+ *
+ * Returns { points: [{ snapshotId, takenAt, trigger, status, source, metrics }],
+ * changes: { sinceFirst, sincePrevious }, occupations: [{ socCode, name, inLatest,
+ * values: [{ snapshotId, takenAt, ...figures }], change }] }. Changes only compare
+ * snapshots in which the program had data; they are null until there are two.
+ */
+export function programTrend(snapshots, programCode) {
+  const points = snapshots
+    .filter(s => s.status === 'completed' && s.programs?.[programCode])
+    .sort((a, b) => a.takenAt.localeCompare(b.takenAt))
+    .map(s => ({ snapshot: s, entry: s.programs[programCode] }))
+  const withData = points.filter(p => p.entry.status === 'ok')
+  const latest = withData.at(-1)
+
+  const occupations = new Map() // socCode → { socCode, name, values }
+  for (const { snapshot, entry } of withData) {
+    for (const { socCode, name, ...figures } of entry.occupations) {
+      if (!occupations.has(socCode)) occupations.set(socCode, { socCode, name, values: [] })
+      occupations.get(socCode).values.push({ snapshotId: snapshot.id, takenAt: snapshot.takenAt, ...figures })
+    }
+  }
+
+  return {
+    points: points.map(({ snapshot, entry }) => ({
+      snapshotId: snapshot.id,
+      takenAt: snapshot.takenAt,
+      trigger: snapshot.trigger,
+      status: entry.status,
+      source: entry.source,
+      metrics: entry.metrics,
+    })),
+    changes: {
+      sinceFirst: withData.length > 1 ? changes(withData[0].entry.metrics, latest.entry.metrics) : null,
+      sincePrevious: withData.length > 1 ? changes(withData.at(-2).entry.metrics, latest.entry.metrics) : null,
+    },
+    occupations: [...occupations.values()]
+      .map(o => ({
+        ...o,
+        inLatest: o.values.at(-1).snapshotId === latest.snapshot.id,
+        change: o.values.length > 1 ? changes(o.values[0], o.values.at(-1)) : null,
+      }))
+      .sort((a, b) => b.inLatest - a.inLatest || (b.values.at(-1).totalEmployment || 0) - (a.values.at(-1).totalEmployment || 0)),
+  }
+}
+
+// ─── Snapshot manager ─────────────────────────────────────
+/**
+ * Runs and stores snapshots. `loadSchool(schoolId)` must return `{ label, programs }`
+ * or null; `socCodesFor(schoolId, programCode)` returns a program's approved SOC codes.
+ */
+export function createSnapshotManager({ dir, lmi, loadSchool, socCodesFor = () => [], snapshotOptions = {} }) {
+  mkdirSync(dir, { recursive: true })
+  const index = new Map() // id → snapshot without its programs
+  const pending = new Map() // id → promise settling when a running snapshot finishes
+
+  const fileFor = ({ schoolId, id }) => join(dir, schoolId, `${id}.json`)
+  const summary = ({ programs, ...meta }) => meta
+  const sameTarget = (a, b) => a.schoolId === b.schoolId && a.regionType === b.regionType && (a.region || null) === (b.region || null)
+
+  // Write to a temp file first so a crash never leaves a half-written snapshot
+  function save(snapshot) {
+    mkdirSync(join(dir, snapshot.schoolId), { recursive: true })
+    const file = fileFor(snapshot)
+    writeFileSync(`${file}.tmp`, JSON.stringify(snapshot))
+    renameSync(`${file}.tmp`, file)
+    index.set(snapshot.id, summary(snapshot))
+  }
+
+  function read(id) {
+    const meta = index.get(id)
+    return meta ? JSON.parse(readFileSync(fileFor(meta), 'utf-8')) : null
+  }
+
+  // Reload previous snapshots; anything still running was cut off by a restart
+  for (const schoolDir of readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory())) {
+    for (const file of readdirSync(join(dir, schoolDir.name)).filter(f => f.endsWith('.json'))) {
+      try {
+        const snapshot = JSON.parse(readFileSync(join(dir, schoolDir.name, file), 'utf-8'))
+        if (snapshot.status === 'running') {
+          Object.assign(snapshot, { status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date().toISOString() })
+          save(snapshot)
+        }
+        index.set(snapshot.id, summary(snapshot))
+      } catch (err) {
+        console.error(`Skipping unreadable LMI snapshot ${schoolDir.name}/${file}:`, err.message)
+      }
+    }
+  }
+
+  function list({ schoolId, regionType, region } = {}) {
+    return [...index.values()]
+      .filter(s => (!schoolId || s.schoolId === schoolId) && (!regionType || (s.regionType === regionType && (s.region || null) === (region || null))))
+      .sort((a, b) => b.takenAt.localeCompare(a.takenAt))
+  }
+
+  async function run(snapshot, programs) {
+    try {
+      const result = await snapshotPrograms(lmi, programs, {
+        ...snapshotOptions,
+        regionType: snapshot.regionType,
+        region: snapshot.region || undefined,
+        socCodesFor: (p) => socCodesFor(snapshot.schoolId, p.code),
+        log: (msg) => console.log(`   [snapshot ${snapshot.id}] ${msg}`),
+      })
+      Object.assign(snapshot, { status: 'completed', summary: result.summary, programs: result.programs, finishedAt: new Date().toISOString() })
+    } catch (err) {
+      console.error(`LMI snapshot ${snapshot.id} failed:`, err)
+      Object.assign(snapshot, { status: 'failed', error: err.message, finishedAt: new Date().toISOString() })
+    }
+    save(snapshot)
+  }
+
+  // Starts a snapshot in the background; returns { snapshot, done } or null for an unknown school
+  function start({ schoolId, regionType = 'national', region }, { trigger, user }) {
+    const school = loadSchool(schoolId)
+    if (!school) return null
+    const snapshot = {
+      id: crypto.randomBytes(8).toString('hex'),
+      schoolId,
+      school: school.label,
+      regionType,
+      region: region || null,
+      trigger,
+      requestedBy: user || null,
+      status: 'running',
+      takenAt: new Date().toISOString(),
+      finishedAt: null,
+      summary: null,
+      programs: null,
+    }
+    save(snapshot)
+    const done = run(snapshot, school.programs).finally(() => pending.delete(snapshot.id))
+    pending.set(snapshot.id, done)
+    return { snapshot: summary(snapshot), done }
+  }
+
+  const running = (target) => list({ regionType: 'national', ...target }).find(s => s.status === 'running') || null
+
+  function latest(target) {
+    const meta = list({ regionType: 'national', ...target }).find(s => s.status === 'completed')
+    return meta ? read(meta.id) : null
+  }
+
+  return {
+    /** Snapshot metadata (no programs), newest first; filter by { schoolId, regionType, region }. */
+    list,
+
+    /** Metadata only (for access checks before reading the file). */
+    meta: (id) => index.get(id) || null,
+
+    get: read,
+
+    /** The running snapshot for a school and region, if any. */
+    running,
+
+    /** The newest completed snapshot of a school and region (with its programs), or null. */
+    latest,
+
+    /**
+     * The newest completed snapshot of a school and region; without one, waits for
+     * the running snapshot or takes one (`trigger`, default 'manual'; onStart(meta)
+     * is called when it does). Resolves to null for an unknown school and rejects
+     * with a 502 ApiError when that snapshot fails.
+     */
+    async ensure(target, { trigger = 'manual', user, onStart = () => {} } = {}) {
+      const found = latest(target)
+      if (found) return found
+      let id = running(target)?.id
+      if (!id || !pending.has(id)) {
+        const started = start(target, { trigger, user })
+        if (!started) return null
+        onStart(started.snapshot)
+        id = started.snapshot.id
+      }
+      await pending.get(id)
+      const snapshot = read(id)
+      if (snapshot.status !== 'completed') {
+        throw new ApiError(502, `The LMI snapshot of this school failed: ${snapshot.error || 'unknown error'}`, { code: 'UPSTREAM_ERROR' })
+      }
+      return snapshot
+    },
+
+    /** Starts a manual snapshot; returns its metadata, or null if the school is unknown. */
+    take(target, { user } = {}) {
+      return start(target, { trigger: 'manual', user })?.snapshot || null
+    },
+
+    /** A program's trend over the latest `limit` completed snapshots of a school and region. */
+    trend({ schoolId, regionType = 'national', region, programCode, limit = 50 }) {
+      const snapshots = list({ schoolId, regionType, region })
+        .filter(s => s.status === 'completed')
+        .slice(0, limit)
+        .map(s => read(s.id))
+      return programTrend(snapshots, programCode)
+    },
+
+    remove(id) {
+      const meta = index.get(id)
+      if (!meta) return false
+      index.delete(id)
+      if (existsSync(fileFor(meta))) unlinkSync(fileFor(meta))
+      return true
+    },
+
+    /**
+     * Snapshots every target ({ schoolId, regionType, region }) from `targets()`
+     * whose latest snapshot is older than `intervalMs`, one at a time. Checks
+     * shortly after start and then every `checkMs`; returns a stop function.
+     */
+    schedule({ intervalMs, targets, checkMs = Math.min(intervalMs, 60 * 60_000) }) {
+      let busy = false
+      const check = async () => {
+        if (busy) return
+        busy = true
+        try {
+          for (const target of targets()) {
+            const last = list({ regionType: 'national', ...target }).find(s => s.status !== 'failed')
+            if (last && Date.now() - Date.parse(last.takenAt) < intervalMs) continue
+            const started = start(target, { trigger: 'schedule' })
+            if (!started) continue
+            console.log(`📸 Scheduled LMI snapshot ${started.snapshot.id} for ${target.schoolId} (${target.regionType}${target.region ? ` ${target.region}` : ''})`)
+            await started.done
+          }
+        } catch (err) {
+          console.error('LMI snapshot schedule error:', err)
+        }
+        busy = false
+      }
+      const first = setTimeout(check, 10_000)
+      const timer = setInterval(check, checkMs)
+      first.unref()
+      timer.unref()
+      return () => { clearTimeout(first); clearInterval(timer) }
+    },
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Figures shared by every module that rolls LMI occupations up: rounding,
+ * medians, employment-weighted means and the employment-weighted summary of
+ * a set of occupations (program comparison, SOC group roll-ups, snapshots and
+ * the regional heatmap all report the same one).
+ */
+
+/** `value` rounded to `digits` decimals; null stays null. */
+export const round = (value, digits) => value == null ? null : Number(value.toFixed(digits))
+
+/** Median of a list of numbers, or null for an empty list. */
+export function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/** Employment-weighted mean of `pick(laborMarketData)`; plain mean when no employment figures exist. */
+export function weightedMean(occupations, pick) {
+  let sum = 0, weight = 0, plainSum = 0, count = 0
+  for (const occ of occupations) {
+    const lmd = occ.laborMarketData || {}
+    const value = pick(lmd)
+    if (value == null) continue
+    plainSum += value
+    count++
+    if (lmd.totalEmployment > 0) {
+      sum += value * lmd.totalEmployment
+      weight += lmd.totalEmployment
+    }
+  }
+  if (!count) return null
+  return weight ? sum / weight : plainSum / count
+}
+
+/** Aggregate metrics for a set of matched occupations (one program, SOC group or region). */
+export function summarizeOccupations(occupations) {
+  const withData = occupations.filter(o => o.laborMarketData)
+  const employment = withData.reduce((sum, o) => sum + (o.laborMarketData.totalEmployment || 0), 0)
+  const top = [...withData].sort((a, b) => (b.laborMarketData.totalEmployment || 0) - (a.laborMarketData.totalEmployment || 0))[0]
+  return {
+    medianSalary: round(weightedMean(withData, l => l.medianAnnualSalary), 0),
+    totalEmployment: withData.length ? employment : null,
+    growthRate: round(weightedMean(withData, l => l.forecastedEmploymentGrowth), 4),
+    openingsRate: round(weightedMean(withData, l => l.averageAnnualOpenings), 4),
+    demandScore: round(weightedMean(withData, l => l.demand?.score), 2),
+    occupationCount: withData.length,
+    topOccupation: top ? { socCode: top.socCode, name: top.name } : null,
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Offline evaluation of SOC matching against a labeled gold set.
+ *
+ * Gold set (fixtures/soc-match-gold.json):
+ *
+ *   { description, cases: [{ id?, schoolId, programCode, expected: ["15-1252", ...] },
+ *                          { id, schoolId?, program: { name, cipCode, ... }, expected: [...] }] }
+ *
+ * A case names a program in a school's catalog (data/<schoolId>.json) or
+ * carries the program record inline; `id` defaults to "<schoolId>:<programCode>".
+ *
+ * A run is the ranked SOC codes a matcher produced per case id:
+ *
+ *   { label, generatedAt, config, rankings: { "<caseId>": ["15-1252", ...] } }
+ *
+ * which is also the format of a recorded AI run and of a saved baseline.
+ * Runs are scored with precision@k, recall@k and MRR, overall and per school.
+ */
+
+const SOC_RE = /^\d{2}-\d{4}$/
+
+/** Validates a gold set: { cases, errors: [{ index, message }] }. */
+export function parseGoldSet(value) {
+  const cases = []
+  const errors = []
+  if (!Array.isArray(value?.cases)) return { cases, errors: [{ index: null, message: 'gold set must have a "cases" array' }] }
+
+  const seen = new Set()
+  value.cases.forEach((c, index) => {
+    const problem = (message) => errors.push({ index, message })
+    if (!c || typeof c !== 'object') return problem('case must be an object')
+    if (!c.program && !(c.schoolId && c.programCode)) return problem('case needs "program" or "schoolId" + "programCode"')
+    const id = c.id || `${c.schoolId}:${c.programCode}`
+    if (seen.has(id)) return problem(`duplicate case id "${id}"`)
+    if (!Array.isArray(c.expected) || !c.expected.length) return problem(`case "${id}" needs a non-empty "expected" list`)
+    const bad = c.expected.filter(code => !SOC_RE.test(code))
+    if (bad.length) return problem(`case "${id}" has invalid SOC codes: ${bad.join(', ')}`)
+    seen.add(id)
+    cases.push({ id, schoolId: c.schoolId || null, programCode: c.programCode || null, program: c.program || null, expected: [...new Set(c.expected)] })
+  })
+  return { cases, errors }
+}
+
+// ─── Metrics ──────────────────────────────────────────────
+export const precisionAt = (ranked, expected, k) => ranked.slice(0, k).filter(code => expected.includes(code)).length / k
+
+export const recallAt = (ranked, expected, k) => ranked.slice(0, k).filter(code => expected.includes(code)).length / expected.length
+
+/** 1 / rank of the first expected code anywhere in the list; 0 when none is found. */
+export function reciprocalRank(ranked, expected) {
+  const i = ranked.findIndex(code => expected.includes(code))
+  return i === -1 ? 0 : 1 / (i + 1)
+}
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0
+const round = (value) => Number(value.toFixed(4))
+
+function aggregate(scored) {
+  return {
+    cases: scored.length,
+    precision: round(mean(scored.map(c => c.precision))),
+    recall: round(mean(scored.map(c => c.recall))),
+    mrr: round(mean(scored.map(c => c.rr))),
+  }
+}
+
+/**
+ * Scores a run's rankings against the gold cases. Cases the run has no
+ * ranking for count as misses (and are listed in `unranked`).
+ *
+ * Returns { k, overall, bySchool: [{ schoolId, ...metrics }], cases, unranked }.
+ */
+export function scoreRun(cases, rankings, { k = 5 } = {}) {
+  const unranked = []
+  const scored = cases.map(c => {
+    const ranked = rankings[c.id]
+    if (!ranked) unranked.push(c.id)
+    const list = ranked || []
+    return {
+      id: c.id,
+      schoolId: c.schoolId,
+      expected: c.expected,
+      ranked: list.slice(0, k),
+      hits: list.slice(0, k).filter(code => c.expected.includes(code)),
+      firstHit: list.findIndex(code => c.expected.includes(code)) + 1 || null,
+      precision: precisionAt(list, c.expected, k),
+      recall: recallAt(list, c.expected, k),
+      rr: reciprocalRank(list, c.expected),
+    }
+  })
+
+  const schools = [...new Set(scored.map(c => c.schoolId || '(inline)'))].sort()
+  return {
+    k,
+    overall: aggregate(scored),
+    bySchool: schools.map(schoolId => ({ schoolId, ...aggregate(scored.filter(c => (c.schoolId || '(inline)') === schoolId)) })),
+    cases: scored,
+    unranked,
+  }
+}
+
+/**
+ * Compares two scored runs of the same gold set (b against a).
+ *
+ * Returns { overall: { metric: { a, b, delta } }, bySchool: [...],
+ * improved: [case], regressed: [case] } where a case moved when its
+ * reciprocal rank or recall changed.
+ */
+export function diffRuns(a, b) {
+  const delta = (x, y) => Object.fromEntries(['precision', 'recall', 'mrr'].map(m => [m, { a: x[m], b: y[m], delta: round(y[m] - x[m]) }]))
+  const bSchools = new Map(b.bySchool.map(s => [s.schoolId, s]))
+  const bCases = new Map(b.cases.map(c => [c.id, c]))
+
+  const improved = []
+  const regressed = []
+  for (const before of a.cases) {
+    const after = bCases.get(before.id)
+    if (!after) continue
+    const change = (after.rr - before.rr) || (after.recall - before.recall)
+    if (!change) continue
+    const entry = { id: before.id, schoolId: before.schoolId, before: { rr: round(before.rr), recall: round(before.recall), ranked: before.ranked }, after: { rr: round(after.rr), recall: round(after.recall), ranked: after.ranked } }
+    if (change > 0) improved.push(entry)
+    else regressed.push(entry)
+  }
+
+  return {
+    overall: delta(a.overall, b.overall),
+    bySchool: a.bySchool.filter(s => bSchools.has(s.schoolId)).map(s => ({ schoolId: s.schoolId, ...delta(s, bSchools.get(s.schoolId)) })),
+    improved,
+    regressed,
+  }
+}
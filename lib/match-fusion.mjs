@@ -0,0 +1,83 @@
+/**
+ * Hybrid SOC ranking: fuses the local keyword matcher's ranking with the AI
+ * matcher's into one list.
+ *
+ * Methods:
+ *   rrf      – reciprocal rank fusion, Σ weight / (k + rank) over the sources
+ *              that ranked a code. Only ranks matter, so the local crosswalk-first
+ *              order is kept as is.
+ *   weighted – Σ weight × normalized score: the local relevanceScore divided by
+ *              the best local score, and for AI (which returns no score) its
+ *              position, 1 for the first match down to 1/n for the last.
+ *
+ * Every fused match records which sources ranked it (`agreement` is "both",
+ * "local" or "ai"), the local rank, score and explanation, and the AI rank
+ * and reason, so reviewers can see why it landed where it did.
+ */
+
+export const FUSION_METHODS = ['rrf', 'weighted']
+
+export const DEFAULT_FUSION = { method: 'rrf', k: 60, localWeight: 1, aiWeight: 1 }
+
+const round = (value, digits = 4) => Number(value.toFixed(digits))
+
+/**
+ * Fuses local and AI matches (either list may be empty or missing).
+ *
+ * Options: method, k (RRF rank constant), localWeight, aiWeight, topN.
+ * Returns matches ordered by fusedScore, ties going to codes both sources
+ * ranked and then to the better local rank.
+ */
+export function fuseMatches({ local, ai }, options = {}) {
+  local = local || []
+  ai = ai || []
+  const { method, k, localWeight, aiWeight, topN } = { ...DEFAULT_FUSION, ...options }
+  const bestLocal = Math.max(0, ...local.map(m => m.relevanceScore || 0))
+  const aiCount = ai.length
+
+  const contribution = {
+    local: (m, rank) => localWeight * (method === 'rrf' ? 1 / (k + rank) : bestLocal ? (m.relevanceScore || 0) / bestLocal : 0),
+    ai: (m, rank) => aiWeight * (method === 'rrf' ? 1 / (k + rank) : (aiCount - rank + 1) / aiCount),
+  }
+
+  const byCode = new Map() // code → fused entry
+  const add = (source, m, rank) => {
+    let entry = byCode.get(m.code)
+    if (!entry) {
+      entry = { code: m.code, title: m.title, majorGroup: m.majorGroup, minorGroup: m.minorGroup, broadGroup: m.broadGroup, local: null, ai: null, fusedScore: 0 }
+      byCode.set(m.code, entry)
+    }
+    const points = contribution[source](m, rank)
+    entry.fusedScore += points
+    entry[source] = source === 'local'
+      ? { rank, relevanceScore: m.relevanceScore, matchSource: m.matchSource, contribution: round(points), explanation: m.explanation }
+      : { rank, reason: m.reason, verified: m.verified, contribution: round(points) }
+  }
+  local.forEach((m, i) => add('local', m, i + 1))
+  ai.forEach((m, i) => add('ai', m, i + 1))
+
+  const fused = [...byCode.values()]
+    .map(entry => ({
+      ...entry,
+      agreement: entry.local && entry.ai ? 'both' : entry.local ? 'local' : 'ai',
+      // Keep the fields callers of the single-source lists rely on
+      reason: entry.ai?.reason,
+      verified: entry.ai?.verified,
+      relevanceScore: entry.local?.relevanceScore,
+      matchSource: 'fused',
+      source: entry.local && entry.ai ? 'local+ai' : entry.local ? 'local' : 'ai',
+    }))
+    .sort((a, b) =>
+      b.fusedScore - a.fusedScore ||
+      (b.agreement === 'both') - (a.agreement === 'both') ||
+      (a.local?.rank ?? Infinity) - (b.local?.rank ?? Infinity))
+
+  return (topN ? fused.slice(0, topN) : fused).map((m, i) => ({ ...m, fusedScore: round(m.fusedScore), rank: i + 1 }))
+}
+
+/** Counts of fused matches by agreement, for the response summary. */
+export function agreementSummary(fused) {
+  const counts = { both: 0, local: 0, ai: 0 }
+  for (const m of fused) counts[m.agreement]++
+  return counts
+}
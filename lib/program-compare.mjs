@@ -0,0 +1,77 @@
+/**
+ * Side-by-side comparison of programs' labor market outcomes.
+ *
+ * Each program is summarized from the occupations its SOC codes map to
+ * (summarizeOccupations in lmi-stats.mjs: salary, growth and openings weighted
+ * by employment, so a large occupation counts more than a niche one), then the
+ * summaries are aligned metric by metric and the core skills are split into
+ * shared and program-unique sets.
+ */
+
+export const MAX_COMPARE_PROGRAMS = 4
+
+// Metrics in display order; for all of them higher is better
+export const COMPARE_METRICS = [
+  { key: 'medianSalary', label: 'Median Annual Salary', format: 'currency' },
+  { key: 'totalEmployment', label: 'Total Employment', format: 'number' },
+  { key: 'growthRate', label: 'Forecasted Growth', format: 'percent' },
+  { key: 'openingsRate', label: 'Avg Annual Openings Rate', format: 'percent' },
+  { key: 'demandScore', label: 'Demand Score', format: 'score' },
+  { key: 'occupationCount', label: 'Occupations with Data', format: 'number' },
+]
+
+/** Distinct core skills across a program's occupations: [{ id, name, occupations: [socCode] }]. */
+export function coreSkills(occupations) {
+  const skills = new Map()
+  for (const occ of occupations) {
+    for (const s of occ.skillRequirements?.coreSkills || []) {
+      const id = s.mslSkillId || s.mslSkillName
+      if (!skills.has(id)) skills.set(id, { id, name: s.mslSkillName, occupations: [] })
+      skills.get(id).occupations.push(occ.socCode)
+    }
+  }
+  return [...skills.values()]
+}
+
+/**
+ * Splits the programs' core skills (keyed by program key) into:
+ *   common – in every program
+ *   shared – in more than one program but not all, with the program keys
+ *   unique – { [key]: skills only that program has }
+ */
+export function compareSkills(skillsByProgram) {
+  const keys = Object.keys(skillsByProgram)
+  const owners = new Map()
+  for (const key of keys) {
+    for (const skill of skillsByProgram[key]) {
+      if (!owners.has(skill.id)) owners.set(skill.id, { id: skill.id, name: skill.name, programs: [] })
+      owners.get(skill.id).programs.push(key)
+    }
+  }
+  const byName = (a, b) => a.name.localeCompare(b.name)
+  const all = [...owners.values()].sort(byName)
+  return {
+    common: keys.length > 1 ? all.filter(s => s.programs.length === keys.length).map(({ id, name }) => ({ id, name })) : [],
+    shared: all.filter(s => s.programs.length > 1 && s.programs.length < keys.length),
+    unique: Object.fromEntries(keys.map(key => [
+      key,
+      all.filter(s => s.programs.length === 1 && s.programs[0] === key).map(({ id, name }) => ({ id, name })),
+    ])),
+  }
+}
+
+/**
+ * Aligned metric rows for summarized programs: [{ key, label, format,
+ * values: [per program], best: [indexes of the highest value] }].
+ */
+export function alignMetrics(summaries) {
+  return COMPARE_METRICS.map(({ key, label, format }) => {
+    const values = summaries.map(s => s[key] ?? null)
+    const present = values.filter(v => v != null)
+    const max = present.length ? Math.max(...present) : null
+    const best = present.length > 1 && present.some(v => v !== max)
+      ? values.map((v, i) => v === max ? i : -1).filter(i => i >= 0)
+      : []
+    return { key, label, format, values, best }
+  })
+}
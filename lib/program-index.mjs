@@ -0,0 +1,168 @@
+/**
+ * In-memory search index over a school's programs.
+ *
+ * Built once when a data file is loaded (see school-registry.mjs) so a query
+ * does not scan or ship the whole catalog: an inverted index of name,
+ * longName and code tokens answers full-text search (every query word must
+ * prefix-match a word of the program), per-field value lists answer the
+ * type / level / college / degreeDesignation filters and CIP filters match by
+ * prefix ("11.*", "11.07", "11.0701").
+ *
+ * Results are paged with an opaque keyset cursor (the last item's sort key
+ * and code), so pages stay consistent when the catalog is reloaded between
+ * requests. A cursor is bound to its query – sort, order, search text, filters
+ * and CIP prefixes – and is rejected by any other.
+ */
+
+import crypto from 'crypto'
+
+export const FACET_FIELDS = ['type', 'level', 'college', 'degreeDesignation']
+export const PROGRAM_SORTS = ['relevance', 'name', 'longName', 'code', 'cipCode']
+export const MAX_PAGE_SIZE = 500
+
+const tokenize = (text) => String(text || '').toLowerCase()
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/).filter(Boolean)
+
+const lowerBound = (sorted, value) => {
+  let lo = 0, hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (sorted[mid] < value) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+const compareValues = (a, b) => a < b ? -1 : a > b ? 1 : 0
+
+// Digest of everything that decides a result list, stored in its cursors
+function queryFingerprint({ sort, desc, query, filters, cip }) {
+  const normalized = [sort, !!desc, query, FACET_FIELDS.map(f => [...(filters[f] || [])].sort()), [...cip].sort()]
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('base64url').slice(0, 16)
+}
+
+const encodeCursor = (fingerprint, key, code) => Buffer.from(JSON.stringify([fingerprint, key, code])).toString('base64url')
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'))
+    if (Array.isArray(value) && value.length === 3 && typeof value[2] === 'string') return value
+  } catch {}
+  return null
+}
+
+export function createProgramIndex(programs) {
+  const postings = new Map() // token → Set<position>
+  const facets = Object.fromEntries(FACET_FIELDS.map(f => [f, new Map()])) // field → value → [position]
+  const tokenSets = [] // position → { nameTokens, longTokens } for relevance
+
+  programs.forEach((p, pos) => {
+    const nameTokens = new Set([...tokenize(p.name), ...tokenize(p.code)])
+    const longTokens = new Set(tokenize(p.longName))
+    tokenSets.push({ nameTokens, longTokens })
+    for (const token of [...nameTokens, ...longTokens, String(p.code || '').toLowerCase()]) {
+      if (!token) continue
+      if (!postings.has(token)) postings.set(token, new Set())
+      postings.get(token).add(pos)
+    }
+    for (const field of FACET_FIELDS) {
+      const value = p[field]
+      if (!value) continue
+      if (!facets[field].has(value)) facets[field].set(value, [])
+      facets[field].get(value).push(pos)
+    }
+  })
+  const vocabulary = [...postings.keys()].sort()
+
+  // Positions of programs with a token starting with `prefix`
+  function prefixMatches(prefix) {
+    const out = new Set()
+    for (let i = lowerBound(vocabulary, prefix); i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+      for (const pos of postings.get(vocabulary[i])) out.add(pos)
+    }
+    return out
+  }
+
+  // Whole-word hits in name/code beat longName hits, which beat prefix-only hits; an exact code wins
+  function relevance(pos, words, q) {
+    const p = programs[pos]
+    const { nameTokens, longTokens } = tokenSets[pos]
+    let score = 0
+    for (const word of words) {
+      if (nameTokens.has(word)) score += 3
+      else if (longTokens.has(word)) score += 2
+      else score += 1
+    }
+    if (String(p.code || '').toLowerCase() === q) score += 10
+    if (String(p.longName || p.name || '').toLowerCase().startsWith(q)) score += 2
+    return score
+  }
+
+  const sortKey = (sort, pos, scores) => sort === 'relevance'
+    ? -scores.get(pos)
+    : String(programs[pos][sort] || '').toLowerCase()
+
+  return {
+    size: programs.length,
+
+    /** Distinct values per filter field (plus CIP codes), sorted. */
+    facets() {
+      const values = Object.fromEntries(FACET_FIELDS.map(f => [f, [...facets[f].keys()].sort()]))
+      values.cipCode = [...new Set(programs.map(p => p.cipCode).filter(Boolean))].sort()
+      return values
+    },
+
+    /**
+     * Options: q (search text), filters ({ field: [values] } for FACET_FIELDS),
+     * cip ([prefixes]), sort (PROGRAM_SORTS; default relevance with q, else
+     * name), desc, limit, cursor (from a previous page's nextCursor).
+     *
+     * Returns { programs, total, sort, nextCursor } or { error } for a cursor that
+     * does not belong to this query (sort, desc, q, filters and cip).
+     */
+    search({ q = '', filters = {}, cip = [], sort, desc = false, limit = 50, cursor } = {}) {
+      const query = q.trim().toLowerCase()
+      const words = tokenize(query)
+      if (!sort) sort = words.length ? 'relevance' : 'name'
+      if (sort === 'relevance' && !words.length) sort = 'name'
+
+      let candidates = null // Set<position>, null = all
+      const narrow = (set) => {
+        candidates = candidates ? new Set([...candidates].filter(pos => set.has(pos))) : set
+      }
+      for (const word of words) narrow(prefixMatches(word))
+      for (const field of FACET_FIELDS) {
+        const wanted = filters[field]
+        if (wanted?.length) narrow(new Set(wanted.flatMap(v => facets[field].get(v) || [])))
+      }
+      let positions = candidates ? [...candidates] : programs.map((_, pos) => pos)
+      const prefixes = cip.map(c => c.replace(/\*$/, '')).filter(Boolean)
+      if (prefixes.length) positions = positions.filter(pos => prefixes.some(pre => String(programs[pos].cipCode || '').startsWith(pre)))
+
+      const scores = new Map(sort === 'relevance' ? positions.map(pos => [pos, relevance(pos, words, query)]) : [])
+      const direction = desc ? -1 : 1
+      const keyed = positions.map(pos => ({ pos, key: sortKey(sort, pos, scores), code: String(programs[pos].code || '') }))
+      const compare = (a, b) => direction * (compareValues(a.key, b.key) || compareValues(a.code, b.code))
+      keyed.sort(compare)
+
+      const fingerprint = queryFingerprint({ sort, desc, query, filters, cip })
+      let start = 0
+      if (cursor) {
+        const decoded = decodeCursor(cursor)
+        if (!decoded || decoded[0] !== fingerprint) return { error: 'Invalid or expired cursor – restart from the first page' }
+        const after = { key: decoded[1], code: decoded[2] }
+        while (start < keyed.length && compare(keyed[start], after) <= 0) start++
+      }
+
+      const page = keyed.slice(start, start + Math.min(limit, MAX_PAGE_SIZE))
+      const last = page[page.length - 1]
+      return {
+        programs: page.map(e => programs[e.pos]),
+        total: keyed.length,
+        sort,
+        nextCursor: last && start + page.length < keyed.length ? encodeCursor(fingerprint, last.key, last.code) : null,
+      }
+    },
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Portfolio scorecard: scores every program in a school's catalog on the labor
+ * market of its occupations and rolls the scores up by college and degree.
+ *
+ * Components, each 0–1 and employment-weighted across the program's occupations:
+ *   demand   – demand score / 2
+ *   growth   – growth percentile / 100
+ *   openings – openings percentile / 100
+ *   wage     – median salary against the reference wage: 0.5 at the reference,
+ *              1 at twice it or more
+ * A program's score is 100 × the weighted mean of the components it has data for.
+ *
+ * The reference wage is the median salary across every distinct occupation the
+ * portfolio maps to in the region, unless the caller passes one (e.g. the
+ * region's all-occupations median).
+ *
+ * Flags: no-cip, invalid-cip (rejected in the by-cip warnings), unmapped (a
+ * valid CIP without occupations), lmi-error, weak (score below weakBelow).
+ */
+
+import { median, round, weightedMean } from './lmi-stats.mjs'
+
+export const SCORE_COMPONENTS = ['demand', 'growth', 'openings', 'wage']
+
+export const DEFAULT_SCORE_WEIGHTS = { demand: 1, growth: 1, openings: 1, wage: 1 }
+
+export const DEFAULT_WEAK_BELOW = 40
+
+/** Program fields the scorecard is rolled up by. */
+export const SCORECARD_GROUPS = ['college', 'degreeDesignation']
+
+// Flags for a program's lookup status (see fetchProgramOccupations)
+function statusFlags(program, status) {
+  if (!program.cipCode && status !== 'ok') return ['no-cip']
+  if (status === 'invalid-cip') return ['invalid-cip']
+  if (status === 'no-data') return ['unmapped']
+  if (status === 'error') return ['lmi-error']
+  return []
+}
+
+/** Median salary across the distinct occupations of all programs with data. */
+export function portfolioReferenceWage(results) {
+  const salaries = new Map() // socCode → salary
+  for (const r of results.values()) {
+    if (r.status !== 'ok') continue
+    for (const occ of r.occupations) {
+      const salary = occ.laborMarketData?.medianAnnualSalary
+      if (salary != null) salaries.set(occ.socCode, salary)
+    }
+  }
+  return median([...salaries.values()])
+}
+
+/**
+ * Scores one program's occupations. Returns { metrics, components, score }
+ * with null for anything the occupations have no figures for.
+ */
+export function scoreOccupations(occupations, { weights = DEFAULT_SCORE_WEIGHTS, referenceWage } = {}) {
+  const withData = occupations.filter(o => o.laborMarketData)
+  const metrics = {
+    demandScore: round(weightedMean(withData, l => l.demand?.score), 2),
+    growthPercentile: round(weightedMean(withData, l => l.demand?.growthPercentile), 1),
+    openingsPercentile: round(weightedMean(withData, l => l.demand?.openingsPercentile), 1),
+    medianSalary: round(weightedMean(withData, l => l.medianAnnualSalary), 0),
+    totalEmployment: withData.length ? withData.reduce((sum, o) => sum + (o.laborMarketData.totalEmployment || 0), 0) : null,
+    occupationCount: withData.length,
+  }
+  metrics.wageRatio = referenceWage && metrics.medianSalary != null ? round(metrics.medianSalary / referenceWage, 3) : null
+
+  const components = {
+    demand: metrics.demandScore != null ? round(metrics.demandScore / 2, 4) : null,
+    growth: metrics.growthPercentile != null ? round(metrics.growthPercentile / 100, 4) : null,
+    openings: metrics.openingsPercentile != null ? round(metrics.openingsPercentile / 100, 4) : null,
+    wage: metrics.wageRatio != null ? round(Math.min(1, metrics.wageRatio / 2), 4) : null,
+  }
+
+  let sum = 0, weight = 0
+  for (const key of SCORE_COMPONENTS) {
+    if (components[key] == null || !(weights[key] > 0)) continue
+    sum += components[key] * weights[key]
+    weight += weights[key]
+  }
+  return { metrics, components, score: weight ? round(100 * sum / weight, 1) : null }
+}
+
+// Roll-up of scored programs sharing one value of `field`
+function groupBy(programs, field) {
+  const groups = new Map()
+  for (const p of programs) {
+    const name = p[field] || '(none)'
+    if (!groups.has(name)) groups.set(name, [])
+    groups.get(name).push(p)
+  }
+  return [...groups].map(([name, list]) => {
+    const scores = list.map(p => p.score).filter(s => s != null)
+    const best = list.find(p => p.score != null)
+    return {
+      name,
+      programs: list.length,
+      scored: scores.length,
+      averageScore: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length, 1) : null,
+      medianScore: round(median(scores), 1),
+      best: best ? { code: best.code, name: best.name, score: best.score } : null,
+      weak: list.filter(p => p.flags.includes('weak')).length,
+      unscored: list.filter(p => p.score == null).length,
+    }
+  }).sort((a, b) => (b.averageScore ?? -1) - (a.averageScore ?? -1) || a.name.localeCompare(b.name))
+}
+
+/**
+ * Scores and ranks a catalog. `results` is the Map returned by
+ * fetchProgramOccupations or snapshotResults (program code → { source, status,
+ * occupations }); programs missing from it are scored as failed lookups.
+ *
+ * Options: weights ({ demand, growth, openings, wage }), weakBelow,
+ * referenceWage (default: portfolioReferenceWage).
+ * Returns { weights, weakBelow, referenceWage: { value, source }, summary,
+ * programs (ranked, unscored last), groups: { college, degreeDesignation } }.
+ */
+export function buildScorecard(programs, results, { weights = DEFAULT_SCORE_WEIGHTS, weakBelow = DEFAULT_WEAK_BELOW, referenceWage } = {}) {
+  const reference = referenceWage
+    ? { value: referenceWage, source: 'request' }
+    : { value: portfolioReferenceWage(results), source: 'portfolio' }
+
+  const scored = programs.map(p => {
+    const result = results.get(p.code) || { source: 'cip', status: 'error', message: 'No LMI figures for this program', occupations: [] }
+    const { metrics, components, score } = scoreOccupations(result.occupations, { weights, referenceWage: reference.value })
+    const top = [...result.occupations]
+      .filter(o => o.laborMarketData)
+      .sort((a, b) => (b.laborMarketData.totalEmployment || 0) - (a.laborMarketData.totalEmployment || 0))[0]
+    const flags = statusFlags(p, result.status)
+    if (score != null && score < weakBelow) flags.push('weak')
+    return {
+      code: p.code,
+      name: p.longName || p.name || p.code,
+      cipCode: p.cipCode || null,
+      type: p.type || '',
+      college: p.college || '',
+      degreeDesignation: p.degreeDesignation || '',
+      source: result.source,
+      status: result.status,
+      ...(result.message ? { message: result.message } : {}),
+      topOccupation: top ? { socCode: top.socCode, name: top.name } : null,
+      metrics,
+      components,
+      score,
+      flags,
+    }
+  })
+
+  let rank = 0
+  const ranked = scored
+    .sort((a, b) => (a.score == null) - (b.score == null) || (b.score ?? 0) - (a.score ?? 0) || a.name.localeCompare(b.name))
+    .map(p => ({ ...p, rank: p.score != null ? ++rank : null }))
+
+  const scores = ranked.map(p => p.score).filter(s => s != null)
+  const count = (flag) => ranked.filter(p => p.flags.includes(flag)).length
+  return {
+    weights,
+    weakBelow,
+    referenceWage: reference,
+    summary: {
+      programs: ranked.length,
+      scored: scores.length,
+      averageScore: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length, 1) : null,
+      medianScore: round(median(scores), 1),
+      weak: count('weak'),
+      unmapped: count('unmapped'),
+      invalidCip: count('invalid-cip'),
+      noCip: count('no-cip'),
+      failed: count('lmi-error'),
+      approvedMappings: ranked.filter(p => p.source === 'approved').length,
+    },
+    programs: ranked,
+    groups: Object.fromEntries(SCORECARD_GROUPS.map(field => [field, groupBy(ranked, field)])),
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Skills a program declares it teaches, as skills library (MSL) ids.
+ *
+ * One JSON file per school (<dir>/<schoolId>.json):
+ *
+ *   { schoolId, programs: { "<programCode>": { skills: [{ id, name }], updatedBy, updatedAt } } }
+ *
+ * A program's list is replaced as a whole; the skills gap analysis compares
+ * it with what the program's occupations require.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs'
+import { join } from 'path'
+
+export function createProgramSkillStore({ dir }) {
+  mkdirSync(dir, { recursive: true })
+  const schools = new Map() // schoolId → { programCode → entry }
+
+  const fileFor = (schoolId) => join(dir, `${schoolId}.json`)
+
+  function load(schoolId) {
+    if (!schools.has(schoolId)) {
+      const file = fileFor(schoolId)
+      schools.set(schoolId, existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')).programs || {} : {})
+    }
+    return schools.get(schoolId)
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written store
+  function save(schoolId) {
+    const file = fileFor(schoolId)
+    writeFileSync(`${file}.tmp`, JSON.stringify({ schoolId, programs: load(schoolId) }, null, 2))
+    renameSync(`${file}.tmp`, file)
+  }
+
+  return {
+    /** A program's declared skills: { skills, updatedBy, updatedAt }, or null if none were declared. */
+    get: (schoolId, programCode) => load(schoolId)[programCode] || null,
+
+    /** Replaces a program's declared skills ([{ id, name }]); an empty list clears them. */
+    set(schoolId, programCode, skills, { user } = {}) {
+      const programs = load(schoolId)
+      if (!skills.length) delete programs[programCode]
+      else programs[programCode] = { skills, updatedBy: user || null, updatedAt: new Date().toISOString() }
+      save(schoolId)
+      return programs[programCode] || null
+    },
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * In-memory rate limiting and login brute-force protection.
+ *
+ * createRateLimiter() is a fixed-window counter per key. rateLimit() turns a
+ * set of limiters into Express middleware that answers 429 with Retry-After;
+ * chargeRateLimit() bills a route's extra upstream pages to the same limiters.
+ * createLoginGuard() tracks failed logins per username and per IP and locks
+ * them out with exponential backoff.
+ *
+ * State lives in process memory; with several server instances each enforces
+ * its own limits.
+ */
+
+import { sendError } from './validation.mjs'
+
+export function createRateLimiter({ windowMs = 60_000, max = 120 } = {}) {
+  const windows = new Map() // key → { count, resetAt }
+  let hitsSincePrune = 0
+
+  function prune(now) {
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key)
+  }
+
+  return {
+    windowMs,
+    max,
+
+    /**
+     * Counts `cost` requests (default one) for `key`: { allowed, limit, remaining, resetAt,
+     * retryAfter (s), firstBlocked }. `firstBlocked` is true only for the first rejected hit of a window.
+     */
+    hit(key, now = Date.now(), cost = 1) {
+      if (++hitsSincePrune >= 1000) { prune(now); hitsSincePrune = 0 }
+      let w = windows.get(key)
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs }
+        windows.set(key, w)
+      }
+      w.count += cost
+      return {
+        allowed: w.count <= max,
+        limit: max,
+        remaining: Math.max(0, max - w.count),
+        resetAt: w.resetAt,
+        retryAfter: Math.max(1, Math.ceil((w.resetAt - now) / 1000)),
+        firstBlocked: w.count > max && w.count - cost <= max,
+      }
+    },
+  }
+}
+
+/**
+ * Express middleware enforcing every rule in `rules`: [{ name, limiter, key(req) }].
+ * A rule whose key() returns a falsy value is skipped. The tightest rule's
+ * state is reported in RateLimit-* headers (IETF draft names, so they do not
+ * clash with the upstream X-RateLimit-* headers we forward).
+ */
+export function rateLimit(rules, { onLimited } = {}) {
+  return (req, res, next) => {
+    let tightest = null
+    for (const rule of rules) {
+      const key = rule.key(req)
+      if (!key) continue
+      const result = rule.limiter.hit(`${rule.name}:${key}`)
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter))
+        res.set('RateLimit-Limit', String(result.limit))
+        res.set('RateLimit-Remaining', '0')
+        res.set('RateLimit-Reset', String(result.retryAfter))
+        onLimited?.(req, rule.name, result)
+        return sendError(res, 429, `Too many requests – try again in ${result.retryAfter}s`, {
+          code: 'RATE_LIMITED',
+          details: { retryAfter: result.retryAfter },
+        })
+      }
+      if (!tightest || result.remaining < tightest.remaining) tightest = result
+    }
+    if (tightest) {
+      res.set('RateLimit-Limit', String(tightest.limit))
+      res.set('RateLimit-Remaining', String(tightest.remaining))
+      res.set('RateLimit-Reset', String(Math.ceil((tightest.resetAt - Date.now()) / 1000)))
+    }
+    next()
+  }
+}
+
+/**
+ * Charges `cost` more requests to each of `rules` (as in rateLimit), for a route
+ * whose fan-out is only known once it runs. Returns the first rule that went
+ * over its limit as { rule, ...hit result }, or null.
+ */
+export function chargeRateLimit(rules, req, cost) {
+  if (cost <= 0) return null
+  for (const rule of rules) {
+    const key = rule.key(req)
+    if (!key) continue
+    const result = rule.limiter.hit(`${rule.name}:${key}`, Date.now(), cost)
+    if (!result.allowed) return { rule: rule.name, ...result }
+  }
+  return null
+}
+
+/**
+ * Failed-login tracking. After `maxAttempts` failures within `windowMs` a key
+ * is locked for `lockoutMs`; each further lockout doubles up to `maxLockoutMs`.
+ * The doubling decays: every `lockoutDecayMs` since the last lockout ended
+ * forgives one earlier lockout, so an old lockout does not count forever.
+ * IPs get a higher threshold (`ipMaxAttempts`) so one user behind a shared
+ * address cannot lock out everyone else as quickly.
+ */
+export function createLoginGuard({
+  maxAttempts = 5,
+  ipMaxAttempts = 20,
+  windowMs = 15 * 60_000,
+  lockoutMs = 15 * 60_000,
+  maxLockoutMs = 24 * 60 * 60_000,
+  lockoutDecayMs = 24 * 60 * 60_000,
+} = {}) {
+  const entries = new Map() // key → { failures, firstAt, lockedUntil, lockouts, releasedAt }
+
+  const entry = (key, now) => {
+    let e = entries.get(key)
+    if (!e || (!e.lockedUntil && now - e.firstAt > windowMs)) {
+      e = { failures: 0, firstAt: now, lockedUntil: 0, lockouts: e?.lockouts || 0, releasedAt: e?.releasedAt || 0 }
+      entries.set(key, e)
+    }
+    return e
+  }
+
+  const keysFor = (username, ip) => [
+    username && { key: `user:${String(username).toLowerCase()}`, max: maxAttempts },
+    ip && { key: `ip:${ip}`, max: ipMaxAttempts },
+  ].filter(Boolean)
+
+  return {
+    /** Seconds until the username or IP may try again, or 0 if not locked. */
+    lockedFor(username, ip, now = Date.now()) {
+      let wait = 0
+      for (const { key } of keysFor(username, ip)) {
+        const e = entries.get(key)
+        if (e?.lockedUntil > now) wait = Math.max(wait, Math.ceil((e.lockedUntil - now) / 1000))
+      }
+      return wait
+    },
+
+    /** Records a failure; returns the lockout in seconds if this failure triggered one, else 0. */
+    fail(username, ip, now = Date.now()) {
+      // Keep memory bounded when someone sprays random usernames
+      if (entries.size > 10_000) {
+        for (const [key, e] of entries) if (e.lockedUntil <= now && now - e.firstAt > windowMs) entries.delete(key)
+      }
+      let locked = 0
+      for (const { key, max } of keysFor(username, ip)) {
+        const e = entry(key, now)
+        if (e.lockedUntil > now) continue
+        e.lockedUntil = 0
+        e.failures++
+        if (e.failures >= max) {
+          const forgiven = e.lockouts ? Math.floor((now - e.releasedAt) / lockoutDecayMs) : 0
+          const lockouts = Math.max(0, e.lockouts - forgiven)
+          const duration = Math.min(lockoutMs * 2 ** lockouts, maxLockoutMs)
+          Object.assign(e, { lockedUntil: now + duration, releasedAt: now + duration, lockouts: lockouts + 1, failures: 0, firstAt: now })
+          locked = Math.max(locked, Math.ceil(duration / 1000))
+        }
+      }
+      return locked
+    },
+
+    /** A successful login clears the username's record (the IP keeps its count). */
+    succeed(username) {
+      entries.delete(`user:${String(username).toLowerCase()}`)
+    },
+
+    /** Admin unlock of a username. */
+    reset(username) {
+      return entries.delete(`user:${String(username).toLowerCase()}`)
+    },
+  }
+}
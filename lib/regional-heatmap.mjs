@@ -0,0 +1,100 @@
+/**
+ * Regional heatmap: one program (CIP codes) or occupation (SOC codes) across
+ * every state, or every metro in a state, as a table of salary, employment
+ * and growth per region.
+ *
+ * Metros carry no state code, so their states come from the label suffix
+ * ("San Jose-Sunnyvale-Santa Clara, CA", "New York-Newark-Jersey City, NY-NJ-PA");
+ * a metro spanning several states is listed under each of them.
+ *
+ * Every metric is also normalized to 0–1 across the regions with data
+ * (lowest → 0, highest → 1) for coloring the map. realMedianSalary is only
+ * filled when the caller passes each region's price parity (see cost-of-living.mjs).
+ */
+
+import { median, summarizeOccupations } from './lmi-stats.mjs'
+
+export const HEATMAP_SCOPES = ['states', 'metros']
+
+export const HEATMAP_METRICS = ['medianSalary', 'realMedianSalary', 'totalEmployment', 'growthRate']
+
+/** Most regions one heatmap fans out to: every state fits, metros go one state at a time. */
+export const HEATMAP_MAX_REGIONS = 60
+
+/** State abbreviations at the end of a metro label, e.g. ['NY', 'NJ', 'PA']. */
+export function metroStates(label) {
+  const suffix = /,\s*([A-Z]{2}(?:-[A-Z]{2})*)\s*$/.exec(label || '')
+  return suffix ? suffix[1].split('-') : []
+}
+
+/**
+ * Regions a scope covers, from the upstream region lists: every state, or
+ * every metro (only those in `state`, a FIPS code, when given; the heatmap
+ * route always passes one).
+ * Returns [{ regionType, region, label, abbreviation }] for states and
+ * [{ regionType, region, label, states }] for metros.
+ */
+export function scopeRegions(scope, { states = [], msas = [], state } = {}) {
+  if (scope === 'states') {
+    return states.map(s => ({ regionType: 'state', region: s.code, label: s.name || s.label, abbreviation: s.abbreviation || null }))
+  }
+  const abbreviation = state ? states.find(s => s.code === state)?.abbreviation : null
+  return msas
+    .map(m => ({ regionType: 'msa', region: m.code, label: m.label || m.name, states: metroStates(m.label || m.name) }))
+    .filter(m => !state || m.states.includes(abbreviation))
+}
+
+/**
+ * Builds the table from `results`, one per region in order:
+ * { status: 'ok', occupations, regionalPriceParity? } or { status: 'error', message }.
+ *
+ * Returns { summary: { regions, withData, noData, failed },
+ * ranges: { metric: { min, max, median } },
+ * regions: [{ ...region, status: 'ok'|'no-data'|'error', medianSalary,
+ * realMedianSalary, regionalPriceParity, totalEmployment, growthRate,
+ * demandScore, occupationCount, topOccupation, normalized: { metric: 0–1 } }] }.
+ */
+export function heatmapTable(regions, results) {
+  const rows = regions.map((region, i) => {
+    const result = results[i] || { status: 'error', message: 'No response' }
+    if (result.status !== 'ok') return { ...region, status: 'error', message: result.message || null }
+    const { openingsRate, ...figures } = summarizeOccupations(result.occupations)
+    const parity = result.regionalPriceParity ?? null
+    return {
+      ...region,
+      status: figures.occupationCount ? 'ok' : 'no-data',
+      ...figures,
+      realMedianSalary: parity && figures.medianSalary != null ? Math.round(figures.medianSalary * 100 / parity) : null,
+      regionalPriceParity: parity,
+    }
+  })
+
+  const ranges = {}
+  for (const metric of HEATMAP_METRICS) {
+    const values = rows.map(r => r[metric]).filter(v => v != null)
+    ranges[metric] = values.length
+      ? { min: Math.min(...values), max: Math.max(...values), median: median(values) }
+      : { min: null, max: null, median: null }
+  }
+
+  for (const row of rows) {
+    if (row.status !== 'ok') continue
+    row.normalized = Object.fromEntries(HEATMAP_METRICS.map(metric => {
+      const { min, max } = ranges[metric]
+      if (row[metric] == null) return [metric, null]
+      // A single value (or all equal) sits mid-scale rather than at an extreme
+      return [metric, max > min ? Number(((row[metric] - min) / (max - min)).toFixed(4)) : 0.5]
+    }))
+  }
+
+  return {
+    summary: {
+      regions: rows.length,
+      withData: rows.filter(r => r.status === 'ok').length,
+      noData: rows.filter(r => r.status === 'no-data').length,
+      failed: rows.filter(r => r.status === 'error').length,
+    },
+    ranges,
+    regions: rows,
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * Batch LMI reports for a whole school catalog.
+ *
+ * buildProgramReport() does the work (shared by the server and report.mjs):
+ *   1. group programs by unique CIP code
+ *   2. call by-cip in batches of 25 (like validate.mjs), throttled and retried
+ *   3. a batch response does not say which CIP produced which occupation, so
+ *      a multi-CIP batch with data is split by the CIP→SOC crosswalk when the
+ *      caller passes one (socCodesForCip); CIPs it cannot attribute are
+ *      re-queried one at a time
+ *   4. summarize each program: median salary, growth, demand, top occupations
+ *
+ * Upstream calls: ceil(CIPs / 25) batches, plus one per CIP that had to be
+ * re-queried. Without a crosswalk that is every valid CIP in a batch with
+ * data – close to one call per CIP for a real catalog.
+ *
+ * Steps 2 and 3 are fetchOccupationsByCip(), which LMI snapshots reuse.
+ *
+ * createReportJobManager() runs reports in the background and persists job
+ * status and finished reports as JSON files so they can be polled/downloaded.
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs'
+import { join } from 'path'
+import { sleep, withRetry } from './async-utils.mjs'
+import { LIMITS } from './validation.mjs'
+import { median, round } from './lmi-stats.mjs'
+
+const CIP_IN_TEXT = /\b\d{2}\.\d{2,4}\b/
+
+// Splits a multi-CIP batch's occupations between its CIPs by their crosswalk
+// SOC codes. CIPs the crosswalk lacks stay unresolved; if no CIP is unresolved
+// yet an occupation belongs to none of them, the crosswalk disagrees with the
+// upstream mapping and the whole batch stays unresolved.
+// Returns { resolved: Map(cip → occupations), unresolved: [cip] }.
+function attributeOccupations(cips, occupations, socCodesForCip) {
+  const known = new Map()
+  for (const cip of cips) {
+    const socCodes = socCodesForCip(cip)
+    if (socCodes) known.set(cip, new Set(socCodes))
+  }
+  const unknown = cips.filter(cip => !known.has(cip))
+  const explained = occupations.every(o => [...known.values()].some(socCodes => socCodes.has(o.socCode)))
+  if (!explained && !unknown.length) return { resolved: new Map(), unresolved: cips }
+  const resolved = new Map([...known].map(([cip, socCodes]) => [cip, occupations.filter(o => socCodes.has(o.socCode))]))
+  return { resolved, unresolved: unknown }
+}
+
+// Which CIP codes a by-cip warning list rejected
+function invalidCipsFromWarnings(warnings = []) {
+  const codes = new Set()
+  for (const w of warnings) {
+    if (w.code !== 'INVALID_CIP_CODE') continue
+    const cip = w.cipCode || w.value || w.message?.match(CIP_IN_TEXT)?.[0]
+    if (cip) codes.add(cip)
+  }
+  return codes
+}
+
+/**
+ * Aggregates one CIP's matched occupations into the report's per-program
+ * metrics: the plain median salary and the top three occupations, unlike the
+ * employment-weighted summarizeOccupations in lmi-stats.mjs.
+ */
+export function summarizeReportProgram(occupations) {
+  const withData = occupations.filter(o => o.laborMarketData)
+  const salaries = withData.map(o => o.laborMarketData.medianAnnualSalary).filter(v => v != null)
+
+  // Employment-weighted growth and demand; unweighted if employment is missing
+  let weightSum = 0, growthSum = 0, demandWeight = 0, demandSum = 0
+  for (const o of withData) {
+    const lmd = o.laborMarketData
+    const weight = lmd.totalEmployment || 1
+    if (lmd.forecastedEmploymentGrowth != null) {
+      growthSum += lmd.forecastedEmploymentGrowth * weight
+      weightSum += weight
+    }
+    if (lmd.demand?.score != null) {
+      demandSum += lmd.demand.score * weight
+      demandWeight += weight
+    }
+  }
+
+  return {
+    occupationCount: occupations.length,
+    medianSalary: median(salaries),
+    growth: weightSum ? round(growthSum / weightSum, 4) : null,
+    demandScore: demandWeight ? round(demandSum / demandWeight, 2) : null,
+    totalEmployment: withData.reduce((s, o) => s + (o.laborMarketData.totalEmployment || 0), 0),
+    topOccupations: [...withData]
+      .sort((a, b) => (b.laborMarketData.totalEmployment || 0) - (a.laborMarketData.totalEmployment || 0))
+      .slice(0, 3)
+      .map(o => ({
+        socCode: o.socCode,
+        name: o.name,
+        medianAnnualSalary: o.laborMarketData.medianAnnualSalary ?? null,
+        totalEmployment: o.laborMarketData.totalEmployment ?? null,
+        forecastedEmploymentGrowth: o.laborMarketData.forecastedEmploymentGrowth ?? null,
+        demandScore: o.laborMarketData.demand?.score ?? null,
+      })),
+  }
+}
+
+/**
+ * Fetches the matched occupations of every CIP code (steps 2 and 3 above).
+ *
+ * Returns { results: Map(cip → { status: 'ok'|'no-data'|'invalid-cip'|'error',
+ * occupations?, message? }), calls, attributed (CIPs split out of a batch
+ * response), requeried (CIPs queried one at a time) }.
+ *
+ * Options: regionType, region, batchSize (LIMITS.codes, also the cap), delayMs between upstream calls
+ * (250), retries (3), cacheControl (e.g. 'no-cache' to skip cached responses),
+ * onProgress({ phase, done, total }), log(message), socCodesForCip(cip) → the
+ * crosswalk SOC codes of a 6-digit CIP or null (without it, every CIP in a
+ * multi-CIP batch with data is re-queried).
+ */
+export async function fetchOccupationsByCip(lmi, uniqueCips, {
+  regionType = 'national',
+  region,
+  cacheControl,
+  batchSize = LIMITS.codes,
+  delayMs = 250,
+  retries = 3,
+  onProgress = () => {},
+  log = () => {},
+  socCodesForCip = () => null,
+} = {}) {
+  const requested = new Set(uniqueCips)
+  batchSize = Math.min(batchSize, LIMITS.codes)
+  const results = new Map() // cip → { status, occupations?, message? }
+
+  const fetchCips = (cipCodes) => withRetry(() => {
+    const body = { cipCodes, regionType, includeSkills: false }
+    if (region) body.region = region
+    return lmi.byCip(body, { cacheControl })
+  }, {
+    retries,
+    onRetry: ({ attempt, delay, status, error }) =>
+      log(`Retry ${attempt} for ${cipCodes.length} CIP(s) in ${delay}ms (${status || error?.message})`),
+  })
+
+  let calls = 0
+  const throttled = async (cipCodes) => {
+    if (calls++ > 0 && delayMs > 0) await sleep(delayMs)
+    return fetchCips(cipCodes)
+  }
+
+  // Phase 1: batches – find out which CIPs have data, and attribute what the crosswalk allows
+  const needsSingle = []
+  let attributed = 0
+  for (let i = 0; i < uniqueCips.length; i += batchSize) {
+    const batch = uniqueCips.slice(i, i + batchSize)
+    try {
+      const { status, data } = await throttled(batch)
+      if (status >= 400 || data?.object === 'error') {
+        const message = data?.error?.message || `Upstream status ${status}`
+        for (const cip of batch) results.set(cip, { status: 'error', message })
+      } else {
+        const invalid = invalidCipsFromWarnings(data?.data?.warnings)
+        const valid = batch.filter(cip => !invalid.has(cip))
+        const occupations = data?.data?.matchedOccupations || []
+        for (const cip of invalid) if (requested.has(cip)) results.set(cip, { status: 'invalid-cip' })
+        if (valid.length === 1) {
+          results.set(valid[0], { status: occupations.length ? 'ok' : 'no-data', occupations })
+        } else if (occupations.length) {
+          const { resolved, unresolved } = attributeOccupations(valid, occupations, socCodesForCip)
+          for (const [cip, occs] of resolved) results.set(cip, { status: occs.length ? 'ok' : 'no-data', occupations: occs })
+          attributed += resolved.size
+          needsSingle.push(...unresolved)
+        } else {
+          for (const cip of valid) results.set(cip, { status: 'no-data', occupations: [] })
+        }
+      }
+    } catch (err) {
+      for (const cip of batch) results.set(cip, { status: 'error', message: err.message })
+    }
+    onProgress({ phase: 'batches', done: Math.min(i + batchSize, uniqueCips.length), total: uniqueCips.length })
+  }
+
+  if (needsSingle.length || attributed) {
+    log(`${attributed} CIP(s) attributed from batch responses, ${needsSingle.length} to query one at a time`)
+  }
+
+  // Phase 2: one call per CIP that shared a batch with data and could not be attributed
+  for (let i = 0; i < needsSingle.length; i++) {
+    const cip = needsSingle[i]
+    try {
+      const { status, data } = await throttled([cip])
+      if (status >= 400 || data?.object === 'error') {
+        results.set(cip, { status: 'error', message: data?.error?.message || `Upstream status ${status}` })
+      } else {
+        const occupations = data?.data?.matchedOccupations || []
+        const rejected = (data?.data?.warnings || []).some(w => w.code === 'INVALID_CIP_CODE')
+        results.set(cip, occupations.length ? { status: 'ok', occupations } : { status: rejected ? 'invalid-cip' : 'no-data', occupations })
+      }
+    } catch (err) {
+      results.set(cip, { status: 'error', message: err.message })
+    }
+    onProgress({ phase: 'attribution', done: i + 1, total: needsSingle.length })
+  }
+
+  return { results, calls, attributed, requeried: needsSingle.length }
+}
+
+/**
+ * Fetches LMI for every unique CIP in `programs` and returns the per-program report.
+ *
+ * Options: as for fetchOccupationsByCip.
+ */
+export async function buildProgramReport(lmi, programs, options = {}) {
+  const { regionType = 'national', region } = options
+  const uniqueCips = [...new Set(programs.map(p => p.cipCode).filter(Boolean))]
+  const { results, calls, attributed, requeried } = await fetchOccupationsByCip(lmi, uniqueCips, options)
+
+  const summaries = new Map()
+  for (const [cip, result] of results) {
+    summaries.set(cip, result.occupations ? summarizeReportProgram(result.occupations) : null)
+  }
+
+  const reportPrograms = programs.map(p => {
+    const result = results.get(p.cipCode) || { status: p.cipCode ? 'error' : 'invalid-cip' }
+    return {
+      code: p.code,
+      name: p.longName || p.name || p.code,
+      cipCode: p.cipCode || null,
+      type: p.type || '',
+      degreeDesignation: p.degreeDesignation || '',
+      college: p.college || '',
+      status: result.status,
+      ...(result.message ? { message: result.message } : {}),
+      ...(summaries.get(p.cipCode) || { occupationCount: 0, medianSalary: null, growth: null, demandScore: null, totalEmployment: 0, topOccupations: [] }),
+    }
+  })
+
+  const cipStatuses = [...results.values()].map(r => r.status)
+  return {
+    regionType,
+    region: region || null,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      programs: programs.length,
+      programsWithData: reportPrograms.filter(p => p.status === 'ok').length,
+      uniqueCips: uniqueCips.length,
+      cipsWithData: cipStatuses.filter(s => s === 'ok').length,
+      invalidCips: cipStatuses.filter(s => s === 'invalid-cip').length,
+      failedCips: cipStatuses.filter(s => s === 'error').length,
+      upstreamCalls: calls,
+      attributedCips: attributed,
+      requeriedCips: requeried,
+    },
+    programs: reportPrograms,
+  }
+}
+
+// ─── Background jobs ──────────────────────────────────────
+/**
+ * Job manager. `loadSchool(schoolId)` must return `{ label, programs }` or null.
+ * Jobs are stored as <dir>/<id>.json, finished reports as <dir>/<id>.report.json.
+ */
+export function createReportJobManager({ dir, lmi, loadSchool, reportOptions = {} }) {
+  mkdirSync(dir, { recursive: true })
+  const jobs = new Map()
+
+  const jobFile = (id) => join(dir, `${id}.json`)
+  const reportFile = (id) => join(dir, `${id}.report.json`)
+  const save = (job) => writeFileSync(jobFile(job.id), JSON.stringify(job, null, 2))
+
+  // Reload previous jobs; anything still running was cut off by a restart
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.json') && !f.endsWith('.report.json'))) {
+    try {
+      const job = JSON.parse(readFileSync(join(dir, file), 'utf-8'))
+      if (job.status === 'queued' || job.status === 'running') {
+        Object.assign(job, { status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date().toISOString() })
+        save(job)
+      }
+      jobs.set(job.id, job)
+    } catch (err) {
+      console.error(`Skipping unreadable report job ${file}:`, err.message)
+    }
+  }
+
+  async function run(job, programs) {
+    job.status = 'running'
+    job.startedAt = new Date().toISOString()
+    save(job)
+    try {
+      const report = await buildProgramReport(lmi, programs, {
+        ...reportOptions,
+        regionType: job.regionType,
+        region: job.region || undefined,
+        onProgress: (progress) => { job.progress = progress; save(job) },
+        log: (msg) => console.log(`   [report ${job.id}] ${msg}`),
+      })
+      writeFileSync(reportFile(job.id), JSON.stringify({ jobId: job.id, schoolId: job.schoolId, school: job.school, ...report }, null, 2))
+      Object.assign(job, { status: 'completed', summary: report.summary, finishedAt: new Date().toISOString() })
+    } catch (err) {
+      console.error(`Report job ${job.id} failed:`, err)
+      Object.assign(job, { status: 'failed', error: err.message, finishedAt: new Date().toISOString() })
+    }
+    save(job)
+  }
+
+  return {
+    create({ schoolId, regionType = 'national', region }) {
+      const school = loadSchool(schoolId)
+      if (!school) return null
+      const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        schoolId,
+        school: school.label,
+        regionType,
+        region: region || null,
+        status: 'queued',
+        progress: null,
+        createdAt: new Date().toISOString(),
+      }
+      jobs.set(job.id, job)
+      save(job)
+      run(job, school.programs)
+      return job
+    },
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    reportPath: (id) => jobs.get(id)?.status === 'completed' && existsSync(reportFile(id)) ? reportFile(id) : null,
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Saved explorer analyses: the state of an explorer page plus a snapshot of
+ * the LMI results it showed, so a colleague opening the deep link
+ * (/<page>?analysis=<id>) sees exactly what was saved.
+ *
+ * One JSON file per analysis (<dir>/<id>.json):
+ *
+ *   { id, name, description, page: 'advanced'|'ai-explorer', schoolId,
+ *     state, snapshot, snapshotAt, createdBy, createdAt, updatedBy, updatedAt }
+ *
+ * `state` and `snapshot` are owned by the page that saved them. Listings
+ * leave the snapshot out; it is only read when one analysis is opened.
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, renameSync, unlinkSync } from 'fs'
+import { join } from 'path'
+
+export const ANALYSIS_PAGES = ['advanced', 'ai-explorer']
+
+export function createAnalysisStore({ dir }) {
+  mkdirSync(dir, { recursive: true })
+  const index = new Map() // id → analysis without its snapshot
+
+  const fileFor = (id) => join(dir, `${id}.json`)
+  const summary = ({ snapshot, ...meta }) => ({ ...meta, hasSnapshot: snapshot != null })
+
+  // Write to a temp file first so a crash never leaves a half-written analysis
+  function save(analysis) {
+    const file = fileFor(analysis.id)
+    writeFileSync(`${file}.tmp`, JSON.stringify(analysis, null, 2))
+    renameSync(`${file}.tmp`, file)
+    index.set(analysis.id, summary(analysis))
+  }
+
+  function read(id) {
+    if (!index.has(id)) return null
+    return JSON.parse(readFileSync(fileFor(id), 'utf-8'))
+  }
+
+  for (const file of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+    try {
+      const analysis = JSON.parse(readFileSync(join(dir, file), 'utf-8'))
+      index.set(analysis.id, summary(analysis))
+    } catch (err) {
+      console.error(`Skipping unreadable saved analysis ${file}:`, err.message)
+    }
+  }
+
+  return {
+    /** Analyses without snapshots, most recently updated first; filter by { page, schoolId, createdBy }. */
+    list({ page, schoolId, createdBy } = {}) {
+      return [...index.values()]
+        .filter(a => (!page || a.page === page) && (!schoolId || a.schoolId === schoolId) && (!createdBy || a.createdBy === createdBy))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    },
+
+    /** Metadata only (for access checks before reading the file). */
+    meta: (id) => index.get(id) || null,
+
+    get: read,
+
+    create({ name, description, page, schoolId, state, snapshot }, { user } = {}) {
+      const now = new Date().toISOString()
+      const analysis = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        name,
+        description: description || null,
+        page,
+        schoolId: schoolId || null,
+        state,
+        snapshot: snapshot ?? null,
+        snapshotAt: snapshot != null ? now : null,
+        createdBy: user || null,
+        createdAt: now,
+        updatedBy: user || null,
+        updatedAt: now,
+      }
+      save(analysis)
+      return analysis
+    },
+
+    /** Updates name, description, school, state and/or snapshot (a new snapshot is re-dated; the school is never cleared). */
+    update(id, { name, description, schoolId, state, snapshot }, { user } = {}) {
+      const analysis = read(id)
+      if (!analysis) return null
+      const now = new Date().toISOString()
+      if (name !== undefined) analysis.name = name
+      if (description !== undefined) analysis.description = description || null
+      if (schoolId) analysis.schoolId = schoolId
+      if (state !== undefined) analysis.state = state
+      if (snapshot !== undefined) Object.assign(analysis, { snapshot, snapshotAt: snapshot != null ? now : null })
+      Object.assign(analysis, { updatedBy: user || null, updatedAt: now })
+      save(analysis)
+      return analysis
+    },
+
+    remove(id) {
+      if (!index.has(id)) return false
+      index.delete(id)
+      if (existsSync(fileFor(id))) unlinkSync(fileFor(id))
+      return true
+    },
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * School (tenant) registry.
+ *
+ * Schools are described in a JSON config file (config/schools.json):
+ *
+ *   { id, label, source: { type: 'mongodb', db } | { type: 'file' },
+ *     defaultRegion: { regionType, region } }
+ *
+ * `source` says where dump-programs.mjs gets the catalog from; a "file"
+ * school's data/<id>.json is imported from CSV/JSON (import-programs.mjs or
+ * the upload endpoint). Program data is always served from data/<id>.json.
+ *
+ * Both the config and the data files are hot-reloaded: every lookup compares
+ * the file's mtime with the loaded copy, so edits (or a fresh dump) show up
+ * without a restart. A file that fails to parse keeps the previous copy.
+ * Each loaded data file gets a search index (see program-index.mjs), and
+ * `decorate(program)` can add derived fields (e.g. CIP titles) to its records.
+ */
+
+import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync, renameSync } from 'fs'
+import { dirname, join } from 'path'
+import { is, validate, regionFields, checkRegion } from './validation.mjs'
+import { createProgramIndex } from './program-index.mjs'
+
+export const SOURCE_TYPES = ['mongodb', 'file']
+const SCHOOL_ID_RE = /^[a-z0-9][a-z0-9_-]{1,39}$/
+
+const sourceSchema = is.object({
+  type: is.string({ oneOf: SOURCE_TYPES }),
+  db: is.optional(is.string({ max: 100 })),
+}, { check: (s) => s.type === 'mongodb' && !s.db ? { field: 'db', message: 'is required for mongodb sources' } : null })
+
+const defaultRegionSchema = is.optional(is.object(regionFields, { check: checkRegion }), { regionType: 'national' })
+
+const fieldSchemas = {
+  id: is.string({ pattern: SCHOOL_ID_RE, hint: '2-40 lowercase letters, digits, "_" or "-"' }),
+  label: is.string({ max: 200 }),
+  source: is.optional(sourceSchema, { type: 'file' }),
+  defaultRegion: defaultRegionSchema,
+}
+
+/**
+ * Validates school fields: { value } or { errors }. With `partial` only the
+ * given fields are checked (and the id may not change).
+ */
+export function validateSchool(fields, { partial = false } = {}) {
+  if (!partial) return validate(is.object(fieldSchemas), fields)
+  const shape = {}
+  for (const key of ['label', 'source', 'defaultRegion']) {
+    if (fields?.[key] !== undefined) shape[key] = fieldSchemas[key]
+  }
+  return validate(is.object(shape), fields)
+}
+
+/** Reads and validates the config file; throws with the first problem. */
+export function loadSchoolConfig(file) {
+  const config = JSON.parse(readFileSync(file, 'utf-8'))
+  const schools = []
+  for (const entry of config.schools || []) {
+    const { value, errors } = validateSchool(entry)
+    if (errors) throw new Error(`${file}: school "${entry?.id}": ${errors[0].field} ${errors[0].message}`)
+    if (schools.some(s => s.id === value.id)) throw new Error(`${file}: duplicate school id "${value.id}"`)
+    schools.push(value)
+  }
+  return schools
+}
+
+const mtimeOf = (file) => existsSync(file) ? statSync(file).mtimeMs : 0
+
+export function createSchoolRegistry({ file, dataDir, log = console, decorate }) {
+  let schools = []
+  let configMtime = -1
+  const data = new Map() // schoolId → { mtime, value, index }
+
+  function refreshConfig() {
+    const mtime = mtimeOf(file)
+    if (mtime === configMtime) return
+    configMtime = mtime
+    if (!mtime) { schools = []; return }
+    try {
+      schools = loadSchoolConfig(file)
+      log.log(`🏫 Loaded ${schools.length} schools from ${file}`)
+    } catch (err) {
+      log.error(`⚠️  Keeping previous school registry – ${err.message}`)
+    }
+  }
+
+  function save() {
+    mkdirSync(dirname(file), { recursive: true })
+    writeFileSync(`${file}.tmp`, JSON.stringify({ schools }, null, 2) + '\n')
+    renameSync(`${file}.tmp`, file)
+    configMtime = mtimeOf(file)
+  }
+
+  const find = (id) => { refreshConfig(); return schools.find(s => s.id === id) || null }
+  const dataFile = (id) => join(dataDir, `${id}.json`)
+  const entryFor = (id) => { const school = find(id); return school ? loadData(school) : null }
+  const dataFor = (id) => entryFor(id)?.value || null
+
+  const emptyEntry = (school, mtime) => ({ mtime, value: { school: school.label, programs: [], count: 0 }, index: createProgramIndex([]) })
+
+  /** { mtime, value: { school, programs, count }, index } from data/<id>.json, reloaded when the file changes. */
+  function loadData(school) {
+    const path = dataFile(school.id)
+    const mtime = mtimeOf(path)
+    const cached = data.get(school.id)
+    if (cached && cached.mtime === mtime) return cached
+    if (!mtime) {
+      if (cached?.mtime !== 0) log.warn(`⚠️  No data file for ${school.label} at ${path}`)
+      const entry = emptyEntry(school, 0)
+      data.set(school.id, entry)
+      return entry
+    }
+    try {
+      const value = JSON.parse(readFileSync(path, 'utf-8'))
+      value.programs = (value.programs || []).map(p => decorate ? { ...p, ...decorate(p) } : p)
+      const entry = { mtime, value, index: createProgramIndex(value.programs) }
+      data.set(school.id, entry)
+      log.log(`📄 Loaded ${value.programs.length} programs for ${school.label}`)
+      return entry
+    } catch (err) {
+      log.error(`⚠️  Could not load ${path}: ${err.message}`)
+      return cached || emptyEntry(school, -1)
+    }
+  }
+
+  return {
+    file,
+
+    list() {
+      refreshConfig()
+      return schools
+    },
+
+    get: find,
+    has: (id) => !!find(id),
+
+    /** Program data for a school, or null if the school is unknown. */
+    data: dataFor,
+    programs: (id) => dataFor(id)?.programs || [],
+
+    /** Search index over the school's programs, or null if the school is unknown. */
+    index: (id) => entryFor(id)?.index || null,
+
+    /** When the school's data file was last changed (ISO string), or null. */
+    dataUpdatedAt(id) {
+      const mtime = mtimeOf(dataFile(id))
+      return mtime ? new Date(mtime).toISOString() : null
+    },
+
+    /** Replaces a school's data/<id>.json (e.g. after a catalog import). */
+    saveData(id, value) {
+      const path = dataFile(id)
+      mkdirSync(dataDir, { recursive: true })
+      writeFileSync(`${path}.tmp`, JSON.stringify(value, null, 2))
+      renameSync(`${path}.tmp`, path)
+      data.delete(id)
+    },
+
+    /** Adds a validated school (see validateSchool) and saves the config. */
+    create(school) {
+      refreshConfig()
+      schools = [...schools, school]
+      save()
+      return school
+    },
+
+    update(id, fields) {
+      const school = find(id)
+      if (!school) return null
+      const updated = { ...school, ...fields, id: school.id }
+      schools = schools.map(s => s.id === id ? updated : s)
+      save()
+      data.delete(id)
+      return updated
+    },
+
+    /** Removes a school from the registry; its data file is left in place. */
+    remove(id) {
+      if (!find(id)) return false
+      schools = schools.filter(s => s.id !== id)
+      save()
+      data.delete(id)
+      return true
+    },
+  }
+}
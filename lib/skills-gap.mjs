@@ -0,0 +1,112 @@
+/**
+ * Skills gap between what a program teaches and what its target occupations
+ * require.
+ *
+ * Each occupation gets a weight (see GAP_WEIGHTINGS) and each of its skills
+ * counts by tier: core skills fully, relevant skills half and transferable
+ * skills a quarter. A skill's importance is the weighted sum over the
+ * occupations, normalized so 1 means "a core skill of every occupation".
+ *
+ * Against the skills the program declares it teaches (skills library ids):
+ *   covered         – taught, and important (importance >= minImportance)
+ *   missing         – important but not taught
+ *   overRepresented – taught but below minImportance, including skills no
+ *                     target occupation asks for
+ */
+
+export const SKILL_TIERS = [
+  { key: 'coreSkills', tier: 'core', weight: 1 },
+  { key: 'relevantSkills', tier: 'relevant', weight: 0.5 },
+  { key: 'transferableSkills', tier: 'transferable', weight: 0.25 },
+]
+
+/**
+ * How occupations are weighted:
+ *   employment – total employment (default), so large occupations count more
+ *   demand     – employment scaled by 1 + the demand score (0–2)
+ *   equal      – every occupation the same
+ */
+export const GAP_WEIGHTINGS = ['employment', 'demand', 'equal']
+
+export const DEFAULT_MIN_IMPORTANCE = 0.2
+
+const round = (value, digits = 4) => Number(value.toFixed(digits))
+
+// Raw weight of one occupation; occupations without figures fall back to the
+// mean of the others so they still count
+function occupationWeights(occupations, weighting) {
+  const raw = occupations.map(occ => {
+    if (weighting === 'equal') return 1
+    const lmd = occ.laborMarketData || {}
+    if (!(lmd.totalEmployment > 0)) return null
+    return weighting === 'demand' ? lmd.totalEmployment * (1 + Math.max(0, lmd.demand?.score || 0)) : lmd.totalEmployment
+  })
+  const known = raw.filter(w => w != null)
+  const fallback = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1
+  const weights = raw.map(w => w ?? fallback)
+  const total = weights.reduce((a, b) => a + b, 0) || 1
+  return weights.map(w => w / total)
+}
+
+/**
+ * Skills the occupations require, most important first:
+ * [{ id, name, description, importance, occupations: [{ socCode, tier }] }].
+ */
+export function requiredSkills(occupations, { weighting = 'employment' } = {}) {
+  const shares = occupationWeights(occupations, weighting)
+  const skills = new Map()
+  occupations.forEach((occ, i) => {
+    for (const { key, tier, weight } of SKILL_TIERS) {
+      for (const s of occ.skillRequirements?.[key] || []) {
+        const id = s.mslSkillId || s.mslSkillName
+        if (!skills.has(id)) skills.set(id, { id, name: s.mslSkillName, description: s.mslSkillDescription || null, importance: 0, occupations: [] })
+        const skill = skills.get(id)
+        // An occupation listing a skill in two tiers counts it once, at the higher tier
+        if (skill.occupations.some(o => o.socCode === occ.socCode)) continue
+        skill.importance += shares[i] * weight
+        skill.occupations.push({ socCode: occ.socCode, tier })
+      }
+    }
+  })
+  return [...skills.values()]
+    .map(s => ({ ...s, importance: round(s.importance) }))
+    .sort((a, b) => b.importance - a.importance || a.name.localeCompare(b.name))
+}
+
+/**
+ * Compares taught skills ([{ id, name }]) with the occupations' requirements.
+ *
+ * Returns { weighting, minImportance, occupations: [{ socCode, name, weight }],
+ * covered, missing, overRepresented, coverage: { skills, importance } } where
+ * coverage is the share of important skills (and of their total importance)
+ * the program teaches.
+ */
+export function analyzeSkillsGap({ occupations, taught = [] }, { weighting = 'employment', minImportance = DEFAULT_MIN_IMPORTANCE } = {}) {
+  const withSkills = occupations.filter(o => o.skillRequirements)
+  const shares = occupationWeights(withSkills, weighting)
+  const required = requiredSkills(withSkills, { weighting })
+  const requiredById = new Map(required.map(s => [s.id, s]))
+  const taughtIds = new Set(taught.map(s => s.id))
+
+  const important = required.filter(s => s.importance >= minImportance)
+  const covered = important.filter(s => taughtIds.has(s.id))
+  const missing = important.filter(s => !taughtIds.has(s.id))
+  const overRepresented = taught
+    .filter(s => !(requiredById.get(s.id)?.importance >= minImportance))
+    .map(s => ({ ...s, importance: requiredById.get(s.id)?.importance || 0, occupations: requiredById.get(s.id)?.occupations || [] }))
+    .sort((a, b) => a.importance - b.importance || a.name.localeCompare(b.name))
+
+  const sum = (list) => list.reduce((total, s) => total + s.importance, 0)
+  return {
+    weighting,
+    minImportance,
+    occupations: withSkills.map((o, i) => ({ socCode: o.socCode, name: o.name, weight: round(shares[i]) })),
+    covered,
+    missing,
+    overRepresented,
+    coverage: {
+      skills: important.length ? round(covered.length / important.length) : null,
+      importance: important.length ? round(sum(covered) / sum(important)) : null,
+    },
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * SOC 2018 hierarchy: major group → minor group → broad group → detailed occupation.
+ *
+ * data/soc_structure.json is generated by build-soc-codes.mjs from the BLS
+ * structure workbook (soc_structure_2018.xlsx), together with the flat list of
+ * detailed occupations in data/soc_codes.json:
+ *
+ *   { source, generatedAt, codes: [{ code: "15-1250", title, level: "broad", parent: "15-1200" }] }
+ *
+ * Group codes follow the SOC convention: a major group ends in "-0000", a
+ * minor group in "000" and a broad group in "0".
+ */
+
+import { readFileSync, existsSync } from 'fs'
+
+export const SOC_LEVELS = ['major', 'minor', 'broad', 'detailed']
+export const SOC_GROUP_LEVELS = ['major', 'minor', 'broad']
+
+/**
+ * Parses the rows of the "2018 Structure" sheet. The header row names the
+ * four code columns (Major Group … Detailed Occupation) and the title is the
+ * column after them; rows above the header are the BLS preamble.
+ *
+ * Returns { codes: [{ code, title, level, parent }], rejected: [{ row, reason }] }.
+ */
+export function parseSocStructure(rows) {
+  const headerIdx = rows.findIndex(r => r.some(c => /^major group$/i.test(String(c).trim())))
+  if (headerIdx === -1) throw new Error('SOC structure sheet has no "Major Group" header row')
+  const header = rows[headerIdx].map(c => String(c).trim().toLowerCase())
+  const levelCols = ['major group', 'minor group', 'broad group', 'detailed occupation'].map(h => header.indexOf(h))
+  if (levelCols.some(c => c === -1)) throw new Error(`SOC structure header is missing a level column (found: ${rows[headerIdx].join(', ')})`)
+  const titleCol = Math.max(...levelCols) + 1
+
+  const codes = []
+  const rejected = []
+  const current = [] // code of the latest group at each level
+  rows.slice(headerIdx + 1).forEach((row, i) => {
+    const rowNumber = headerIdx + i + 2
+    const depth = levelCols.findIndex(c => String(row[c] ?? '').trim())
+    if (depth === -1) return
+    const code = String(row[levelCols[depth]]).trim()
+    const title = String(row[titleCol] ?? '').trim()
+    if (!/^\d{2}-\d{4}$/.test(code)) return rejected.push({ row: rowNumber, reason: `Invalid SOC code "${code}"` })
+    if (!title) return rejected.push({ row: rowNumber, reason: `SOC ${code} has no title` })
+    current[depth] = code
+    current.length = depth + 1
+    // Some groups skip a level (e.g. a broad group that is also the detailed occupation)
+    const parent = depth ? current.slice(0, depth).reverse().find(Boolean) || null : null
+    codes.push({ code, title, level: SOC_LEVELS[depth], parent })
+  })
+  return { codes, rejected }
+}
+
+export function createSocHierarchy({ codes = [], source = '', generatedAt = null } = {}) {
+  const byCode = new Map(codes.map(c => [c.code, c]))
+  const children = new Map() // code → [child codes]
+  for (const c of codes) {
+    if (!c.parent) continue
+    if (!children.has(c.parent)) children.set(c.parent, [])
+    children.get(c.parent).push(c.code)
+  }
+
+  const ref = (code) => { const c = byCode.get(code); return c ? { code: c.code, title: c.title, level: c.level } : null }
+
+  function ancestors(code) {
+    const out = []
+    for (let c = byCode.get(code)?.parent; c; c = byCode.get(c)?.parent) out.unshift(ref(c))
+    return out
+  }
+
+  /** Detailed occupation codes under a code (the code itself when it is detailed). */
+  function detailedUnder(code) {
+    const entry = byCode.get(code)
+    if (!entry) return []
+    if (entry.level === 'detailed') return [code]
+    return (children.get(code) || []).flatMap(detailedUnder)
+  }
+
+  return {
+    source,
+    generatedAt,
+    size: byCode.size,
+
+    has: (code) => byCode.has(code),
+
+    /** { code, title, level, ancestors: [major, …], children: [{ code, title, level }] }, or null. */
+    get(code) {
+      const entry = byCode.get(code)
+      if (!entry) return null
+      return { ...entry, ancestors: ancestors(code), children: (children.get(code) || []).map(ref) }
+    },
+
+    /** The 23 major groups, the entry point for browsing top-down. */
+    majorGroups: () => codes.filter(c => c.level === 'major').map(c => ref(c.code)),
+
+    detailedUnder,
+
+    /**
+     * Codes starting with `q`, or whose title (then title plus group titles)
+     * contains every word of `q`. Ranked: code prefix, title prefix, title
+     * words, group words; then by code. Options: levels (subset of
+     * SOC_LEVELS), limit.
+     */
+    search(q, { levels = SOC_LEVELS, limit = 50 } = {}) {
+      const query = q.trim().toLowerCase()
+      const words = query.split(/\s+/).filter(Boolean)
+      const results = []
+      for (const entry of codes) {
+        if (!levels.includes(entry.level)) continue
+        const title = entry.title.toLowerCase()
+        let rank
+        if (entry.code.startsWith(query)) rank = 0
+        else if (!words.length) continue
+        else if (words.every(w => title.includes(w))) rank = title.startsWith(query) ? 1 : 2
+        else {
+          const context = `${title} ${ancestors(entry.code).map(a => a.title).join(' ')}`.toLowerCase()
+          if (!words.every(w => context.includes(w))) continue
+          rank = 3
+        }
+        results.push({ rank, entry })
+      }
+      results.sort((a, b) => a.rank - b.rank || a.entry.code.localeCompare(b.entry.code))
+      return { total: results.length, results: results.slice(0, limit).map(({ entry }) => ref(entry.code)) }
+    },
+  }
+}
+
+/** Loads the hierarchy JSON file; an empty hierarchy if the file is missing. */
+export function loadSocHierarchy(file) {
+  if (!existsSync(file)) return createSocHierarchy()
+  return createSocHierarchy(JSON.parse(readFileSync(file, 'utf-8')))
+}
@@ -0,0 +1,113 @@
+/**
+ * Curated program → SOC mappings with a review workflow.
+ *
+ * One JSON file per school (<dir>/<schoolId>.json) holding every mapping ever
+ * proposed for its programs:
+ *
+ *   { id, programCode, socCode, title, source: 'local'|'ai'|'manual',
+ *     status: 'proposed'|'approved'|'rejected', reason,
+ *     proposedBy, proposedAt, reviewedBy, reviewedAt, note }
+ *
+ * A (program, SOC) pair has at most one mapping; proposing it again re-opens
+ * a rejected mapping but never downgrades an approved one.
+ */
+
+import crypto from 'crypto'
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs'
+import { join } from 'path'
+
+export const MAPPING_SOURCES = ['local', 'ai', 'manual']
+export const MAPPING_STATUSES = ['proposed', 'approved', 'rejected']
+
+export function createSocMappingStore({ dir }) {
+  mkdirSync(dir, { recursive: true })
+  const schools = new Map() // schoolId → mapping[]
+
+  const fileFor = (schoolId) => join(dir, `${schoolId}.json`)
+
+  function load(schoolId) {
+    if (!schools.has(schoolId)) {
+      const file = fileFor(schoolId)
+      schools.set(schoolId, existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')).mappings || [] : [])
+    }
+    return schools.get(schoolId)
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written store
+  function save(schoolId) {
+    const file = fileFor(schoolId)
+    writeFileSync(`${file}.tmp`, JSON.stringify({ schoolId, mappings: load(schoolId) }, null, 2))
+    renameSync(`${file}.tmp`, file)
+  }
+
+  function review(schoolId, id, status, { user, note } = {}) {
+    const mapping = load(schoolId).find(m => m.id === id)
+    if (!mapping) return null
+    Object.assign(mapping, { status, reviewedBy: user || null, reviewedAt: new Date().toISOString(), note: note || mapping.note || null })
+    save(schoolId)
+    return mapping
+  }
+
+  return {
+    /** Mappings for a school, optionally filtered by { programCode, status }. */
+    list(schoolId, { programCode, status } = {}) {
+      return load(schoolId).filter(m =>
+        (!programCode || m.programCode === programCode) && (!status || m.status === status))
+    },
+
+    get: (schoolId, id) => load(schoolId).find(m => m.id === id) || null,
+
+    /**
+     * Proposes mappings for one program. `entries` are { socCode, title, source, reason }.
+     * With `approve`, the mappings are approved in the same step (manual curation).
+     */
+    propose(schoolId, programCode, entries, { user, approve = false } = {}) {
+      const mappings = load(schoolId)
+      const now = new Date().toISOString()
+      const result = []
+
+      for (const entry of entries) {
+        let mapping = mappings.find(m => m.programCode === programCode && m.socCode === entry.socCode)
+        if (!mapping) {
+          mapping = {
+            id: crypto.randomBytes(6).toString('hex'),
+            programCode,
+            socCode: entry.socCode,
+            title: entry.title || '',
+            source: entry.source,
+            status: 'proposed',
+            reason: entry.reason || null,
+            proposedBy: user || null,
+            proposedAt: now,
+            reviewedBy: null,
+            reviewedAt: null,
+            note: null,
+          }
+          mappings.push(mapping)
+        } else if (mapping.status === 'rejected') {
+          Object.assign(mapping, {
+            status: 'proposed', source: entry.source, reason: entry.reason || mapping.reason,
+            proposedBy: user || null, proposedAt: now, reviewedBy: null, reviewedAt: null,
+          })
+        }
+        if (approve && mapping.status !== 'approved') {
+          Object.assign(mapping, { status: 'approved', reviewedBy: user || null, reviewedAt: now })
+        }
+        result.push(mapping)
+      }
+
+      save(schoolId)
+      return result
+    },
+
+    approve: (schoolId, id, opts) => review(schoolId, id, 'approved', opts),
+    reject: (schoolId, id, opts) => review(schoolId, id, 'rejected', opts),
+
+    /** Approved mappings for a program, oldest approval first. */
+    approvedFor(schoolId, programCode) {
+      return load(schoolId)
+        .filter(m => m.programCode === programCode && m.status === 'approved')
+        .sort((a, b) => (a.reviewedAt || '').localeCompare(b.reviewedAt || ''))
+    },
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Local (keyword) SOC matching with explainable scores.
+ *
+ * SOC titles and group names are indexed as unigrams and bigrams. A program
+ * scores against each SOC code by:
+ *   unigram – IDF of every program token the SOC text contains (rarer words count more)
+ *   bigram  – IDF of every adjacent token pair the SOC text contains
+ *   title   – share of the SOC title's tokens that appear in the program text
+ * each multiplied by its weight (DEFAULT_MATCH_WEIGHTS, overridable per call).
+ *
+ * Every match carries an `explanation` with the terms that contributed, which
+ * program field they came from and which SOC field they hit, so reviewers can
+ * see why an occupation ranked.
+ */
+
+export const DEFAULT_MATCH_WEIGHTS = { unigram: 1, bigram: 2, title: 10 }
+
+// Program fields that make up the query, in query order
+export const MATCH_FIELDS = ['longName', 'name', 'type', 'degreeDesignation', 'college', 'level']
+
+const SOC_FIELDS = ['title', 'majorGroup', 'minorGroup', 'broadGroup']
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
+  'her', 'was', 'one', 'our', 'out', 'has', 'have', 'from', 'with', 'they',
+  'been', 'this', 'that', 'will', 'each', 'make', 'like', 'than', 'them',
+  'then', 'its', 'over', 'such', 'other', 'into', 'more', 'some', 'very',
+  'when', 'what', 'also', 'only', 'just', 'about', 'which',
+])
+
+export function tokenize(text) {
+  return String(text || '').toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+}
+
+const bigramsOf = (tokens) => tokens.slice(1).map((t, i) => `${tokens[i]}_${t}`)
+
+const round = (value, digits = 2) => Number(value.toFixed(digits))
+
+/**
+ * Builds the matcher over detailed SOC entries ({ code, title, majorGroup,
+ * minorGroup, broadGroup }) and an optional CIP→SOC crosswalk (lookup(cip)).
+ */
+export function createSocMatcher({ socCodes = [], crosswalk = null } = {}) {
+  const index = new Map()  // term → Set<socCode>
+  const byCode = new Map() // code → { entry, fieldTerms: { field: Set<term> }, titleTokens }
+
+  for (const soc of socCodes) {
+    const fieldTokens = SOC_FIELDS.map(f => tokenize(soc[f]))
+    const tokens = fieldTokens.flat()
+    const fieldTerms = Object.fromEntries(SOC_FIELDS.map((f, i) => [f, new Set([...fieldTokens[i], ...bigramsOf(fieldTokens[i])])]))
+    byCode.set(soc.code, { entry: soc, fieldTerms, titleTokens: fieldTokens[0] })
+    for (const term of [...tokens, ...bigramsOf(tokens)]) {
+      if (!index.has(term)) index.set(term, new Set())
+      index.get(term).add(soc.code)
+    }
+  }
+
+  // SOC fields a term occurs in; a bigram spanning two fields falls back to the fields of its words
+  function socFieldsOf(code, term) {
+    const { fieldTerms } = byCode.get(code)
+    const hit = SOC_FIELDS.filter(f => fieldTerms[f].has(term))
+    if (hit.length || !term.includes('_')) return hit
+    const words = term.split('_')
+    return SOC_FIELDS.filter(f => words.some(w => fieldTerms[f].has(w)))
+  }
+
+  /**
+   * Scores every SOC code that shares a term with the program.
+   * Returns Map<socCode, { score, unigram, bigram, title, terms, titleOverlap }>.
+   */
+  function score(program, weights = DEFAULT_MATCH_WEIGHTS) {
+    const w = { ...DEFAULT_MATCH_WEIGHTS, ...weights }
+    const fieldText = MATCH_FIELDS.map(f => [f, program[f]]).filter(([, v]) => v)
+    const queryText = fieldText.map(([, v]) => v).join(' ')
+    const queryTokens = tokenize(queryText)
+    const fieldTerms = fieldText.map(([f, v]) => {
+      const tokens = tokenize(v)
+      return [f, new Set([...tokens, ...bigramsOf(tokens)])]
+    })
+    const programFieldsOf = (term) => {
+      const hit = fieldTerms.filter(([, terms]) => terms.has(term)).map(([f]) => f)
+      if (hit.length || !term.includes('_')) return hit
+      const words = term.split('_')
+      return fieldTerms.filter(([, terms]) => words.some(t => terms.has(t))).map(([f]) => f)
+    }
+
+    const results = new Map()
+    const resultFor = (code) => {
+      if (!results.has(code)) results.set(code, { score: 0, unigram: 0, bigram: 0, title: 0, terms: new Map(), titleOverlap: null })
+      return results.get(code)
+    }
+
+    // IDF-weighted term hits; a term repeated in the program counts each time
+    const addTerms = (terms, kind, weight) => {
+      for (const term of terms) {
+        const matches = index.get(term)
+        if (!matches) continue
+        const idf = Math.log(socCodes.length / matches.size)
+        const contribution = idf * weight
+        for (const code of matches) {
+          const r = resultFor(code)
+          r.score += contribution
+          r[kind] += contribution
+          const t = r.terms.get(term)
+          if (t) {
+            t.occurrences++
+            t.contribution += contribution
+          } else {
+            r.terms.set(term, { term, kind, idf, occurrences: 1, contribution })
+          }
+        }
+      }
+    }
+    addTerms(queryTokens, 'unigram', w.unigram)
+    addTerms(bigramsOf(queryTokens), 'bigram', w.bigram)
+
+    // Title overlap: share of the SOC title's words found anywhere in the program text
+    const queryLower = queryText.toLowerCase()
+    for (const [code, { titleTokens }] of byCode) {
+      const matched = titleTokens.filter(t => queryLower.includes(t))
+      if (!matched.length) continue
+      const ratio = matched.length / titleTokens.length
+      const contribution = ratio * w.title
+      const r = resultFor(code)
+      r.score += contribution
+      r.title += contribution
+      r.titleOverlap = {
+        matched,
+        titleTokens,
+        ratio,
+        contribution,
+        programFields: fieldText.filter(([, v]) => matched.some(t => v.toLowerCase().includes(t))).map(([f]) => f),
+      }
+    }
+
+    for (const [code, r] of results) {
+      for (const t of r.terms.values()) {
+        t.programFields = programFieldsOf(t.term)
+        t.socFields = socFieldsOf(code, t.term)
+      }
+    }
+    return results
+  }
+
+  // Public, rounded form of a score entry
+  function explain(result, weights) {
+    if (!result) return { score: 0, components: { unigram: 0, bigram: 0, title: 0 }, terms: [], titleOverlap: null, matchedWords: [], weights }
+    const terms = [...result.terms.values()]
+      .sort((a, b) => b.contribution - a.contribution)
+      .map(t => ({ ...t, idf: round(t.idf, 3), contribution: round(t.contribution) }))
+    const overlap = result.titleOverlap
+    const words = new Set([...terms.flatMap(t => t.term.split('_')), ...(overlap?.matched || [])])
+    return {
+      score: round(result.score),
+      components: { unigram: round(result.unigram), bigram: round(result.bigram), title: round(result.title) },
+      terms,
+      titleOverlap: overlap ? { ...overlap, ratio: round(overlap.ratio, 3), contribution: round(overlap.contribution) } : null,
+      matchedWords: [...words],
+      weights,
+    }
+  }
+
+  /**
+   * Matches a program to SOC codes. The program's CIP code is looked up in the
+   * crosswalk first; those occupations lead, ordered by keyword score. The
+   * keyword scorer fills any remaining slots (or all of them when the CIP is
+   * not in the crosswalk). Each match is tagged matchSource 'crosswalk' or
+   * 'heuristic' and carries its score explanation.
+   *
+   * Options: topN, weights ({ unigram, bigram, title }).
+   */
+  function match(program, { topN = 10, weights } = {}) {
+    const w = { ...DEFAULT_MATCH_WEIGHTS, ...weights }
+    const scores = score(program, w)
+    const scoreOf = (code) => scores.get(code)?.score || 0
+    const toMatch = (code, extra) => {
+      const explanation = explain(scores.get(code), w)
+      return { ...byCode.get(code).entry, relevanceScore: explanation.score, ...extra, explanation }
+    }
+
+    const cw = crosswalk?.lookup(program.cipCode)
+    const crosswalkCodes = (cw?.socCodes || []).filter(code => byCode.has(code))
+    const crosswalkMatches = crosswalkCodes
+      .map(code => [code, scoreOf(code)])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topN)
+      .map(([code]) => toMatch(code, { matchSource: 'crosswalk', crosswalk: { cipCode: cw.cipCode, level: cw.level } }))
+
+    // Sort by score descending and fill up to top N
+    const inCrosswalk = new Set(crosswalkCodes)
+    const heuristicMatches = [...scores.entries()]
+      .filter(([code]) => !inCrosswalk.has(code))
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, topN - crosswalkMatches.length)
+      .map(([code]) => toMatch(code, { matchSource: 'heuristic' }))
+
+    return [...crosswalkMatches, ...heuristicMatches]
+  }
+
+  return { size: byCode.size, score, match }
+}
@@ -0,0 +1,223 @@
+/**
+ * Request validation and the API error model.
+ *
+ * Every API error is sent as `{ error, code, details? }`: `error` is a
+ * human-readable message (what the UIs display), `code` a stable
+ * machine-readable identifier and `details` optional structured context,
+ * e.g. the list of invalid fields.
+ *
+ * Schemas are plain functions built from the `is` helpers below. A schema
+ * takes a value and returns it normalized (trimmed strings, coerced query
+ * numbers, defaults applied), collecting problems instead of throwing so one
+ * 400 can report every invalid field at once.
+ */
+
+// ─── Error model ──────────────────────────────────────────
+export const ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'UPSTREAM_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT',
+}
+
+/** An error that carries its HTTP status and API error code. */
+export class ApiError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code || ERROR_CODES[status] || 'ERROR'
+    this.details = details
+  }
+}
+
+export function sendError(res, status, message, { code, details } = {}) {
+  const body = { error: message, code: code || ERROR_CODES[status] || 'ERROR' }
+  if (details !== undefined) body.details = details
+  return res.status(status).json(body)
+}
+
+/** Sends an ApiError with its own status and code; anything else is a 500. */
+export function sendApiError(res, err) {
+  if (!(err instanceof ApiError)) return sendError(res, 500, err.message || 'Internal server error')
+  if (err.details?.retryAfter) res.set('Retry-After', String(err.details.retryAfter))
+  return sendError(res, err.status, err.message, err)
+}
+
+/**
+ * Turns a non-2xx (or `object: "error"`) upstream LMI response into an
+ * ApiError with the upstream status, or returns null for a success.
+ * Upstream 401/403 mean our API key is wrong, not the caller's session, so
+ * they surface as 502 to avoid logging the user out.
+ */
+export function upstreamError({ status, headers = {}, data }) {
+  const failed = status < 200 || status >= 300 || data?.object === 'error'
+  if (!failed) return null
+  const passThrough = status >= 400 && status !== 401 && status !== 403
+  const details = { upstreamStatus: status }
+  if (data?.error?.code) details.upstreamCode = data.error.code
+  if (headers['retry-after']) details.retryAfter = Number(headers['retry-after']) || headers['retry-after']
+  return new ApiError(passThrough ? status : 502, data?.error?.message || `Mapademics API returned HTTP ${status}`, {
+    code: status === 429 ? 'UPSTREAM_RATE_LIMITED' : 'UPSTREAM_ERROR',
+    details,
+  })
+}
+
+// ─── Schema helpers ───────────────────────────────────────
+const fail = (ctx, path, message) => {
+  ctx.errors.push({ field: path || '(body)', message })
+  return undefined
+}
+
+const isMissing = (value) => value === undefined || value === null || value === ''
+
+// Wraps a check so a missing value reports "is required"
+const rule = (check) => (value, path, ctx) =>
+  isMissing(value) ? fail(ctx, path, 'is required') : check(value, path, ctx)
+
+const join = (path, key) => typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key
+
+export const is = {
+  /** Options: pattern (+ hint for the message), oneOf, max length, coerce numbers to strings. */
+  string: ({ pattern, hint, oneOf, max = 1000, coerce = false } = {}) => rule((value, path, ctx) => {
+    if (coerce && typeof value === 'number') value = String(value)
+    if (typeof value !== 'string') return fail(ctx, path, 'must be a string')
+    value = value.trim()
+    if (value.length > max) return fail(ctx, path, `must be at most ${max} characters`)
+    if (oneOf && !oneOf.includes(value)) return fail(ctx, path, `must be one of: ${oneOf.join(', ')}`)
+    if (pattern && !pattern.test(value)) return fail(ctx, path, `must be ${hint || `in the form ${pattern}`}`)
+    return value
+  }),
+
+  /** Accepts numeric strings too (query parameters). */
+  integer: ({ min = -Infinity, max = Infinity } = {}) => rule((value, path, ctx) => {
+    const n = typeof value === 'string' ? Number(value) : value
+    if (!Number.isInteger(n)) return fail(ctx, path, 'must be an integer')
+    if (n < min || n > max) return fail(ctx, path, `must be between ${min} and ${max}`)
+    return n
+  }),
+
+  /** Any finite number; accepts numeric strings too (query parameters). */
+  number: ({ min = -Infinity, max = Infinity } = {}) => rule((value, path, ctx) => {
+    const n = typeof value === 'string' ? Number(value) : value
+    if (typeof n !== 'number' || !Number.isFinite(n)) return fail(ctx, path, 'must be a number')
+    if (n < min || n > max) return fail(ctx, path, `must be between ${min} and ${max}`)
+    return n
+  }),
+
+  /** Accepts "true"/"false" too (query parameters). */
+  boolean: () => rule((value, path, ctx) => {
+    if (value === true || value === 'true') return true
+    if (value === false || value === 'false') return false
+    return fail(ctx, path, 'must be true or false')
+  }),
+
+  /** Options: min / max number of items, unique (drop duplicates). */
+  array: (item, { min = 1, max = 100, unique = false } = {}) => rule((value, path, ctx) => {
+    if (!Array.isArray(value)) return fail(ctx, path, 'must be an array')
+    if (value.length < min) return fail(ctx, path, min === 1 ? 'must not be empty' : `must have at least ${min} items`)
+    if (value.length > max) return fail(ctx, path, `must have at most ${max} items`)
+    const out = value.map((v, i) => item(v, join(path, i), ctx))
+    return unique ? [...new Set(out)] : out
+  }),
+
+  /** A query parameter given once or repeated (?type=a&type=b), as an array. */
+  list: (item, options) => (value, path, ctx) =>
+    is.array(item, options)(isMissing(value) || Array.isArray(value) ? value : [value], path, ctx),
+
+  /**
+   * Options: passthrough keeps keys not in `shape` (e.g. a full program
+   * record); check(obj) returns { field, message } for cross-field rules.
+   */
+  object: (shape, { passthrough = false, check } = {}) => rule((value, path, ctx) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return fail(ctx, path, 'must be an object')
+    const out = passthrough ? { ...value } : {}
+    const before = ctx.errors.length
+    for (const [key, schema] of Object.entries(shape)) {
+      const result = schema(value[key], join(path, key), ctx)
+      if (result === undefined) delete out[key]
+      else out[key] = result
+    }
+    if (check && ctx.errors.length === before) {
+      const problem = check(out)
+      if (problem) fail(ctx, join(path, problem.field), problem.message)
+    }
+    return out
+  }),
+
+  /** Makes a schema optional, with a default for missing values. */
+  optional: (schema, fallback) => (value, path, ctx) => isMissing(value) ? fallback : schema(value, path, ctx),
+}
+
+/** Runs a schema: { value } on success, { errors: [{ field, message }] } otherwise. */
+export function validate(schema, value) {
+  const ctx = { errors: [] }
+  const result = schema(value, '', ctx)
+  return ctx.errors.length ? { errors: ctx.errors } : { value: result }
+}
+
+/**
+ * Express middleware validating `{ body, query, params }` schemas. Normalized
+ * values replace the originals; failures answer 400 VALIDATION_ERROR.
+ */
+export function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = []
+    for (const [part, schema] of Object.entries(schemas)) {
+      const result = validate(schema, req[part] ?? {})
+      if (result.errors) errors.push(...result.errors)
+      else req[part] = result.value
+    }
+    if (!errors.length) return next()
+    const [first] = errors
+    sendError(res, 400, `${first.field} ${first.message}`, { code: 'VALIDATION_ERROR', details: errors })
+  }
+}
+
+// ─── Domain rules ─────────────────────────────────────────
+export const CIP_CODE_RE = /^\d{2}\.\d{4}$/
+// A program's CIP: a 6-digit code or a 4-digit series (11.07)
+export const PROGRAM_CIP_RE = /^\d{2}\.\d{2}(\d{2})?$/
+export const SOC_CODE_RE = /^\d{2}-\d{4}$/
+export const REGION_TYPES = ['national', 'state', 'msa']
+export const REGION_CODE_RE = { state: /^\d{2}$/, msa: /^\d{5}$/ }
+
+export const LIMITS = {
+  codes: 25,     // CIP/SOC codes per LMI request – the upstream cap, also for report and snapshot batches
+  regions: 25,   // regions per comparison request – every region goes page by page
+  topN: 50,
+}
+
+export const cipCode = is.string({ pattern: CIP_CODE_RE, hint: 'a CIP code like 11.0701', max: 7 })
+export const socCode = is.string({ pattern: SOC_CODE_RE, hint: 'a SOC code like 15-1252', max: 7 })
+export const cipCodeList = is.array(cipCode, { max: LIMITS.codes, unique: true })
+export const socCodeList = is.array(socCode, { max: LIMITS.codes, unique: true })
+export const regionType = is.string({ oneOf: REGION_TYPES })
+
+/** A region code is required (and must fit the type) unless the type is national. */
+export function checkRegion({ regionType: type = 'national', region }) {
+  if (type === 'national') return null
+  if (region === undefined) return { field: 'region', message: `is required when regionType is "${type}"` }
+  if (!REGION_CODE_RE[type].test(region)) {
+    return { field: 'region', message: `must be a ${type === 'state' ? '2-digit state FIPS' : '5-digit CBSA'} code` }
+  }
+  return null
+}
+
+/** `{ regionType, region }` fields, for spreading into an object shape. */
+export const regionFields = {
+  regionType: is.optional(regionType, 'national'),
+  region: is.optional(is.string({ coerce: true, max: 10 })),
+}
+
+export const regionList = is.array(
+  is.object({ ...regionFields, label: is.optional(is.string({ max: 200 })) }, { check: checkRegion }),
+  { max: LIMITS.regions },
+)
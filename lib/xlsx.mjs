@@ -0,0 +1,266 @@
+/**
+ * Minimal XLSX writer and reader (no external dependency).
+ *
+ * An .xlsx file is a zip of SpreadsheetML parts; this writes the smallest set
+ * Excel, Numbers and LibreOffice accept: one worksheet per sheet, strings
+ * inlined, numbers as numeric cells, and a bold header row.
+ *
+ *   writeXlsx([{ name: 'Occupations', rows: [['SOC', 'Salary'], ['15-1252', 132270]] }]) → Buffer
+ *
+ * readXlsx() reads cell values back (shared and inline strings, numbers,
+ * booleans) – enough for reference workbooks, not formulas or formatting.
+ */
+
+import { deflateRawSync, inflateRawSync } from 'zlib'
+
+// ─── Zip container ────────────────────────────────────────
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(buf) {
+  let crc = 0xffffffff
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/** Builds a zip archive from [{ name, data: Buffer|string }] using deflate. */
+export function zip(files) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf-8')
+    const raw = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf-8')
+    const compressed = deflateRawSync(raw)
+    const crc = crc32(raw)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)       // version needed
+    local.writeUInt16LE(0x0800, 6)   // flags: UTF-8 names
+    local.writeUInt16LE(8, 8)        // method: deflate
+    local.writeUInt32LE(0, 10)       // mod time/date
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(raw.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    local.writeUInt16LE(0, 28)
+    locals.push(local, name, compressed)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4)     // version made by
+    central.writeUInt16LE(20, 6)     // version needed
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt32LE(0, 12)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(raw.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42)
+    centrals.push(central, name)
+
+    offset += local.length + name.length + compressed.length
+  }
+
+  const centralSize = centrals.reduce((s, b) => s + b.length, 0)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(centralSize, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...locals, ...centrals, end])
+}
+
+/** Extracts a zip archive into a Map of name → Buffer (stored and deflated entries). */
+export function unzip(buf) {
+  // End of central directory: last signature within the trailing comment window
+  let eocd = -1
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive')
+
+  const files = new Map()
+  const count = buf.readUInt16LE(eocd + 10)
+  let pos = buf.readUInt32LE(eocd + 16)
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt zip central directory')
+    const method = buf.readUInt16LE(pos + 10)
+    const compressedSize = buf.readUInt32LE(pos + 20)
+    const nameLength = buf.readUInt16LE(pos + 28)
+    const extraLength = buf.readUInt16LE(pos + 30)
+    const commentLength = buf.readUInt16LE(pos + 32)
+    const offset = buf.readUInt32LE(pos + 42)
+    const name = buf.toString('utf-8', pos + 46, pos + 46 + nameLength)
+    pos += 46 + nameLength + extraLength + commentLength
+
+    // The local header's name/extra lengths can differ from the central copy
+    const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28)
+    const data = buf.subarray(start, start + compressedSize)
+    if (method === 0) files.set(name, Buffer.from(data))
+    else if (method === 8) files.set(name, inflateRawSync(data))
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`)
+  }
+  return files
+}
+
+// ─── SpreadsheetML ────────────────────────────────────────
+const xmlEscape = (str) => String(str)
+  // Strip control characters XML 1.0 does not allow
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+export function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function sheetXml(rows) {
+  const widths = []
+  for (const row of rows) {
+    row.forEach((val, c) => {
+      widths[c] = Math.min(Math.max(widths[c] || 8, String(val ?? '').length + 2), 60)
+    })
+  }
+
+  const body = rows.map((row, r) => {
+    const cells = row.map((val, c) => {
+      if (val == null || val === '') return ''
+      const ref = `${columnName(c)}${r + 1}`
+      const style = r === 0 ? ' s="1"' : ''
+      if (typeof val === 'number' && Number.isFinite(val)) return `<c r="${ref}"${style}><v>${val}</v></c>`
+      if (typeof val === 'boolean') return `<c r="${ref}"${style} t="b"><v>${val ? 1 : 0}</v></c>`
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(val)}</t></is></c>`
+    }).join('')
+    return `<row r="${r + 1}">${cells}</row>`
+  }).join('')
+
+  const cols = widths.length
+    ? `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    : ''
+  const freeze = rows.length > 1
+    ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    : ''
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${freeze}${cols}<sheetData>${body}</sheetData></worksheet>`
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique
+function sheetNames(sheets) {
+  const used = new Set()
+  return sheets.map((s, i) => {
+    let base = String(s.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || `Sheet${i + 1}`
+    let name = base
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 28)} ${n}`
+    used.add(name.toLowerCase())
+    return name
+  })
+}
+
+/** Builds an .xlsx workbook from [{ name, rows: any[][] }]; the first row is styled as a header. */
+export function writeXlsx(sheets) {
+  const names = sheetNames(sheets)
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`,
+    },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s.rows) })),
+  ]
+  return zip(files)
+}
+
+// ─── Reading ──────────────────────────────────────────────
+const xmlUnescape = (str) => str
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1]
+
+// Text of all <t> runs inside an element (rich text is split into several)
+const textOf = (xml) => xmlUnescape([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => m[1]).join(''))
+
+export function columnIndex(ref) {
+  let index = 0
+  for (const ch of ref.match(/^[A-Z]+/)[0]) index = index * 26 + ch.charCodeAt(0) - 64
+  return index - 1
+}
+
+function sheetRows(xml, sharedStrings) {
+  const rows = []
+  for (const [, rowTag, rowBody] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const r = Number(attr(rowTag, 'r')) - 1
+    const row = []
+    for (const [, cellTag, cellBody = ''] of (rowBody || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = attr(cellTag, 't')
+      const raw = cellBody.match(/<v>([\s\S]*?)<\/v>/)?.[1]
+      let value
+      if (type === 'inlineStr') value = textOf(cellBody)
+      else if (raw === undefined) continue
+      else if (type === 's') value = sharedStrings[Number(raw)] ?? ''
+      else if (type === 'b') value = raw === '1'
+      else if (type === 'str' || type === 'e') value = xmlUnescape(raw)
+      else value = Number(raw)
+      row[columnIndex(attr(cellTag, 'r'))] = value
+    }
+    rows[r] = Array.from(row, v => v ?? '')
+  }
+  return Array.from(rows, r => r || [])
+}
+
+/**
+ * Reads an .xlsx workbook: [{ name, rows: any[][] }] in workbook order.
+ * Rows and cells keep their sheet positions (missing ones are empty).
+ */
+export function readXlsx(buf) {
+  const files = unzip(buf)
+  const part = (name) => files.get(name)?.toString('utf-8') || ''
+
+  const sharedStrings = [...part('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1]))
+  const targets = new Map([...part('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .map(([, tag]) => [attr(tag, 'Id'), attr(tag, 'Target')]))
+
+  return [...part('xl/workbook.xml').matchAll(/<sheet\b([^>]*)\/?>/g)].map(([, tag]) => {
+    const target = targets.get(attr(tag, 'r:id')) || ''
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`
+    return { name: xmlUnescape(attr(tag, 'name') || ''), rows: sheetRows(part(path), sharedStrings) }
+  })
+}
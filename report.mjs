@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Batch LMI report for an entire school catalog (CLI counterpart of POST /api/reports).
+ *
+ * Reads a registered school's programs (data/<school>.json), deduplicates CIP
+ * codes, fetches LMI with throttling and retry, and writes a per-program report as JSON.
+ *
+ * Usage: node report.mjs --school ufl [--region-type state --region 12] [--out path]
+ * (without --region-type the school's default region is used)
+ *
+ * Honors the same LMI_* environment variables as the server
+ * (e.g. LMI_PROVIDER=fixtures for an offline run).
+ */
+
+import { writeFileSync, mkdirSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { createLmiClientFromEnv } from './lib/lmi-client.mjs'
+import { buildProgramReport } from './lib/report-jobs.mjs'
+import { createSchoolRegistry } from './lib/school-registry.mjs'
+import { loadCrosswalk } from './lib/crosswalk.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue
+    const key = argv[i].slice(2)
+    const next = argv[i + 1]
+    args[key] = next && !next.startsWith('--') ? argv[++i] : true
+  }
+  return args
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (!args.school) {
+    console.error('Usage: node report.mjs --school <id> [--region-type national|state|msa] [--region <code>] [--out <file>]')
+    process.exit(1)
+  }
+
+  const registry = createSchoolRegistry({
+    file: process.env.SCHOOLS_FILE || join(__dirname, 'config', 'schools.json'),
+    dataDir: join(__dirname, 'data'),
+    log: { log() {}, warn() {}, error: console.error },
+  })
+  const school = registry.get(args.school)
+  if (!school) {
+    console.error(`❌ Unknown school "${args.school}" (registered: ${registry.list().map(s => s.id).join(', ')})`)
+    process.exit(1)
+  }
+  const schoolData = registry.data(school.id)
+  if (!schoolData.programs.length) {
+    console.error(`❌ No programs for school "${args.school}" in data/${school.id}.json`)
+    process.exit(1)
+  }
+  // Without --region-type the school's default region is used
+  const { regionType = 'national', region } = args['region-type']
+    ? { regionType: args['region-type'], region: args.region || undefined }
+    : school.defaultRegion
+
+  const lmi = createLmiClientFromEnv(process.env, { rootDir: __dirname })
+  // Batch responses are split by the full crosswalk only (see fetchOccupationsByCip)
+  const crosswalk = loadCrosswalk(join(__dirname, 'data', 'cip_soc_crosswalk.json'))
+  console.log(`📚 ${schoolData.school}: ${schoolData.programs.length} programs`)
+  console.log(`📍 Region: ${regionType}${region ? ` ${region}` : ''} · API: ${lmi.baseUrl}\n`)
+
+  const report = await buildProgramReport(lmi, schoolData.programs, {
+    regionType,
+    region,
+    delayMs: args.delay != null ? Number(args.delay) : 250,
+    socCodesForCip: crosswalk.partial ? undefined : crosswalk.programSocCodes,
+    onProgress: ({ phase, done, total }) => process.stdout.write(`\r   ${phase}: ${done}/${total}   `),
+    log: (msg) => console.log(`\n   ↻ ${msg}`),
+  })
+  console.log('\n')
+
+  const outFile = args.out || join(__dirname, 'store', 'reports', `${args.school}-${Date.now()}.report.json`)
+  mkdirSync(dirname(outFile), { recursive: true })
+  writeFileSync(outFile, JSON.stringify({ schoolId: args.school, school: schoolData.school, ...report }, null, 2))
+
+  const s = report.summary
+  console.log(`  📊 ${s.programsWithData}/${s.programs} programs with LMI data`)
+  console.log(`  🔢 ${s.uniqueCips} unique CIP codes: ${s.cipsWithData} with data, ${s.invalidCips} invalid, ${s.failedCips} failed`)
+  console.log(`  📡 ${s.upstreamCalls} upstream calls`)
+  console.log(`  ✅ Report written to ${outFile}\n`)
+}
+
+main().catch(err => {
+  console.error('Failed:', err)
+  process.exit(1)
+})
@@ -4,15 +4,44 @@
  *
  * - Loads program data from pre-dumped JSON files (data/*.json)
  * - Proxies Mapademics LMI API calls
- * - Protected by a hashed access code
+ * - Protected by per-user accounts with roles (viewer, analyst, admin)
  *
  * Usage: node server.mjs
  *
  * Environment variables:
  *   PORT                – server port (default 3456)
  *   MAPADEMICS_API_KEY  – Mapademics embedded API key
- *   ACCESS_CODE_HASH    – SHA-256 hex of the access code (override default)
+ *   MAPADEMICS_BASE_URL – Mapademics API base URL (default: sandbox)
+ *   LMI_PROVIDER        – "mapademics" (default) or "fixtures" for offline data
+ *   LMI_FIXTURES_DIR    – fixture directory (default fixtures/lmi)
+ *   LMI_RECORD          – "1" to record live responses as fixtures
+ *   LMI_CACHE_DIR       – (optional) directory for the persistent response cache
+ *   LMI_CACHE_TTLS      – per-endpoint cache TTLs, e.g. "by-cip=3600,regions=86400"
+ *   LMI_CACHE_STALE     – stale-while-revalidate window in seconds (default 3600)
+ *   ADMIN_USERNAME      – admin account created on first start when no users exist (default admin)
+ *   ADMIN_PASSWORD      – its password (default: random, printed once at startup)
  *   OPENAI_API_KEY      – (optional) OpenAI API key for AI-powered SOC matching
+ *   AI_BASE_URL         – OpenAI-compatible endpoint for AI matching, e.g. a local model server (default OpenAI)
+ *   AI_API_KEY / AI_MODEL – key (falls back to OPENAI_API_KEY) and model (default gpt-4o-mini)
+ *   AI_RESPONSE_FORMAT  – json_schema (default) | json_object | none, for servers without structured output
+ *   AI_RETRIES / AI_TIMEOUT_MS – retries on 429/5xx/invalid replies (default 2) and per-attempt timeout
+ *   AI_UNKNOWN_CODES    – drop (default) | flag AI codes that are not in data/soc_codes.json
+ *   AI_CACHE_DIR / AI_CACHE_TTL – persistent AI response cache and its lifetime in seconds (default 7 days)
+ *   RATE_LIMIT_WINDOW_MS – rate-limit window for LMI/SOC/skills routes (default 60000)
+ *   RATE_LIMIT_PER_TOKEN – requests per window per session token (default 120)
+ *   RATE_LIMIT_PER_IP   – requests per window per client IP (default 300)
+ *   LOGIN_MAX_ATTEMPTS  – failed logins before a username is locked out (default 5)
+ *   LOGIN_LOCKOUT_MS    – first lockout duration, doubling on repeat (default 900000)
+ *   LOGIN_LOCKOUT_DECAY_MS – quiet time after a lockout that undoes one doubling (default 86400000)
+ *   TRUST_PROXY         – Express "trust proxy" setting when behind a load balancer
+ *   SCHOOLS_FILE        – school registry config (default config/schools.json, hot-reloaded)
+ *   CATALOG_UPLOAD_LIMIT – max size of a catalog import upload (default 10mb)
+ *   STORE_DIR           – directory for server-side state: users, sessions, report jobs, SOC mappings, program skills, saved analyses, LMI snapshots (default store/)
+ *   ANALYSIS_BODY_LIMIT – max size of a saved analysis with its LMI snapshot (default 5mb)
+ *   REPORT_BATCH_DELAY_MS – pause between upstream calls in batch reports, LMI snapshots and scorecards (default 250)
+ *   PRICE_PARITIES_FILE – regional price parities for cost-of-living adjusted wages (default data/regional_price_parities.json)
+ *   REGION_CONCURRENCY  – upstream calls in flight at once when a query fans out across regions (default 4)
+ *   SNAPSHOT_INTERVAL_HOURS – take an LMI snapshot of every school (national and its default region) this often (default 0 = off)
  */
 
 import express from 'express'
@@ -20,6 +49,37 @@ import crypto from 'crypto'
 import { readFileSync, existsSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
+import { createLmiClientFromEnv, fetchInBatches } from './lib/lmi-client.mjs'
+import { createCachedLmiClient, cacheOptionsFromEnv } from './lib/lmi-cache.mjs'
+import { createReportJobManager } from './lib/report-jobs.mjs'
+import { createSnapshotManager, snapshotResults, SNAPSHOT_METRICS } from './lib/lmi-snapshots.mjs'
+import { buildScorecard, SCORE_COMPONENTS, DEFAULT_SCORE_WEIGHTS, DEFAULT_WEAK_BELOW } from './lib/program-scorecard.mjs'
+import { scopeRegions, heatmapTable, HEATMAP_SCOPES, HEATMAP_MAX_REGIONS } from './lib/regional-heatmap.mjs'
+import { mapWithConcurrency } from './lib/async-utils.mjs'
+import { loadPriceParities, withRealWages } from './lib/cost-of-living.mjs'
+import { loadCrosswalk } from './lib/crosswalk.mjs'
+import { loadCipTaxonomy, CIP_LEVELS } from './lib/cip-codes.mjs'
+import { loadSocHierarchy, SOC_LEVELS } from './lib/soc-hierarchy.mjs'
+import { createSocMatcher, DEFAULT_MATCH_WEIGHTS } from './lib/soc-matcher.mjs'
+import { createAiMatcher, createOpenAiCompatibleProvider, aiOptionsFromEnv } from './lib/ai-matcher.mjs'
+import { fuseMatches, agreementSummary, FUSION_METHODS, DEFAULT_FUSION } from './lib/match-fusion.mjs'
+import { ROLES, createUserStore, createSessionStore, publicUser, hasRole, canAccessSchool } from './lib/auth.mjs'
+import { createRateLimiter, rateLimit, chargeRateLimit, createLoginGuard } from './lib/rate-limit.mjs'
+import { createAuditLog } from './lib/audit-log.mjs'
+import { createSocMappingStore, MAPPING_SOURCES, MAPPING_STATUSES } from './lib/soc-mappings.mjs'
+import { createProgramSkillStore } from './lib/program-skills.mjs'
+import { createAnalysisStore, ANALYSIS_PAGES } from './lib/saved-analyses.mjs'
+import { createSchoolRegistry, validateSchool } from './lib/school-registry.mjs'
+import { importCatalog, parseMappingSpec, detectFormat, IMPORT_FORMATS } from './lib/catalog-import.mjs'
+import { FACET_FIELDS, PROGRAM_SORTS, MAX_PAGE_SIZE } from './lib/program-index.mjs'
+import { MAX_COMPARE_PROGRAMS, coreSkills, compareSkills, alignMetrics } from './lib/program-compare.mjs'
+import { summarizeOccupations } from './lib/lmi-stats.mjs'
+import { analyzeSkillsGap, GAP_WEIGHTINGS, DEFAULT_MIN_IMPORTANCE } from './lib/skills-gap.mjs'
+import { EXPORT_FORMATS, occupationsTable, skillsTable, regionsTable, socMatchesTable, sendTables } from './lib/export.mjs'
+import {
+  is, validateRequest, ApiError, sendError, sendApiError, upstreamError,
+  socCode, cipCodeList, socCodeList, regionType, regionFields, regionList, checkRegion, LIMITS, PROGRAM_CIP_RE,
+} from './lib/validation.mjs'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 
@@ -40,32 +100,45 @@ if (existsSync(envPath)) {
 
 // ─── Config ───────────────────────────────────────────────
 const PORT = process.env.PORT || 3456
-const MAPADEMICS_API_KEY = process.env.MAPADEMICS_API_KEY || 'pk_test_PtOajWu6grZat4xtjGgRTNqR'
-const MAPADEMICS_BASE_URL = 'https://embedded-api-sandbox.mapademics.com/v1'
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || ''
-
-// Default access code: "coursedog-lmi-2026"  (share this with your team)
-const ACCESS_CODE_HASH = process.env.ACCESS_CODE_HASH
-  || '8ceb613bff29db6a49a14d1d411a54b234a085e2b447dbbba47f59fb9d3f5484'
-
-const SCHOOLS = [
-  { id: 'stanford', label: 'Stanford University' },
-  { id: 'ufl', label: 'University of Florida' },
-  { id: 'arizona', label: 'University of Arizona' },
-]
+const STORE_DIR = process.env.STORE_DIR || join(__dirname, 'store')
 
-// ─── Load programs from JSON ──────────────────────────────
-const schoolData = {}
-for (const school of SCHOOLS) {
-  const filePath = join(__dirname, 'data', `${school.id}.json`)
-  if (existsSync(filePath)) {
-    schoolData[school.id] = JSON.parse(readFileSync(filePath, 'utf-8'))
-    console.log(`📄 Loaded ${schoolData[school.id].count} programs for ${school.label}`)
-  } else {
-    console.warn(`⚠️  No data file for ${school.label} at ${filePath}`)
-    schoolData[school.id] = { school: school.label, programs: [], count: 0 }
-  }
-}
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
+
+// Per-client limits on routes that reach the Mapademics API, and login lockout
+const envInt = (name, fallback) => process.env[name] != null ? Number(process.env[name]) : fallback
+const RATE_LIMIT_WINDOW_MS = envInt('RATE_LIMIT_WINDOW_MS', 60_000)
+const RATE_LIMIT_PER_TOKEN = envInt('RATE_LIMIT_PER_TOKEN', 120)
+const RATE_LIMIT_PER_IP = envInt('RATE_LIMIT_PER_IP', 300)
+const LOGIN_MAX_ATTEMPTS = envInt('LOGIN_MAX_ATTEMPTS', 5)
+const LOGIN_LOCKOUT_MS = envInt('LOGIN_LOCKOUT_MS', 15 * 60_000)
+const LOGIN_LOCKOUT_DECAY_MS = envInt('LOGIN_LOCKOUT_DECAY_MS', 24 * 60 * 60_000)
+
+// Pause between upstream calls when a whole catalog is looked up
+const REPORT_BATCH_DELAY_MS = envInt('REPORT_BATCH_DELAY_MS', 250)
+
+// Upstream calls in flight at once when one query is compared across regions
+const REGION_CONCURRENCY = envInt('REGION_CONCURRENCY', 4)
+
+// Mapademics access goes through the LMI client (live API or local fixtures),
+// fronted by a response cache to stay inside the upstream rate limit
+const lmi = createCachedLmiClient(
+  createLmiClientFromEnv(process.env, { rootDir: __dirname }),
+  cacheOptionsFromEnv(process.env),
+)
+
+// ─── CIP 2020 taxonomy ───────────────────────────────────
+const cipTaxonomy = loadCipTaxonomy(join(__dirname, 'data', 'cip_codes.json'))
+if (cipTaxonomy.size) console.log(`📚 Loaded ${cipTaxonomy.size} CIP codes`)
+if (cipTaxonomy.partial) console.warn('⚠️  The CIP code list is a partial seed – run npm run build:cip on NCES CIPCode2020.csv for the full taxonomy')
+
+// ─── Schools & programs (hot-reloaded from config/schools.json and data/*.json) ──
+// Program records get their CIP title and family attached at load time
+const schoolRegistry = createSchoolRegistry({
+  file: process.env.SCHOOLS_FILE || join(__dirname, 'config', 'schools.json'),
+  dataDir: join(__dirname, 'data'),
+  decorate: (program) => cipTaxonomy.describe(program.cipCode),
+})
+for (const school of schoolRegistry.list()) schoolRegistry.data(school.id)
 
 // ─── Load SOC codes ──────────────────────────────────────
 let socCodes = []
@@ -75,450 +148,1113 @@ if (existsSync(socFilePath)) {
   console.log(`📄 Loaded ${socCodes.length} SOC codes`)
 }
 
-// ─── SOC Matching Engine ─────────────────────────────────
-// Builds an inverted index of keywords → SOC codes for fast matching
-const socIndex = new Map()  // keyword → Set<socCode>
-const socByCode = new Map() // code → socEntry
-
-function tokenize(text) {
-  return text.toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length > 2 && !STOP_WORDS.has(w))
-}
+// Major → minor → broad → detailed structure (both files come from build-soc-codes.mjs)
+const socHierarchy = loadSocHierarchy(join(__dirname, 'data', 'soc_structure.json'))
+if (socHierarchy.size) console.log(`🌳 Loaded SOC hierarchy (${socHierarchy.size} codes)`)
 
-const STOP_WORDS = new Set([
-  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
-  'her', 'was', 'one', 'our', 'out', 'has', 'have', 'from', 'with', 'they',
-  'been', 'this', 'that', 'will', 'each', 'make', 'like', 'than', 'them',
-  'then', 'its', 'over', 'such', 'other', 'into', 'more', 'some', 'very',
-  'when', 'what', 'also', 'only', 'just', 'about', 'which',
-])
-
-// Build the index
-for (const soc of socCodes) {
-  socByCode.set(soc.code, soc)
-  const allText = `${soc.title} ${soc.majorGroup || ''} ${soc.minorGroup || ''} ${soc.broadGroup || ''}`
-  const tokens = tokenize(allText)
-  // Also add bigrams for better matching
-  const bigrams = []
-  for (let i = 0; i < tokens.length - 1; i++) {
-    bigrams.push(`${tokens[i]}_${tokens[i + 1]}`)
-  }
-  for (const token of [...tokens, ...bigrams]) {
-    if (!socIndex.has(token)) socIndex.set(token, new Set())
-    socIndex.get(token).add(soc.code)
-  }
-}
+// ─── CIP → SOC crosswalk ─────────────────────────────────
+const crosswalk = loadCrosswalk(join(__dirname, 'data', 'cip_soc_crosswalk.json'))
+if (crosswalk.size) console.log(`🔗 Loaded CIP→SOC crosswalk for ${crosswalk.size} CIP codes`)
+if (crosswalk.partial) console.warn('⚠️  The CIP→SOC crosswalk is a partial seed – run npm run build:crosswalk on the NCES file for full coverage')
+// Splits multi-CIP by-cip responses between their CIPs in reports and snapshots (see
+// fetchOccupationsByCip). Only the full NCES table: a seed may disagree with the upstream mapping.
+const socCodesForCip = crosswalk.partial ? undefined : crosswalk.programSocCodes
 
-/**
- * Local SOC matching: scores SOC codes based on keyword overlap with program data.
- * Returns top N matches sorted by relevance score.
- */
-function matchSocCodes(programData, topN = 10) {
-  const { name, longName, cipCode, type, degreeDesignation, college, level } = programData
-  const queryText = [longName, name, type, degreeDesignation, college, level].filter(Boolean).join(' ')
-  const queryTokens = tokenize(queryText)
-  
-  // Build bigrams from query
-  const queryBigrams = []
-  for (let i = 0; i < queryTokens.length - 1; i++) {
-    queryBigrams.push(`${queryTokens[i]}_${queryTokens[i + 1]}`)
-  }
-
-  // Score each SOC code based on token hits
-  const scores = new Map()
-  for (const token of queryTokens) {
-    const matches = socIndex.get(token)
-    if (!matches) continue
-    // IDF-like weighting: rarer keywords score higher
-    const weight = Math.log(socCodes.length / matches.size)
-    for (const code of matches) {
-      scores.set(code, (scores.get(code) || 0) + weight)
-    }
-  }
-  // Bigram matches get bonus score
-  for (const bigram of queryBigrams) {
-    const matches = socIndex.get(bigram)
-    if (!matches) continue
-    const weight = Math.log(socCodes.length / matches.size) * 2 // Double weight for bigrams
-    for (const code of matches) {
-      scores.set(code, (scores.get(code) || 0) + weight)
-    }
-  }
+// ─── Regional price parities (cost-of-living adjusted wages) ──
+const priceParities = loadPriceParities(process.env.PRICE_PARITIES_FILE || join(__dirname, 'data', 'regional_price_parities.json'))
+if (priceParities.size) console.log(`🏷️  Loaded regional price parities for ${priceParities.size} regions (${priceParities.year})`)
+if (priceParities.partial) console.warn('⚠️  The regional price parities are a partial seed – run npm run build:rpp on the BEA SARPP and MARPP tables for every metro')
 
-  // Also do direct title substring matching for extra precision
-  const queryLower = queryText.toLowerCase()
-  for (const soc of socCodes) {
-    const titleLower = soc.title.toLowerCase()
-    // Boost if SOC title words appear in query
-    const titleTokens = tokenize(soc.title)
-    let titleMatchCount = 0
-    for (const t of titleTokens) {
-      if (queryLower.includes(t)) titleMatchCount++
-    }
-    if (titleMatchCount > 0) {
-      const matchRatio = titleMatchCount / titleTokens.length
-      const bonus = matchRatio * 10 // Strong bonus for direct title matches
-      scores.set(soc.code, (scores.get(soc.code) || 0) + bonus)
-    }
+// ─── SOC Matching Engine ─────────────────────────────────
+// Keyword matcher over SOC titles and groups (crosswalk occupations first)
+const socByCode = new Map(socCodes.map(soc => [soc.code, soc])) // code → socEntry
+const socMatcher = createSocMatcher({ socCodes, crosswalk })
+
+// Crosswalk coverage for a program's CIP, reported alongside match results. With a
+// partial (seed) crosswalk, a CIP it lacks is reported as unknown rather than null.
+function crosswalkInfo(cipCode) {
+  const cw = crosswalk.lookup(cipCode)
+  if (!cw) return crosswalk.partial ? { cipCode, level: null, title: cipTaxonomy.title(cipCode), socCodes: [], partial: true } : null
+  return {
+    cipCode: cw.cipCode,
+    level: cw.level,
+    title: cw.title || cipTaxonomy.title(cw.cipCode),
+    socCodes: cw.socCodes,
+    ...(crosswalk.partial ? { partial: true } : {}),
   }
-
-  // Sort by score descending and return top N
-  return [...scores.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, topN)
-    .map(([code, score]) => ({
-      ...socByCode.get(code),
-      relevanceScore: Math.round(score * 100) / 100,
-    }))
 }
 
-/**
- * OpenAI-powered SOC matching (optional, if OPENAI_API_KEY is set)
- */
-async function matchSocCodesWithAI(programData, topN = 10) {
-  if (!OPENAI_API_KEY) return null
-
-  const prompt = `You are an expert in occupational classification. Given the following academic program, identify the ${topN} most relevant SOC (Standard Occupational Classification) codes from the 2018 SOC system that graduates of this program would most likely pursue.
-
-Program Information:
-- Name: ${programData.longName || programData.name}
-- Code: ${programData.code || 'N/A'}
-- CIP Code: ${programData.cipCode || 'N/A'}
-- Degree: ${programData.degreeDesignation || 'N/A'}
-- Type: ${programData.type || 'N/A'}
-- College: ${programData.college || 'N/A'}
-- Level: ${programData.level || 'N/A'}
-
-Return ONLY a JSON array of objects with these exact fields:
-[{"code": "XX-XXXX", "title": "Occupation Title", "reason": "Brief explanation of relevance"}]
-
-Only return valid 2018 SOC detailed occupation codes (format: XX-XXXX). No other text.`
+// AI matching (optional): OpenAI or any OpenAI-compatible server, see lib/ai-matcher.mjs
+const aiOptions = aiOptionsFromEnv(process.env)
+const aiMatcher = createAiMatcher({
+  provider: aiOptions.enabled ? createOpenAiCompatibleProvider(aiOptions.provider) : null,
+  socByCode,
+  retries: aiOptions.retries,
+  unknownCodes: aiOptions.unknownCodes,
+  cacheDir: aiOptions.cacheDir,
+  cacheTtlSeconds: aiOptions.cacheTtlSeconds,
+})
+if (aiMatcher.available) console.log(`🤖 AI matching via ${aiMatcher.provider} (${aiMatcher.model})`)
 
+// AI matches for a program, or the error that prevented them; AI is optional, so failures don't fail the request
+async function tryAiMatch(program, topN, opts = {}) {
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.3,
-        max_tokens: 1500,
-      }),
-    })
-    const data = await response.json()
-    const content = data.choices?.[0]?.message?.content || ''
-    // Extract JSON from response
-    const jsonMatch = content.match(/\[[\s\S]*\]/)
-    if (!jsonMatch) return null
-    const aiMatches = JSON.parse(jsonMatch[0])
-    // Enrich with our SOC data
-    return aiMatches.map(m => {
-      const local = socByCode.get(m.code)
-      return {
-        code: m.code,
-        title: local?.title || m.title,
-        majorGroup: local?.majorGroup || '',
-        minorGroup: local?.minorGroup || '',
-        broadGroup: local?.broadGroup || '',
-        reason: m.reason,
-        source: 'ai',
-        verified: !!local, // true if code exists in our SOC file
-      }
-    })
+    return { ai: await aiMatcher.match(program, { topN, cacheControl: opts.cacheControl }), aiError: null }
   } catch (err) {
-    console.error('OpenAI SOC matching error:', err)
-    return null
+    console.error('AI SOC matching error:', err.message)
+    return { ai: null, aiError: { error: err.message, code: err.code || 'AI_UNAVAILABLE' } }
   }
 }
 
-// ─── Auth helpers ─────────────────────────────────────────
-function sha256(str) {
-  return crypto.createHash('sha256').update(str).digest('hex')
-}
+// ─── Users & sessions ─────────────────────────────────────
+const users = createUserStore({ file: join(STORE_DIR, 'users.json') })
+const sessions = createSessionStore({ file: join(STORE_DIR, 'sessions.json'), ttlMs: SESSION_TTL_MS })
 
-// Generate a random session token
-function generateToken() {
-  return crypto.randomBytes(32).toString('hex')
+// First start: create an admin account so someone can sign in and add users
+if (!users.count) {
+  const username = process.env.ADMIN_USERNAME || 'admin'
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url')
+  users.create({ username, password, name: 'Administrator', role: 'admin', schools: ['*'] })
+  console.log(`👤 Created admin account "${username}"${process.env.ADMIN_PASSWORD ? '' : ` – password: ${password}`}`)
 }
 
-// In-memory session store (tokens → expiry timestamp)
-const sessions = new Map()
-const SESSION_TTL_MS = 24 * 60 * 60 * 1000 // 24 hours
+// Security events (logins, lockouts, account changes) as JSON lines
+const audit = createAuditLog({ file: join(STORE_DIR, 'audit.log') })
+const loginGuard = createLoginGuard({ maxAttempts: LOGIN_MAX_ATTEMPTS, lockoutMs: LOGIN_LOCKOUT_MS, lockoutDecayMs: LOGIN_LOCKOUT_DECAY_MS })
 
-function isValidSession(token) {
-  if (!token) return false
-  const expiry = sessions.get(token)
-  if (!expiry) return false
-  if (Date.now() > expiry) {
-    sessions.delete(token)
-    return false
-  }
-  return true
+// The signed-in user for a token; null if the session expired or the account is disabled
+function userForToken(token) {
+  const session = sessions.get(token)
+  const user = session && users.get(session.username)
+  return user && !user.disabled ? user : null
 }
 
 // ─── Express App ──────────────────────────────────────────
 const app = express()
-app.use(express.json())
+// Behind a load balancer, set TRUST_PROXY (e.g. "1") so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust)
+}
+// Catalog uploads are read raw by their own route (CSV or JSON, larger limit)
+const isCatalogUpload = (req) => /^\/api\/schools\/[^/]+\/programs\/import$/.test(req.path)
+// Saved analyses carry an LMI snapshot, so their routes parse JSON with a larger limit
+const isAnalysisBody = (req) => /^\/api\/analyses(\/[^/]+)?$/.test(req.path)
+app.use(express.json({ type: (req) => !isCatalogUpload(req) && !isAnalysisBody(req) && !!req.is('application/json') }))
 app.use(express.static(join(__dirname, 'public')))
 
 // ─── Auth endpoints (unprotected) ─────────────────────────
 app.post('/api/auth/login', (req, res) => {
-  const { code } = req.body
-  if (!code) return res.status(400).json({ error: 'Access code is required' })
+  const { username, password } = req.body
+  if (!username || !password) return sendError(res, 400, 'Username and password are required')
+
+  const name = String(username).trim().toLowerCase()
+
+  // Locked accounts/IPs are refused before the password is even checked
+  const wait = loginGuard.lockedFor(name, req.ip)
+  if (wait) {
+    audit.record('login.blocked', req, { username: name, retryAfter: wait })
+    res.set('Retry-After', String(wait))
+    return sendError(res, 429, `Too many failed attempts – try again in ${Math.ceil(wait / 60)} min`, {
+      code: 'LOGIN_LOCKED',
+      details: { retryAfter: wait },
+    })
+  }
 
-  const hash = sha256(code.trim())
-  if (hash !== ACCESS_CODE_HASH) {
-    return res.status(401).json({ error: 'Invalid access code' })
+  const user = users.authenticate(name, String(password))
+  if (!user) {
+    audit.record('login.failure', req, { username: name })
+    const locked = loginGuard.fail(name, req.ip)
+    if (locked) audit.record('login.lockout', req, { username: name, lockoutSeconds: locked })
+    return sendError(res, 401, 'Invalid username or password')
   }
 
-  const token = generateToken()
-  sessions.set(token, Date.now() + SESSION_TTL_MS)
-  res.json({ token, expiresIn: '24h' })
+  loginGuard.succeed(name)
+  audit.record('login.success', req, { username: user.username })
+  const token = sessions.create(user.username)
+  res.json({ token, expiresIn: '24h', user: publicUser(user) })
 })
 
 app.post('/api/auth/verify', (req, res) => {
-  const token = req.headers['x-access-token'] || req.body.token
-  res.json({ valid: isValidSession(token) })
+  const user = userForToken(req.headers['x-access-token'] || req.body.token)
+  res.json({ valid: !!user, user: user ? publicUser(user) : null })
+})
+
+app.post('/api/auth/logout', (req, res) => {
+  const user = userForToken(req.headers['x-access-token'])
+  if (user) audit.record('logout', req, { username: user.username })
+  sessions.destroy(req.headers['x-access-token'])
+  res.json({ ok: true })
 })
 
 // ─── Auth middleware for all /api/* routes below ──────────
+/**
+ * Resolves the session user into req.user. Any role may pass; use
+ * requireRole() for routes that need analyst or admin rights.
+ */
 function requireAuth(req, res, next) {
-  const token = req.headers['x-access-token']
-  if (!isValidSession(token)) {
-    return res.status(401).json({ error: 'Unauthorized – provide a valid access token' })
+  const user = userForToken(req.headers['x-access-token'])
+  if (!user) {
+    return sendError(res, 401, 'Unauthorized – provide a valid access token')
   }
+  req.user = user
   next()
 }
 
+function requireRole(role) {
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (!hasRole(req.user, role)) return sendError(res, 403, `Requires the ${role} role`)
+    next()
+  })
+}
+
 // Protect all API routes after this point
 app.use('/api/schools', requireAuth)
 app.use('/api/lmi', requireAuth)
 app.use('/api/skills-library', requireAuth)
 
+// ─── Rate limiting ────────────────────────────────────────
+// Routes that call Mapademics are limited per session token and per client IP
+const tokenLimiter = createRateLimiter({ windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_PER_TOKEN })
+const ipLimiter = createRateLimiter({ windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_PER_IP })
+
+const rateLimitRules = [
+  { name: 'token', limiter: tokenLimiter, key: (req) => req.headers['x-access-token'] },
+  { name: 'ip', limiter: ipLimiter, key: (req) => req.ip },
+]
+
+app.use(['/api/lmi', '/api/soc', '/api/skills-library', '/api/skills-gap', '/api/export', '/api/compare'], rateLimit(rateLimitRules, {
+  // Log once per client and window, not on every rejected request
+  onLimited: (req, rule, result) => {
+    if (result.firstBlocked) audit.record('rate_limit', req, { rule, path: req.originalUrl, limit: result.limit })
+  },
+}))
+
+// A request that walks every region page by page counts one request per page of
+// LIMITS.regions (the middleware already counted the first); throws a 429 past the limit
+function chargeRegionPages(req, pages) {
+  const limited = chargeRateLimit(rateLimitRules, req, pages - 1)
+  if (!limited) return
+  if (limited.firstBlocked) audit.record('rate_limit', req, { rule: limited.rule, path: req.originalUrl, limit: limited.limit })
+  throw new ApiError(429, `Too many requests – try again in ${limited.retryAfter}s`, {
+    code: 'RATE_LIMITED',
+    details: { retryAfter: limited.retryAfter },
+  })
+}
+
+// Per-school scoping: users only see the schools they are assigned to
+app.use('/api/schools/:schoolId', (req, res, next) => {
+  if (!canAccessSchool(req.user, req.params.schoolId)) {
+    return sendError(res, 403, 'You do not have access to this school')
+  }
+  next()
+})
+
+// ─── Account ──────────────────────────────────────────────
+// GET /api/auth/me - The signed-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json(publicUser(req.user))
+})
+
+// POST /api/auth/password - Change own password (signs out other sessions)
+app.post('/api/auth/password', requireAuth, (req, res) => {
+  const { currentPassword, newPassword } = req.body
+  if (!currentPassword || !users.authenticate(req.user.username, String(currentPassword))) {
+    return sendError(res, 401, 'Current password is incorrect')
+  }
+  const invalid = users.validate({ password: newPassword }, { partial: true })
+  if (invalid) return sendError(res, 400, invalid)
+  users.update(req.user.username, { password: newPassword })
+  sessions.destroyForUser(req.user.username)
+  audit.record('password.change', req)
+  res.json({ ok: true, token: sessions.create(req.user.username) })
+})
+
+// ─── User Administration (admin) ──────────────────────────
+app.use('/api/users', requireRole('admin'))
+
+const unknownSchools = (schools = []) => schools.filter(id => id !== '*' && !schoolRegistry.has(id))
+
+// GET /api/users - List accounts
+app.get('/api/users', (req, res) => {
+  res.json({ data: users.list(), roles: ROLES })
+})
+
+// POST /api/users - Create an account
+app.post('/api/users', (req, res) => {
+  const { username, password, name, role = 'viewer', schools = ['*'] } = req.body
+  const invalid = users.validate({ username, password, role, schools })
+  if (invalid) return sendError(res, 400, invalid)
+  if (unknownSchools(schools).length) return sendError(res, 400, `Unknown school(s): ${unknownSchools(schools).join(', ')}`)
+  if (users.get(username)) return sendError(res, 409, `User "${username}" already exists`)
+  const user = users.create({ username, password, name, role, schools })
+  audit.record('user.create', req, { target: user.username, role, schools })
+  res.status(201).json(publicUser(user))
+})
+
+// PATCH /api/users/:username - Update role, schools, name, password or disabled flag
+app.patch('/api/users/:username', (req, res) => {
+  const { password, name, role, schools, disabled } = req.body
+  const invalid = users.validate({ password, role, schools }, { partial: true })
+  if (invalid) return sendError(res, 400, invalid)
+  if (unknownSchools(schools).length) return sendError(res, 400, `Unknown school(s): ${unknownSchools(schools).join(', ')}`)
+  const target = users.get(req.params.username)
+  if (!target) return sendError(res, 404, 'User not found')
+  if (target.username === req.user.username && (disabled || (role && role !== 'admin'))) {
+    return sendError(res, 400, 'You cannot disable or demote your own account')
+  }
+
+  const user = users.update(target.username, { password, name, role, schools, disabled })
+  // New credentials or a disabled account end existing sessions
+  if (password !== undefined || disabled) sessions.destroyForUser(user.username)
+  audit.record('user.update', req, {
+    target: user.username,
+    changes: Object.keys(req.body).filter(k => ['password', 'name', 'role', 'schools', 'disabled'].includes(k)),
+  })
+  res.json(publicUser(user))
+})
+
+// DELETE /api/users/:username - Remove an account
+app.delete('/api/users/:username', (req, res) => {
+  const target = users.get(req.params.username)
+  if (!target) return sendError(res, 404, 'User not found')
+  if (target.username === req.user.username) return sendError(res, 400, 'You cannot delete your own account')
+  users.remove(target.username)
+  sessions.destroyForUser(target.username)
+  audit.record('user.delete', req, { target: target.username })
+  res.json({ ok: true })
+})
+
+// POST /api/users/:username/unlock - Clear a login lockout
+app.post('/api/users/:username/unlock', (req, res) => {
+  const target = users.get(req.params.username)
+  if (!target) return sendError(res, 404, 'User not found')
+  loginGuard.reset(target.username)
+  audit.record('user.unlock', req, { target: target.username })
+  res.json({ ok: true })
+})
+
+// GET /api/audit?event=login&username=&limit= - Recent security events, newest first (admin)
+app.get('/api/audit', requireRole('admin'), validateRequest({
+  query: is.object({
+    event: is.optional(is.string({ max: 100 })),
+    username: is.optional(is.string({ max: 100 })),
+    limit: is.optional(is.integer({ min: 1, max: 1000 }), 100),
+  }),
+}), (req, res) => {
+  const { event, username, limit } = req.query
+  res.json({ data: audit.query({ event, username, limit }) })
+})
+
 // ─── Schools & Programs (from JSON) ──────────────────────
+// Registry entry as returned by the API; admins also see where the catalog comes from
+const schoolSummary = (school, user) => ({
+  id: school.id,
+  label: school.label,
+  defaultRegion: school.defaultRegion,
+  programCount: schoolRegistry.programs(school.id).length,
+  dataUpdatedAt: schoolRegistry.dataUpdatedAt(school.id),
+  ...(hasRole(user, 'admin') ? { source: school.source } : {}),
+})
+
+// GET /api/schools - Schools the user can access
 app.get('/api/schools', (req, res) => {
-  res.json(SCHOOLS.map(s => ({ id: s.id, label: s.label })))
+  res.json(schoolRegistry.list().filter(s => canAccessSchool(req.user, s.id)).map(s => schoolSummary(s, req.user)))
 })
 
-app.get('/api/schools/:schoolId/programs', (req, res) => {
-  const school = SCHOOLS.find(s => s.id === req.params.schoolId)
-  if (!school) return res.status(404).json({ error: 'School not found' })
-  res.json(schoolData[school.id])
+// POST /api/schools - Register a school (admin); programs are read from data/<id>.json
+app.post('/api/schools', requireRole('admin'), (req, res) => {
+  const { value, errors } = validateSchool(req.body)
+  if (errors) return sendError(res, 400, `${errors[0].field} ${errors[0].message}`, { details: errors })
+  if (schoolRegistry.has(value.id)) return sendError(res, 409, `School "${value.id}" already exists`)
+  const school = schoolRegistry.create(value)
+  audit.record('school.create', req, { target: school.id })
+  res.status(201).json(schoolSummary(school, req.user))
 })
 
-// GET /api/schools/:schoolId/filters - Get distinct filter values for a school
-app.get('/api/schools/:schoolId/filters', (req, res) => {
-  const school = SCHOOLS.find(s => s.id === req.params.schoolId)
-  if (!school) return res.status(404).json({ error: 'School not found' })
-  const programs = schoolData[school.id]?.programs || []
+// PATCH /api/schools/:schoolId - Update label, source or default region (admin)
+app.patch('/api/schools/:schoolId', requireRole('admin'), (req, res) => {
+  if (!schoolRegistry.has(req.params.schoolId)) return sendError(res, 404, 'School not found')
+  const { value, errors } = validateSchool(req.body, { partial: true })
+  if (errors) return sendError(res, 400, `${errors[0].field} ${errors[0].message}`, { details: errors })
+  const school = schoolRegistry.update(req.params.schoolId, value)
+  audit.record('school.update', req, { target: school.id, changes: Object.keys(value) })
+  res.json(schoolSummary(school, req.user))
+})
 
-  const unique = (field) => [...new Set(programs.map(p => p[field]).filter(Boolean))].sort()
+// DELETE /api/schools/:schoolId - Unregister a school (admin); the data file is kept
+app.delete('/api/schools/:schoolId', requireRole('admin'), (req, res) => {
+  if (!schoolRegistry.remove(req.params.schoolId)) return sendError(res, 404, 'School not found')
+  audit.record('school.delete', req, { target: req.params.schoolId })
+  res.json({ ok: true })
+})
 
+const facetValues = is.optional(is.list(is.string({ max: 200 }), { max: 50 }))
+const programQuery = validateRequest({
+  query: is.object({
+    q: is.optional(is.string({ max: 200 }), ''),
+    ...Object.fromEntries(FACET_FIELDS.map(field => [field, facetValues])),
+    cip: is.optional(is.list(is.string({ pattern: /^\d{2}(\.\d{0,4})?\*?$/, hint: 'a CIP code or prefix like 11.* or 11.07' }), { max: LIMITS.codes })),
+    sort: is.optional(is.string({ oneOf: PROGRAM_SORTS.flatMap(s => [s, `-${s}`]) })),
+    limit: is.optional(is.integer({ min: 1, max: MAX_PAGE_SIZE }), 50),
+    cursor: is.optional(is.string({ max: 500 })),
+  }),
+})
+
+// GET /api/schools/:schoolId/programs?q=&type=&level=&college=&degreeDesignation=&cip=11.*&sort=-name&limit=&cursor=
+// Search, filter and page a school's programs; repeat a filter for several values
+app.get('/api/schools/:schoolId/programs', programQuery, (req, res) => {
+  const index = schoolRegistry.index(req.params.schoolId)
+  if (!index) return sendError(res, 404, 'School not found')
+  const { q, cip = [], sort, limit, cursor } = req.query
+  const result = index.search({
+    q,
+    filters: Object.fromEntries(FACET_FIELDS.map(field => [field, req.query[field]])),
+    cip,
+    sort: sort?.replace(/^-/, ''),
+    desc: sort?.startsWith('-'),
+    limit,
+    cursor,
+  })
+  if (result.error) return sendError(res, 400, result.error, { code: 'INVALID_CURSOR' })
   res.json({
-    types: unique('type'),
-    degreeDesignations: unique('degreeDesignation'),
-    colleges: unique('college'),
-    levels: unique('level'),
-    cipCodes: unique('cipCode'),
-    totalPrograms: programs.length,
+    school: schoolRegistry.data(req.params.schoolId).school,
+    total: result.total,
+    count: result.programs.length,
+    sort: `${sort?.startsWith('-') ? '-' : ''}${result.sort}`,
+    nextCursor: result.nextCursor,
+    // CIP titles come from the seed list: a code it lacks gets its series or family title
+    ...(cipTaxonomy.partial ? { cipListPartial: true } : {}),
+    programs: result.programs,
   })
 })
 
-// POST /api/lmi/soc-regional-compare - Compare a SOC code across all regions
-app.post('/api/lmi/soc-regional-compare', requireAuth, async (req, res) => {
-  try {
-    const { socCodes, regions } = req.body
-    const results = await Promise.all(regions.map(async (r) => {
-      const body = { socCodes, regionType: r.regionType, includeSkills: false }
-      if (r.region) body.region = r.region
-      const response = await fetch(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/by-soc`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${MAPADEMICS_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
-      })
-      return response.json()
-    }))
-    res.json(results)
-  } catch (err) {
-    console.error('SOC regional compare error:', err)
-    res.status(500).json({ error: err.message })
+// POST /api/schools/:schoolId/programs/import?format=&map=&dryRun= - Replace the catalog from an uploaded CSV or JSON file (admin)
+app.post('/api/schools/:schoolId/programs/import', requireRole('admin'),
+  express.text({ type: () => true, limit: process.env.CATALOG_UPLOAD_LIMIT || '10mb' }),
+  validateRequest({
+    query: is.object({
+      format: is.optional(is.string({ oneOf: IMPORT_FORMATS })),
+      map: is.optional(is.string({ max: 2000 })),
+      dryRun: is.optional(is.boolean(), false),
+    }),
+  }),
+  (req, res) => {
+    const school = schoolRegistry.get(req.params.schoolId)
+    if (!school) return sendError(res, 404, 'School not found')
+    if (typeof req.body !== 'string' || !req.body.trim()) return sendError(res, 400, 'Upload a CSV or JSON program list as the request body')
+    const format = req.query.format || detectFormat(req.headers['content-type'])
+    if (!format) return sendError(res, 400, 'Unknown upload format – send Content-Type text/csv or application/json, or ?format=')
+
+    let result
+    try {
+      result = importCatalog(req.body, { format, mapping: parseMappingSpec(req.query.map), school: school.label })
+    } catch (err) {
+      return sendError(res, 400, err instanceof SyntaxError ? `Invalid JSON: ${err.message}` : err.message, { code: 'INVALID_CATALOG' })
+    }
+
+    const { data, columns, unmapped, rejected, stats } = result
+    const { dryRun } = req.query
+    if (!dryRun) {
+      if (!data.count) {
+        return sendError(res, 400, 'No valid programs in the upload – catalog left unchanged', {
+          code: 'INVALID_CATALOG',
+          details: { stats, rejected: rejected.slice(0, 100) },
+        })
+      }
+      schoolRegistry.saveData(school.id, data)
+      audit.record('catalog.import', req, { target: school.id, format, ...stats })
+    }
+    res.json({
+      schoolId: school.id,
+      dryRun,
+      stats,
+      columns,
+      unmapped,
+      rejected: rejected.slice(0, 500),
+      rejectedTruncated: rejected.length > 500,
+      dataUpdatedAt: schoolRegistry.dataUpdatedAt(school.id),
+    })
+  },
+)
+
+// GET /api/schools/:schoolId/cip-families - Program counts by CIP family and series, for browsing the catalog
+app.get('/api/schools/:schoolId/cip-families', (req, res) => {
+  if (!schoolRegistry.has(req.params.schoolId)) return sendError(res, 404, 'School not found')
+  const families = new Map() // "11" → { code, title, programCount, series: Map }
+  for (const { cipCode } of schoolRegistry.programs(req.params.schoolId)) {
+    if (!/^\d{2}\.\d{2}/.test(cipCode || '')) continue
+    const familyCode = cipCode.slice(0, 2), seriesCode = cipCode.slice(0, 5)
+    if (!families.has(familyCode)) {
+      families.set(familyCode, { code: familyCode, title: cipTaxonomy.title(familyCode), programCount: 0, series: new Map() })
+    }
+    const family = families.get(familyCode)
+    family.programCount++
+    if (!family.series.has(seriesCode)) family.series.set(seriesCode, { code: seriesCode, title: cipTaxonomy.title(seriesCode), programCount: 0 })
+    family.series.get(seriesCode).programCount++
   }
+  const byCode = (a, b) => a.code.localeCompare(b.code)
+  res.json({
+    families: [...families.values()].sort(byCode).map(f => ({ ...f, series: [...f.series.values()].sort(byCode) })),
+  })
+})
+
+// GET /api/schools/:schoolId/filters - Get distinct filter values for a school
+app.get('/api/schools/:schoolId/filters', (req, res) => {
+  const index = schoolRegistry.index(req.params.schoolId)
+  if (!index) return sendError(res, 404, 'School not found')
+  const facets = index.facets()
+
+  res.json({
+    types: facets.type,
+    degreeDesignations: facets.degreeDesignation,
+    colleges: facets.college,
+    levels: facets.level,
+    cipCodes: facets.cipCode,
+    totalPrograms: index.size,
+  })
 })
 
 // ─── LMI Proxy Endpoints ─────────────────────────────────
-app.post('/api/lmi/by-cip', async (req, res) => {
-  try {
-    const { cipCodes, regionType = 'national', region, includeSkills = true } = req.body
-    if (!cipCodes || !Array.isArray(cipCodes) || cipCodes.length === 0) {
-      return res.status(400).json({ error: 'cipCodes array is required' })
-    }
+// Let clients force a refresh (no-cache) or skip the cache (no-store)
+function cacheOpts(req) {
+  return { cacheControl: req.get('cache-control') }
+}
+
+// Pass upstream rate-limit headers through so the UI can see remaining quota
+function forwardRateLimitHeaders(res, headers) {
+  const map = {
+    'X-RateLimit-Limit': headers['x-ratelimit-limit'],
+    'X-RateLimit-Remaining': headers['x-ratelimit-remaining'],
+    'X-RateLimit-Reset': headers['x-ratelimit-reset'],
+  }
+  for (const [name, val] of Object.entries(map)) {
+    if (val != null) res.set(name, val)
+  }
+}
+
+// Forwards upstream headers and returns the data; throws an ApiError with the
+// upstream status when the call failed
+function upstreamData(res, result) {
+  forwardRateLimitHeaders(res, result.headers)
+  if (result.cache) res.set('X-Cache', result.cache)
+  const err = upstreamError(result)
+  if (err) throw err
+  return result.data
+}
+
+// One LMI call per region (at most REGION_CONCURRENCY at a time), in request order:
+// { results, failures } with failures[i] the region's ApiError or null. If every
+// region fails, the first failure is thrown.
+async function fetchRegions(fetch, query, regions, opts) {
+  const results = await mapWithConcurrency(regions, REGION_CONCURRENCY, (r) => {
+    const body = { ...query, regionType: r.regionType, includeSkills: false }
+    if (r.region) body.region = r.region
+    return fetch(body, opts)
+  })
+  const failures = results.map(upstreamError)
+  if (regions.length && failures.every(Boolean)) throw failures[0]
+  return { results, failures }
+}
+
+// Response bodies of fetchRegions(): regions the upstream rejects keep their error
+// object in place. With adjustForCostOfLiving, successful responses get real-wage
+// fields for their region (see withRealWages).
+async function fetchAcrossRegions(fetch, query, regions, opts, { adjustForCostOfLiving = false } = {}) {
+  const { results, failures } = await fetchRegions(fetch, query, regions, opts)
+  return results.map((r, i) => adjustForCostOfLiving && !failures[i] ? withRealWages(r.data, priceParities, regions[i]) : r.data)
+}
+
+// An upstream regions list entry as a region to query
+const regionEntry = (r) => ({ regionType: r.type, region: r.type === 'national' ? undefined : r.code, label: r.label || r.name })
+
+// Every upstream region (national, states, metros in the regions list order), split into
+// pages of LIMITS.regions: { page, pages, total, regions: [{ regionType, region, label }] }
+async function regionPage(res, page, opts) {
+  const all = upstreamData(res, await lmi.regions(undefined, opts)).data || []
+  const pages = Math.max(1, Math.ceil(all.length / LIMITS.regions))
+  if (page > pages) throw new ApiError(400, `page must be between 1 and ${pages}`, { code: 'VALIDATION_ERROR' })
+  const regions = all.slice((page - 1) * LIMITS.regions, page * LIMITS.regions).map(regionEntry)
+  return { page, pages, total: all.length, regions }
+}
 
+// Body of compare-regions / soc-regional-compare: codes and either `regions` (at most
+// LIMITS.regions) or a `page` of every region. Every region takes one request per page,
+// so each stays inside one rate-limit hit's worth of upstream calls.
+const compareBody = (codes) => is.object({
+  ...codes,
+  regions: is.optional(regionList),
+  page: is.optional(is.integer({ min: 1 })),
+  adjustForCostOfLiving: is.optional(is.boolean(), false),
+}, {
+  check: ({ regions, page }) => regions && page ? { field: 'page', message: 'only applies without regions' } : null,
+})
+
+// Responses for the listed regions (an array, see fetchAcrossRegions), or for one page of
+// every region: { page, pages, total, regions, results }
+async function compareRegions(res, fetch, query, { regions, page = 1, adjustForCostOfLiving }, opts) {
+  if (regions) return fetchAcrossRegions(fetch, query, regions, opts, { adjustForCostOfLiving })
+  const paged = await regionPage(res, page, opts)
+  return { ...paged, results: await fetchAcrossRegions(fetch, query, paged.regions, opts, { adjustForCostOfLiving }) }
+}
+
+// Body of by-cip / by-soc: codes plus an optional region
+const lmiQuery = (codes) => is.object({
+  ...codes,
+  ...regionFields,
+  includeSkills: is.optional(is.boolean(), true),
+  adjustForCostOfLiving: is.optional(is.boolean(), false),
+}, { check: checkRegion })
+
+// Upstream by-cip / by-soc data, with real wages for the queried region when asked
+const lmiResult = (res, result, { regionType, region, adjustForCostOfLiving }) => {
+  const data = upstreamData(res, result)
+  return adjustForCostOfLiving ? withRealWages(data, priceParities, { regionType, region }) : data
+}
+
+app.post('/api/lmi/by-cip', validateRequest({ body: lmiQuery({ cipCodes: cipCodeList }) }), async (req, res) => {
+  try {
+    const { cipCodes, regionType, region, includeSkills } = req.body
     const body = { cipCodes, regionType, includeSkills }
     if (region) body.region = region
 
-    const response = await fetch(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/by-cip`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${MAPADEMICS_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    })
-
-    const data = await response.json()
-    res.set({
-      'X-RateLimit-Limit': response.headers.get('x-ratelimit-limit'),
-      'X-RateLimit-Remaining': response.headers.get('x-ratelimit-remaining'),
-      'X-RateLimit-Reset': response.headers.get('x-ratelimit-reset'),
-    })
-    res.json(data)
+    res.json(lmiResult(res, await lmi.byCip(body, cacheOpts(req)), req.body))
   } catch (err) {
     console.error('LMI API error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
   }
 })
 
-app.get('/api/lmi/regions', async (req, res) => {
+app.get('/api/lmi/regions', validateRequest({
+  query: is.object({ type: is.optional(regionType) }),
+}), async (req, res) => {
   try {
-    const url = new URL(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/regions`)
-    if (req.query.type) url.searchParams.set('type', req.query.type)
-
-    const response = await fetch(url.toString(), {
-      headers: { 'Authorization': `Bearer ${MAPADEMICS_API_KEY}` },
-    })
-    const data = await response.json()
-    res.json(data)
+    res.json(upstreamData(res, await lmi.regions(req.query.type, cacheOpts(req))))
   } catch (err) {
     console.error('Regions API error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
   }
 })
 
-app.post('/api/lmi/by-soc', async (req, res) => {
+app.post('/api/lmi/by-soc', validateRequest({ body: lmiQuery({ socCodes: socCodeList }) }), async (req, res) => {
   try {
-    const { socCodes, regionType = 'national', region, includeSkills = true } = req.body
+    const { socCodes, regionType, region, includeSkills } = req.body
     const body = { socCodes, regionType, includeSkills }
     if (region) body.region = region
 
-    const response = await fetch(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/by-soc`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${MAPADEMICS_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    })
-    const data = await response.json()
-    res.json(data)
+    res.json(lmiResult(res, await lmi.bySoc(body, cacheOpts(req)), req.body))
   } catch (err) {
     console.error('LMI by SOC API error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
   }
 })
 
-app.post('/api/lmi/compare-regions', async (req, res) => {
+// POST /api/lmi/soc-group - LMI for every detailed occupation in a minor or broad SOC group,
+// rolled up with employment-weighted salary and growth
+// Body: { socCode: "15-1250", regionType, region }
+app.post('/api/lmi/soc-group', validateRequest({
+  body: is.object({ socCode, ...regionFields }, { check: checkRegion }),
+}), async (req, res) => {
   try {
-    const { cipCodes, regions } = req.body
-    const results = await Promise.all(regions.map(async (r) => {
-      const body = { cipCodes, regionType: r.regionType, includeSkills: false }
-      if (r.region) body.region = r.region
-      const response = await fetch(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/by-cip`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${MAPADEMICS_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body),
+    const { socCode: code, regionType, region } = req.body
+    const group = socHierarchy.get(code)
+    if (!group) return sendError(res, 404, `Unknown SOC code ${code}`)
+    if (group.level !== 'minor' && group.level !== 'broad') {
+      return sendError(res, 400, `SOC ${code} is a ${group.level} ${group.level === 'detailed' ? 'occupation – use /api/lmi/by-soc' : 'group – pick one of its minor groups'}`, {
+        code: 'INVALID_SOC_GROUP',
       })
-      return response.json()
-    }))
-    res.json(results)
+    }
+
+    // Upstream takes at most LIMITS.codes codes per call
+    const codes = socHierarchy.detailedUnder(code).filter(c => socByCode.has(c))
+    const occupations = []
+    const warnings = []
+    let regionLabel = null
+    for (let i = 0; i < codes.length; i += LIMITS.codes) {
+      const body = { socCodes: codes.slice(i, i + LIMITS.codes), regionType, includeSkills: false }
+      if (region) body.region = region
+      const data = upstreamData(res, await lmi.bySoc(body, cacheOpts(req))).data || {}
+      occupations.push(...(data.matchedOccupations || []))
+      warnings.push(...(data.warnings || []))
+      regionLabel ??= data.region || null
+    }
+
+    const rollup = summarizeOccupations(occupations)
+    const withData = new Set(occupations.map(o => o.socCode))
+    res.json({
+      group: { code: group.code, title: group.title, level: group.level, ancestors: group.ancestors },
+      regionType,
+      region: region || null,
+      regionLabel,
+      rollup,
+      occupations: occupations.map(o => {
+        const lmd = o.laborMarketData || {}
+        return {
+          socCode: o.socCode,
+          name: o.name,
+          medianSalary: lmd.medianAnnualSalary ?? null,
+          totalEmployment: lmd.totalEmployment ?? null,
+          growthRate: lmd.forecastedEmploymentGrowth ?? null,
+          demandScore: lmd.demand?.score ?? null,
+          employmentShare: rollup.totalEmployment && lmd.totalEmployment != null
+            ? Number((lmd.totalEmployment / rollup.totalEmployment).toFixed(4))
+            : null,
+        }
+      }),
+      missing: codes.filter(c => !withData.has(c)).map(c => ({ code: c, title: socByCode.get(c).title })),
+      warnings,
+    })
+  } catch (err) {
+    console.error('SOC group LMI error:', err)
+    sendApiError(res, err)
+  }
+})
+
+app.post('/api/lmi/compare-regions', validateRequest({ body: compareBody({ cipCodes: cipCodeList }) }), async (req, res) => {
+  try {
+    res.json(await compareRegions(res, lmi.byCip, { cipCodes: req.body.cipCodes }, req.body, cacheOpts(req)))
   } catch (err) {
     console.error('Region compare error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
+  }
+})
+
+// POST /api/lmi/soc-regional-compare - Compare a SOC code across the given regions, or
+// across every region one page at a time (see compareBody)
+app.post('/api/lmi/soc-regional-compare', validateRequest({ body: compareBody({ socCodes: socCodeList }) }), async (req, res) => {
+  try {
+    res.json(await compareRegions(res, lmi.bySoc, { socCodes: req.body.socCodes }, req.body, cacheOpts(req)))
+  } catch (err) {
+    console.error('SOC regional compare error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// POST /api/lmi/regional-heatmap - One program (cipCodes) or occupation (socCodes) across
+// every state or every metro in a state, as a normalized salary/employment/growth table
+// (plus real wages with adjustForCostOfLiving). The metros scope needs a state, and a
+// scope over HEATMAP_MAX_REGIONS regions is rejected rather than fanned out upstream.
+app.post('/api/lmi/regional-heatmap', validateRequest({
+  body: is.object({
+    cipCodes: is.optional(cipCodeList),
+    socCodes: is.optional(socCodeList),
+    scope: is.string({ oneOf: HEATMAP_SCOPES }),
+    state: is.optional(is.string({ pattern: /^\d{2}$/, hint: 'a 2-digit state FIPS code', coerce: true })),
+    adjustForCostOfLiving: is.optional(is.boolean(), false),
+  }, {
+    check: ({ cipCodes, socCodes, scope, state }) => {
+      if (!cipCodes === !socCodes) return { field: 'cipCodes', message: 'or socCodes is required (not both)' }
+      if (state && scope !== 'metros') return { field: 'state', message: 'only applies to the metros scope' }
+      if (!state && scope === 'metros') return { field: 'state', message: 'is required for the metros scope' }
+      return null
+    },
+  }),
+}), async (req, res) => {
+  try {
+    const { cipCodes, socCodes, scope, state, adjustForCostOfLiving } = req.body
+    const opts = cacheOpts(req)
+    const regionsOf = async (type) => upstreamData(res, await lmi.regions(type, opts)).data || []
+
+    const states = await regionsOf('state')
+    if (state && !states.some(s => s.code === state)) return sendError(res, 404, 'State not found')
+    const regions = scopeRegions(scope, { states, msas: scope === 'metros' ? await regionsOf('msa') : [], state })
+    if (regions.length > HEATMAP_MAX_REGIONS) {
+      return sendError(res, 400, `This scope covers ${regions.length} regions; a heatmap takes at most ${HEATMAP_MAX_REGIONS}`, {
+        details: { regions: regions.length, max: HEATMAP_MAX_REGIONS },
+      })
+    }
+
+    const fetch = cipCodes ? lmi.byCip : lmi.bySoc
+    const query = cipCodes ? { cipCodes } : { socCodes }
+    const { results: responses, failures } = await fetchRegions(fetch, query, regions, opts)
+    const parities = regions.map(r => priceParities.parity(r.regionType, r.region))
+    const results = responses.map((r, i) => failures[i]
+      ? { status: 'error', message: failures[i].message }
+      : {
+          status: 'ok',
+          occupations: r.data?.data?.matchedOccupations || [],
+          ...(adjustForCostOfLiving ? { regionalPriceParity: parities[i] } : {}),
+        })
+
+    res.json({
+      subject: cipCodes ? { cipCodes } : { socCodes },
+      scope,
+      state: state || null,
+      concurrency: REGION_CONCURRENCY,
+      costOfLiving: adjustForCostOfLiving
+        ? {
+            year: priceParities.year,
+            source: priceParities.source,
+            partial: priceParities.partial,
+            // Regions the price parity table lacks have no real salary
+            uncovered: regions.filter((r, i) => parities[i] == null).map(r => r.label),
+          }
+        : null,
+      ...heatmapTable(regions, results),
+    })
+  } catch (err) {
+    console.error('Regional heatmap error:', err)
+    sendApiError(res, err)
   }
 })
 
 // ─── Skills Library ───────────────────────────────────────
+const skillId = is.string({ pattern: /^[A-Za-z0-9._-]+$/, hint: 'a skill id like MSL-1001', max: 64 })
+
+// Skills library entries by id, with their domain
+async function skillsLibraryIndex(res, opts) {
+  const tree = upstreamData(res, await lmi.skillsTree(opts))
+  const index = new Map()
+  for (const domain of tree.data?.domains || []) {
+    for (const skill of domain.skills || []) index.set(skill.id, { id: skill.id, name: skill.name, domainId: domain.id, domainName: domain.name })
+  }
+  return index
+}
+
 app.get('/api/skills-library/tree', async (req, res) => {
   try {
-    const response = await fetch(`${MAPADEMICS_BASE_URL}/skills-library/tree`, {
-      headers: { 'Authorization': `Bearer ${MAPADEMICS_API_KEY}` },
-    })
-    const data = await response.json()
-    res.json(data)
+    res.json(upstreamData(res, await lmi.skillsTree(cacheOpts(req))))
   } catch (err) {
     console.error('Skills Library API error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
   }
 })
 
-app.get('/api/skills-library/:skillId', async (req, res) => {
+app.get('/api/skills-library/:skillId', validateRequest({
+  params: is.object({ skillId }),
+}), async (req, res) => {
   try {
-    const response = await fetch(`${MAPADEMICS_BASE_URL}/skills-library/${req.params.skillId}`, {
-      headers: { 'Authorization': `Bearer ${MAPADEMICS_API_KEY}` },
-    })
-    const data = await response.json()
-    res.json(data)
+    res.json(upstreamData(res, await lmi.skill(req.params.skillId, cacheOpts(req))))
   } catch (err) {
     console.error('Skill detail API error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
+  }
+})
+
+// ─── Batch Reports ────────────────────────────────────────
+const reportJobs = createReportJobManager({
+  dir: join(STORE_DIR, 'reports'),
+  lmi,
+  loadSchool: (schoolId) => {
+    const school = schoolRegistry.get(schoolId)
+    return school ? { label: school.label, programs: schoolRegistry.programs(school.id) } : null
+  },
+  reportOptions: {
+    delayMs: REPORT_BATCH_DELAY_MS,
+    socCodesForCip,
+  },
+})
+
+app.use('/api/reports', requireAuth)
+
+// POST /api/reports - Start a batch LMI report for a school's whole catalog
+// Without a regionType the school's default region is used
+app.post('/api/reports', requireRole('analyst'), validateRequest({
+  body: is.object({
+    schoolId: is.string({ max: 100 }),
+    regionType: is.optional(regionType),
+    region: regionFields.region,
+  }, { check: checkRegion }),
+}), (req, res) => {
+  const { schoolId } = req.body
+  if (!canAccessSchool(req.user, schoolId)) return sendError(res, 403, 'You do not have access to this school')
+  const { regionType, region } = req.body.regionType ? req.body : schoolRegistry.get(schoolId)?.defaultRegion || {}
+  const job = reportJobs.create({ schoolId, regionType, region })
+  if (!job) return sendError(res, 404, 'School not found')
+  res.status(202).json(job)
+})
+
+// GET /api/reports - List report jobs, newest first
+app.get('/api/reports', (req, res) => {
+  res.json({ data: reportJobs.list().filter(job => canAccessSchool(req.user, job.schoolId)) })
+})
+
+// GET /api/reports/:jobId - Poll job status and progress
+app.get('/api/reports/:jobId', (req, res) => {
+  const job = reportJobs.get(req.params.jobId)
+  if (!job || !canAccessSchool(req.user, job.schoolId)) return sendError(res, 404, 'Report job not found')
+  res.json(job)
+})
+
+// GET /api/reports/:jobId/download - Finished report as a JSON file
+app.get('/api/reports/:jobId/download', (req, res) => {
+  const job = reportJobs.get(req.params.jobId)
+  if (!job || !canAccessSchool(req.user, job.schoolId)) return sendError(res, 404, 'Report job not found')
+  const path = reportJobs.reportPath(job.id)
+  if (!path) return sendError(res, 409, `Report is not ready (status: ${job.status})`)
+  res.download(path, `lmi-report-${job.schoolId}-${job.id}.json`)
+})
+
+// ─── LMI Cache ────────────────────────────────────────────
+app.use('/api/cache', requireAuth)
+
+// GET /api/cache/stats - Hit/miss counters and entry counts per endpoint
+app.get('/api/cache/stats', (req, res) => {
+  res.json({ ...lmi.stats(), ai: aiMatcher.stats() })
+})
+
+// DELETE /api/cache?endpoint=by-cip - Purge all entries, or one endpoint's
+app.delete('/api/cache', requireRole('admin'), (req, res) => {
+  const { endpoint } = req.query
+  if (endpoint && !(endpoint in lmi.stats().ttls)) {
+    return sendError(res, 400, `Unknown cache endpoint "${endpoint}"`)
+  }
+  res.json({ purged: lmi.purge(endpoint) })
+})
+
+// ─── SOC Mapping Review ───────────────────────────────────
+// Curated program → SOC mappings per school (under /api/schools, so already authenticated)
+const socMappings = createSocMappingStore({ dir: join(STORE_DIR, 'soc-mappings') })
+
+// Username recorded in the audit fields
+const actor = (req) => req.user.username
+
+// Resolves :schoolId (and :programCode when present); sends 404 and returns null if unknown
+function mappingScope(req, res) {
+  const school = schoolRegistry.get(req.params.schoolId)
+  if (!school) { sendError(res, 404, 'School not found'); return null }
+  const { programCode } = req.params
+  if (programCode && !schoolRegistry.programs(school.id).some(p => p.code === programCode)) {
+    sendError(res, 404, `Program "${programCode}" not found`)
+    return null
   }
+  return { schoolId: school.id, programCode }
+}
+
+const mappingSource = is.optional(is.string({ oneOf: MAPPING_SOURCES }), 'manual')
+const mappingReason = is.optional(is.string({ max: 1000 }))
+const mappingListQuery = validateRequest({
+  query: is.object({
+    status: is.optional(is.string({ oneOf: MAPPING_STATUSES })),
+    programCode: is.optional(is.string({ max: 100 })),
+  }),
+})
+const reviewBody = validateRequest({ body: is.object({ note: is.optional(is.string({ max: 1000 })) }) })
+
+// GET /api/schools/:schoolId/soc-mappings?status=&programCode= - List mappings for a school
+app.get('/api/schools/:schoolId/soc-mappings', mappingListQuery, (req, res) => {
+  const scope = mappingScope(req, res)
+  if (!scope) return
+  const { status, programCode } = req.query
+  res.json({ data: socMappings.list(scope.schoolId, { status, programCode }) })
+})
+
+// GET /api/schools/:schoolId/programs/:programCode/soc-mappings - Mappings for one program
+app.get('/api/schools/:schoolId/programs/:programCode/soc-mappings', mappingListQuery, (req, res) => {
+  const scope = mappingScope(req, res)
+  if (!scope) return
+  res.json({ data: socMappings.list(scope.schoolId, { programCode: scope.programCode, status: req.query.status }) })
+})
+
+// POST /api/schools/:schoolId/programs/:programCode/soc-mappings - Propose (and optionally approve) mappings
+// Body: { mappings: [{ socCode, source, reason }] } or { socCodes: [...], source, reason }, plus approve
+app.post('/api/schools/:schoolId/programs/:programCode/soc-mappings', requireRole('analyst'), validateRequest({
+  body: is.object({
+    mappings: is.optional(is.array(is.object({ socCode, source: mappingSource, reason: mappingReason }), { max: LIMITS.codes })),
+    socCodes: is.optional(socCodeList),
+    source: mappingSource,
+    reason: mappingReason,
+    approve: is.optional(is.boolean(), false),
+  }, { check: (b) => b.mappings || b.socCodes ? null : { field: 'mappings', message: 'or socCodes is required' } }),
+}), (req, res) => {
+  const scope = mappingScope(req, res)
+  if (!scope) return
+  const { mappings, socCodes: codes, source, reason, approve } = req.body
+  const entries = mappings || codes.map(socCode => ({ socCode, source, reason }))
+
+  for (const entry of entries) {
+    if (!socByCode.has(entry.socCode)) {
+      return sendError(res, 400, `Unknown SOC code "${entry.socCode}"`, { code: 'UNKNOWN_SOC_CODE' })
+    }
+    entry.title = socByCode.get(entry.socCode).title
+  }
+
+  const result = socMappings.propose(scope.schoolId, scope.programCode, entries, { user: actor(req), approve })
+  res.status(201).json({ data: result })
+})
+
+// POST /api/schools/:schoolId/soc-mappings/:mappingId/approve - Approve a proposed mapping
+app.post('/api/schools/:schoolId/soc-mappings/:mappingId/approve', requireRole('analyst'), reviewBody, (req, res) => {
+  const scope = mappingScope(req, res)
+  if (!scope) return
+  const mapping = socMappings.approve(scope.schoolId, req.params.mappingId, { user: actor(req), note: req.body.note })
+  if (!mapping) return sendError(res, 404, 'Mapping not found')
+  res.json(mapping)
+})
+
+// POST /api/schools/:schoolId/soc-mappings/:mappingId/reject - Reject a mapping (also revokes an approval)
+app.post('/api/schools/:schoolId/soc-mappings/:mappingId/reject', requireRole('analyst'), reviewBody, (req, res) => {
+  const scope = mappingScope(req, res)
+  if (!scope) return
+  const mapping = socMappings.reject(scope.schoolId, req.params.mappingId, { user: actor(req), note: req.body.note })
+  if (!mapping) return sendError(res, 404, 'Mapping not found')
+  res.json(mapping)
+})
+
+// ─── CIP Reference Data ──────────────────────────────────
+app.use('/api/cip', requireAuth)
+
+// GET /api/cip/search?q=&level=&limit= - Search CIP codes by code prefix or title words
+app.get('/api/cip/search', validateRequest({
+  query: is.object({
+    q: is.optional(is.string({ max: 200 }), ''),
+    level: is.optional(is.string({ oneOf: CIP_LEVELS })),
+    limit: is.optional(is.integer({ min: 1, max: 500 }), 50),
+  }),
+}), (req, res) => {
+  const { q, level, limit } = req.query
+  const partial = cipTaxonomy.partial ? { partial: true } : {}
+  if (!q && !level) return res.json({ results: [], total: cipTaxonomy.size, ...partial })
+  const { results, total } = cipTaxonomy.search(q, { level, limit })
+  res.json({ results, total, query: q, ...partial })
+})
+
+// GET /api/cip/:code - A family (11), series (11.07) or program (11.0701) with its hierarchy and crosswalk occupations
+app.get('/api/cip/:code', validateRequest({
+  params: is.object({ code: is.string({ pattern: /^\d{2}(\.\d{2}(\d{2})?)?$/, hint: 'a CIP code like 11, 11.07 or 11.0701' }) }),
+}), (req, res) => {
+  const entry = cipTaxonomy.get(req.params.code)
+  if (!entry) {
+    return sendError(res, 404, cipTaxonomy.partial
+      ? `CIP code ${req.params.code} is not in the bundled CIP list (a partial seed)`
+      : `Unknown CIP code ${req.params.code}`)
+  }
+  const cw = entry.level === 'family' ? null : crosswalk.lookup(entry.code)
+  res.json({
+    ...entry,
+    occupations: (cw?.socCodes || []).filter(code => socByCode.has(code)).map(code => ({ code, title: socByCode.get(code).title })),
+    ...(cipTaxonomy.partial ? { partial: true } : {}),
+    ...(crosswalk.partial ? { occupationsPartial: true } : {}),
+  })
 })
 
 // ─── SOC Matching Endpoints ──────────────────────────────
 app.use('/api/soc', requireAuth)
 
+// A program record as the UIs send it; unknown fields are kept for keyword matching.
+// Catalogs carry some series-level CIPs (NN.NN), so those are accepted here.
+const programSchema = is.object({
+  name: is.optional(is.string({ max: 500 })),
+  longName: is.optional(is.string({ max: 500 })),
+  code: is.optional(is.string({ max: 100 })),
+  cipCode: is.optional(is.string({ pattern: PROGRAM_CIP_RE, hint: 'a CIP code like 11.0701 (or series like 11.07)' })),
+}, {
+  passthrough: true,
+  check: (p) => p.name || p.longName || p.cipCode ? null : { field: 'name', message: 'or cipCode is required' },
+})
+
+// Per-request keyword scorer weights; missing ones keep DEFAULT_MATCH_WEIGHTS
+const matchWeights = is.optional(is.object(Object.fromEntries(
+  Object.keys(DEFAULT_MATCH_WEIGHTS).map(key => [key, is.optional(is.number({ min: 0, max: 100 }))]),
+)))
+
+// Hybrid ranking of local and AI matches (with useAI); see lib/match-fusion.mjs
+const fusionOptions = is.optional(is.object({
+  method: is.optional(is.string({ oneOf: FUSION_METHODS }), DEFAULT_FUSION.method),
+  k: is.optional(is.integer({ min: 1, max: 1000 }), DEFAULT_FUSION.k),
+  localWeight: is.optional(is.number({ min: 0, max: 100 }), DEFAULT_FUSION.localWeight),
+  aiWeight: is.optional(is.number({ min: 0, max: 100 }), DEFAULT_FUSION.aiWeight),
+}))
+
+// Body of match-and-fetch and the SOC matches export
+const matchAndFetchBody = (extra = {}) => is.object({
+  program: programSchema,
+  schoolId: is.optional(is.string({ max: 100 })),
+  topN: is.optional(is.integer({ min: 1, max: LIMITS.topN }), 5),
+  weights: matchWeights,
+  ...regionFields,
+  useAI: is.optional(is.boolean(), false),
+  fusion: fusionOptions,
+  ignoreApproved: is.optional(is.boolean(), false),
+  ...extra,
+}, { check: checkRegion })
+
 // POST /api/soc/match - Match program data to SOC codes
-app.post('/api/soc/match', async (req, res) => {
+app.post('/api/soc/match', validateRequest({
+  body: is.object({
+    program: programSchema,
+    topN: is.optional(is.integer({ min: 1, max: LIMITS.topN }), 10),
+    weights: matchWeights,
+    useAI: is.optional(is.boolean(), false),
+    fusion: fusionOptions,
+  }),
+}), async (req, res) => {
   try {
-    const { program, topN = 10, useAI = false } = req.body
-    if (!program) return res.status(400).json({ error: 'program object is required' })
+    const { program, topN, weights, useAI, fusion } = req.body
 
-    // Local matching (always available)
-    const localMatches = matchSocCodes(program, topN)
+    // Local matching (always available), each match with its score explanation
+    const localMatches = socMatcher.match(program, { topN, weights })
 
     // AI matching (optional)
-    let aiMatches = null
-    if (useAI && OPENAI_API_KEY) {
-      aiMatches = await matchSocCodesWithAI(program, topN)
-    }
+    const { ai, aiError } = useAI && aiMatcher.available ? await tryAiMatch(program, topN, cacheOpts(req)) : {}
+    if (ai) res.set('X-AI-Cache', ai.cache)
+
+    // Hybrid ranking (optional): both lists fused, local-only when AI failed
+    const fusedMatches = useAI && fusion ? fuseMatches({ local: localMatches, ai: ai?.matches }, { ...fusion, topN }) : null
 
     res.json({
       program: {
         name: program.longName || program.name,
         code: program.code,
         cipCode: program.cipCode,
+        cipTitle: cipTaxonomy.describe(program.cipCode).cipTitle || null,
       },
       localMatches,
-      aiMatches,
-      aiAvailable: !!OPENAI_API_KEY,
+      aiMatches: ai?.matches || null,
+      aiDropped: ai?.dropped || [],
+      aiModel: ai?.model || null,
+      aiError: aiError || null,
+      fusedMatches,
+      fusion: fusedMatches ? { ...fusion, agreement: agreementSummary(fusedMatches) } : null,
+      weights: { ...DEFAULT_MATCH_WEIGHTS, ...weights },
+      crosswalk: crosswalkInfo(program.cipCode),
+      aiAvailable: aiMatcher.available,
     })
   } catch (err) {
     console.error('SOC match error:', err)
-    res.status(500).json({ error: err.message })
+    sendApiError(res, err)
   }
 })
 
-// GET /api/soc/search?q=... - Search SOC codes by keyword
-app.get('/api/soc/search', (req, res) => {
-  const q = (req.query.q || '').toLowerCase().trim()
-  if (!q) return res.json({ results: [], total: socCodes.length })
+// GET /api/soc/search?q=&level=&limit= - Search SOC codes by code prefix or title words, best matches first.
+// Detailed occupations by default; level (repeatable) also searches major, minor and broad groups.
+app.get('/api/soc/search', validateRequest({
+  query: is.object({
+    q: is.optional(is.string({ max: 200 }), ''),
+    level: is.optional(is.list(is.string({ oneOf: SOC_LEVELS }), { max: SOC_LEVELS.length }), ['detailed']),
+    limit: is.optional(is.integer({ min: 1, max: 500 }), 50),
+  }),
+}), (req, res) => {
+  const { q, level, limit } = req.query
+  if (!q.trim()) return res.json({ results: [], total: socCodes.length })
+
+  const { results, total } = socHierarchy.search(q, { levels: level, limit })
+  res.json({
+    results: results.map(r => r.level === 'detailed'
+      ? socByCode.get(r.code) || r
+      : { ...r, detailedCount: socHierarchy.detailedUnder(r.code).length }),
+    total,
+    query: q,
+  })
+})
 
-  const results = socCodes.filter(s => {
-    const haystack = `${s.code} ${s.title} ${s.majorGroup} ${s.minorGroup} ${s.broadGroup}`.toLowerCase()
-    return q.split(/\s+/).every(word => haystack.includes(word))
-  }).slice(0, 50)
+// GET /api/soc/hierarchy - The major groups, the top of the SOC 2018 hierarchy
+app.get('/api/soc/hierarchy', (req, res) => {
+  res.json({
+    source: socHierarchy.source,
+    majorGroups: socHierarchy.majorGroups().map(g => ({ ...g, detailedCount: socHierarchy.detailedUnder(g.code).length })),
+  })
+})
 
-  res.json({ results, total: results.length, query: q })
+// GET /api/soc/hierarchy/:code - A group or occupation with its ancestors and children
+app.get('/api/soc/hierarchy/:code', validateRequest({ params: is.object({ code: socCode }) }), (req, res) => {
+  const entry = socHierarchy.get(req.params.code)
+  if (!entry) return sendError(res, 404, `Unknown SOC code ${req.params.code}`)
+  res.json({
+    ...entry,
+    detailedCount: socHierarchy.detailedUnder(entry.code).length,
+    children: entry.children.map(c => c.level === 'detailed' ? c : { ...c, detailedCount: socHierarchy.detailedUnder(c.code).length }),
+  })
 })
 
 // GET /api/soc/all - Get all SOC codes (for client-side search)
@@ -526,73 +1262,676 @@ app.get('/api/soc/all', (req, res) => {
   res.json({ data: socCodes, total: socCodes.length })
 })
 
+// Match a program to SOC codes and merge in LMI for each match.
+// Approved mappings for the program (when schoolId is given) win over computed matches.
+async function matchAndFetch({ program, schoolId, topN = 5, weights, regionType = 'national', region, useAI = false, fusion, ignoreApproved = false }, opts) {
+  // Step 1: Approved mappings, else match SOC codes
+  const knownSchool = schoolRegistry.has(schoolId)
+  const approved = knownSchool && program.code && !ignoreApproved ? socMappings.approvedFor(schoolId, program.code) : []
+  let matches
+  let aiError = null
+  if (approved.length) {
+    matches = approved.map(m => ({
+      ...socByCode.get(m.socCode),
+      source: m.source,
+      matchSource: 'approved',
+      reason: m.reason,
+      mapping: { id: m.id, approvedBy: m.reviewedBy, approvedAt: m.reviewedAt },
+    }))
+  } else {
+    matches = socMatcher.match(program, { topN, weights })
+    if (useAI && aiMatcher.available) {
+      const attempt = await tryAiMatch(program, topN, opts)
+      // With fusion both rankings are merged; otherwise AI matches replace local ones
+      if (attempt.ai?.matches.length) matches = fusion ? fuseMatches({ local: matches, ai: attempt.ai.matches }, { ...fusion, topN }) : attempt.ai.matches
+      aiError = attempt.aiError
+    }
+  }
+
+  const socCodeList = matches.map(m => m.code)
+
+  // Step 2: Fetch LMI for matched SOC codes, LIMITS.codes per call (approvals add up,
+  // and topN may be larger than the upstream takes at once)
+  const body = { socCodes: socCodeList, regionType, includeSkills: true }
+  if (region) body.region = region
+
+  const result = await fetchInBatches(lmi.bySoc, 'socCodes', body, opts)
+  const failure = upstreamError(result)
+  if (failure) throw failure
+  const lmiData = result.data
+
+  // Merge match data with LMI data
+  const occupations = lmiData.data?.matchedOccupations || []
+  const enrichedMatches = matches.map(m => {
+    const occ = occupations.find(o => o.socCode === m.code)
+    return {
+      ...m,
+      lmiData: occ || null,
+      hasLMI: !!occ,
+      // Flatten key LMI fields for easy access
+      ...(occ?.laborMarketData ? {
+        medianSalary: occ.laborMarketData.medianAnnualSalary,
+        totalEmployment: occ.laborMarketData.totalEmployment,
+        growthRate: occ.laborMarketData.forecastedEmploymentGrowth,
+        demandScore: occ.laborMarketData.demand?.score,
+        demandFactors: occ.laborMarketData.demand?.factors,
+        degreeLevel: occ.laborMarketData.typicalDegreeLevel,
+      } : {}),
+    }
+  })
+
+  return {
+    program: { name: program.longName || program.name, code: program.code, cipCode: program.cipCode },
+    matches: enrichedMatches,
+    lmiRaw: lmiData,
+    warnings: [
+      ...(lmiData.data?.warnings || []),
+      ...(aiError ? [{ code: aiError.code, message: `AI matching failed, using local matches: ${aiError.error}` }] : []),
+    ],
+    mappingSource: approved.length ? 'approved' : 'computed',
+    fusion: matches[0]?.matchSource === 'fused' ? { ...fusion, agreement: agreementSummary(matches) } : null,
+    crosswalk: crosswalkInfo(program.cipCode),
+    aiAvailable: aiMatcher.available,
+  }
+}
+
 // POST /api/soc/match-and-fetch - Match SOC codes AND fetch LMI in one call
-app.post('/api/soc/match-and-fetch', async (req, res) => {
+app.post('/api/soc/match-and-fetch', validateRequest({ body: matchAndFetchBody() }), async (req, res) => {
   try {
-    const { program, topN = 5, regionType = 'national', region, useAI = false } = req.body
-    if (!program) return res.status(400).json({ error: 'program object is required' })
-
-    // Step 1: Match SOC codes
-    let matches = matchSocCodes(program, topN)
-    if (useAI && OPENAI_API_KEY) {
-      const ai = await matchSocCodesWithAI(program, topN)
-      if (ai) matches = ai
+    const { schoolId } = req.body
+    if (schoolId && !canAccessSchool(req.user, schoolId)) {
+      return sendError(res, 403, 'You do not have access to this school')
     }
+    res.json(await matchAndFetch(req.body, cacheOpts(req)))
+  } catch (err) {
+    console.error('SOC match-and-fetch error:', err)
+    sendApiError(res, err)
+  }
+})
 
-    const socCodeList = matches.map(m => m.code)
-
-    // Step 2: Fetch LMI for matched SOC codes
-    const body = { socCodes: socCodeList, regionType, includeSkills: true }
-    if (region) body.region = region
+// ─── Program Comparison ───────────────────────────────────
+app.use('/api/compare', requireAuth)
+
+const compareProgramsBody = is.object({
+  programs: is.array(
+    is.object({ schoolId: is.string({ max: 100 }), programCode: is.string({ max: 100 }) }),
+    { min: 2, max: MAX_COMPARE_PROGRAMS },
+  ),
+  ...regionFields,
+  topN: is.optional(is.integer({ min: 1, max: 10 }), 5),
+}, { check: checkRegion })
+
+// POST /api/compare/programs - Side-by-side LMI for 2-4 programs in one region
+// Body: { programs: [{ schoolId, programCode }], regionType, region, topN }
+app.post('/api/compare/programs', validateRequest({ body: compareProgramsBody }), async (req, res) => {
+  try {
+    const { programs, regionType, region, topN } = req.body
+
+    // Resolve every pair before calling upstream
+    const resolved = []
+    for (const { schoolId, programCode } of programs) {
+      const school = schoolRegistry.get(schoolId)
+      if (!school) return sendError(res, 404, `School "${schoolId}" not found`)
+      if (!canAccessSchool(req.user, school.id)) return sendError(res, 403, 'You do not have access to this school')
+      const program = schoolRegistry.programs(school.id).find(p => p.code === programCode)
+      if (!program) return sendError(res, 404, `Program "${programCode}" not found at ${school.label}`)
+      resolved.push({ key: `${school.id}:${program.code}`, school, program })
+    }
+    if (new Set(resolved.map(r => r.key)).size < resolved.length) {
+      return sendError(res, 400, 'programs must not contain the same program twice')
+    }
 
-    const lmiResponse = await fetch(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/by-soc`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${MAPADEMICS_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    })
-    const lmiData = await lmiResponse.json()
+    // Approved mappings or computed SOC matches per program, all in the same region
+    const results = await Promise.all(resolved.map(({ school, program }) =>
+      matchAndFetch({ program, schoolId: school.id, topN, regionType, region }, cacheOpts(req))))
 
-    // Merge match data with LMI data
-    const occupations = lmiData.data?.matchedOccupations || []
-    const enrichedMatches = matches.map(m => {
-      const occ = occupations.find(o => o.socCode === m.code)
+    const entries = resolved.map(({ key, school, program }, i) => {
+      const { matches, mappingSource, warnings } = results[i]
+      const occupations = matches.map(m => m.lmiData).filter(Boolean)
       return {
-        ...m,
-        lmiData: occ || null,
-        hasLMI: !!occ,
-        // Flatten key LMI fields for easy access
-        ...(occ?.laborMarketData ? {
-          medianSalary: occ.laborMarketData.medianAnnualSalary,
-          totalEmployment: occ.laborMarketData.totalEmployment,
-          growthRate: occ.laborMarketData.forecastedEmploymentGrowth,
-          demandScore: occ.laborMarketData.demand?.score,
-          demandFactors: occ.laborMarketData.demand?.factors,
-          degreeLevel: occ.laborMarketData.typicalDegreeLevel,
-        } : {}),
+        key,
+        schoolId: school.id,
+        school: school.label,
+        programCode: program.code,
+        name: program.longName || program.name,
+        cipCode: program.cipCode,
+        cipTitle: program.cipTitle || null,
+        degreeDesignation: program.degreeDesignation || null,
+        mappingSource,
+        socCodes: matches.map(m => ({ code: m.code, title: m.title, matchSource: m.matchSource, hasLMI: m.hasLMI })),
+        summary: summarizeOccupations(occupations),
+        coreSkills: coreSkills(occupations),
+        warnings,
       }
     })
 
+    res.json({
+      regionType,
+      region: region || null,
+      regionLabel: results[0].lmiRaw.data?.region || null,
+      programs: entries,
+      metrics: alignMetrics(entries.map(e => e.summary)),
+      skills: compareSkills(Object.fromEntries(entries.map(e => [e.key, e.coreSkills]))),
+    })
+  } catch (err) {
+    console.error('Program compare error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// ─── Skills Gap ───────────────────────────────────────────
+// Skills each program declares it teaches (under /api/schools, so already authenticated)
+const programSkills = createProgramSkillStore({ dir: join(STORE_DIR, 'program-skills') })
+
+const declaredSkillList = is.array(skillId, { min: 0, max: 200, unique: true })
+
+// GET /api/schools/:schoolId/programs/:programCode/skills - Skills the program declares it teaches
+app.get('/api/schools/:schoolId/programs/:programCode/skills', (req, res) => {
+  const scope = mappingScope(req, res)
+  if (!scope) return
+  res.json(programSkills.get(scope.schoolId, scope.programCode) || { skills: [], updatedBy: null, updatedAt: null })
+})
+
+// PUT /api/schools/:schoolId/programs/:programCode/skills - Replace the declared skills
+// Body: { skills: ["MSL-1001", ...] } – skills library ids; an empty list clears them
+app.put('/api/schools/:schoolId/programs/:programCode/skills', requireRole('analyst'), validateRequest({
+  body: is.object({ skills: declaredSkillList }),
+}), async (req, res) => {
+  try {
+    const scope = mappingScope(req, res)
+    if (!scope) return
+    const library = await skillsLibraryIndex(res, cacheOpts(req))
+    const unknown = req.body.skills.filter(id => !library.has(id))
+    if (unknown.length) {
+      return sendError(res, 400, `Unknown skill id${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`, { code: 'UNKNOWN_SKILL', details: { unknown } })
+    }
+    const skills = req.body.skills.map(id => ({ id, name: library.get(id).name }))
+    const entry = programSkills.set(scope.schoolId, scope.programCode, skills, { user: actor(req) })
+    audit.record('program_skills.update', req, { schoolId: scope.schoolId, programCode: scope.programCode, skills: skills.length })
+    res.json(entry || { skills: [], updatedBy: null, updatedAt: null })
+  } catch (err) {
+    console.error('Program skills update error:', err)
+    sendApiError(res, err)
+  }
+})
+
+app.use('/api/skills-gap', requireAuth)
+
+// POST /api/skills-gap - Skills a program covers, misses and over-teaches against its occupations
+// Body: { schoolId, programCode } or { program }, plus socCodes (default: approved mappings or
+// computed matches), skills (default: the program's declared skills), topN, regionType, region,
+// weighting, minImportance
+app.post('/api/skills-gap', validateRequest({
+  body: is.object({
+    schoolId: is.optional(is.string({ max: 100 })),
+    programCode: is.optional(is.string({ max: 100 })),
+    program: is.optional(programSchema),
+    socCodes: is.optional(socCodeList),
+    skills: is.optional(declaredSkillList),
+    topN: is.optional(is.integer({ min: 1, max: LIMITS.codes }), 5),
+    ...regionFields,
+    weighting: is.optional(is.string({ oneOf: GAP_WEIGHTINGS }), 'employment'),
+    minImportance: is.optional(is.number({ min: 0, max: 1 }), DEFAULT_MIN_IMPORTANCE),
+  }, {
+    check: (b) => checkRegion(b) || (b.program || (b.schoolId && b.programCode) ? null : { field: 'program', message: 'or schoolId and programCode are required' }),
+  }),
+}), async (req, res) => {
+  try {
+    const { schoolId, programCode, socCodes, skills, topN, regionType, region, weighting, minImportance } = req.body
+    if (schoolId && !canAccessSchool(req.user, schoolId)) {
+      return sendError(res, 403, 'You do not have access to this school')
+    }
+    let program = req.body.program
+    if (!program) {
+      if (!schoolRegistry.has(schoolId)) return sendError(res, 404, 'School not found')
+      program = schoolRegistry.programs(schoolId).find(p => p.code === programCode)
+      if (!program) return sendError(res, 404, `Program "${programCode}" not found`)
+    }
+
+    // Occupations: the given SOC codes, else what the program maps to
+    let occupations, mappingSource, regionLabel
+    const warnings = []
+    if (socCodes) {
+      const body = { socCodes, regionType, includeSkills: true }
+      if (region) body.region = region
+      const data = upstreamData(res, await lmi.bySoc(body, cacheOpts(req)))
+      occupations = data.data?.matchedOccupations || []
+      regionLabel = data.data?.region || null
+      warnings.push(...(data.data?.warnings || []))
+      mappingSource = 'request'
+    } else {
+      const result = await matchAndFetch({ program, schoolId, topN, regionType, region }, cacheOpts(req))
+      occupations = result.matches.map(m => m.lmiData).filter(Boolean)
+      regionLabel = result.lmiRaw.data?.region || null
+      warnings.push(...result.warnings)
+      mappingSource = result.mappingSource
+    }
+
+    // Taught skills: the request's, else the program's declared ones
+    const library = await skillsLibraryIndex(res, cacheOpts(req))
+    const declared = !skills && schoolId && program.code ? programSkills.get(schoolId, program.code) : null
+    const ids = skills || declared?.skills.map(s => s.id) || []
+    const unknown = ids.filter(id => !library.has(id))
+    if (skills && unknown.length) {
+      return sendError(res, 400, `Unknown skill id${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`, { code: 'UNKNOWN_SKILL', details: { unknown } })
+    }
+    if (unknown.length) warnings.push({ code: 'UNKNOWN_SKILL', message: `Declared skills no longer in the skills library: ${unknown.join(', ')}` })
+    const taught = ids.filter(id => library.has(id)).map(id => library.get(id))
+
+    const gap = analyzeSkillsGap({ occupations, taught }, { weighting, minImportance })
+    const withDomain = (list) => list.map(s => ({ ...s, domainId: library.get(s.id)?.domainId || null, domainName: library.get(s.id)?.domainName || null }))
+
     res.json({
       program: { name: program.longName || program.name, code: program.code, cipCode: program.cipCode },
-      matches: enrichedMatches,
-      lmiRaw: lmiData,
-      warnings: lmiData.data?.warnings || [],
-      aiAvailable: !!OPENAI_API_KEY,
+      schoolId: schoolId || null,
+      regionType,
+      region: region || null,
+      regionLabel,
+      mappingSource,
+      taughtSource: skills ? 'request' : declared ? 'declared' : 'none',
+      declared: declared ? { updatedBy: declared.updatedBy, updatedAt: declared.updatedAt } : null,
+      taught,
+      ...gap,
+      covered: withDomain(gap.covered),
+      missing: withDomain(gap.missing),
+      overRepresented: withDomain(gap.overRepresented),
+      warnings,
     })
   } catch (err) {
-    console.error('SOC match-and-fetch error:', err)
-    res.status(500).json({ error: err.message })
+    console.error('Skills gap error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// ─── LMI Snapshots & Trends ───────────────────────────────
+// Catalog-wide LMI figures per school and region over time (see lib/lmi-snapshots.mjs)
+const snapshots = createSnapshotManager({
+  dir: join(STORE_DIR, 'lmi-snapshots'),
+  lmi,
+  loadSchool: (schoolId) => {
+    const school = schoolRegistry.get(schoolId)
+    return school ? { label: school.label, programs: schoolRegistry.programs(school.id) } : null
+  },
+  socCodesFor: (schoolId, programCode) => socMappings.approvedFor(schoolId, programCode).map(m => m.socCode),
+  snapshotOptions: {
+    delayMs: REPORT_BATCH_DELAY_MS,
+    socCodesForCip,
+    // A snapshot records what upstream says now, not what we cached earlier
+    cacheControl: 'no-cache',
+  },
+})
+
+const SNAPSHOT_INTERVAL_HOURS = envInt('SNAPSHOT_INTERVAL_HOURS', 0)
+if (SNAPSHOT_INTERVAL_HOURS > 0) {
+  snapshots.schedule({
+    intervalMs: SNAPSHOT_INTERVAL_HOURS * 60 * 60_000,
+    targets: () => schoolRegistry.list().flatMap(school => {
+      const region = school.defaultRegion || { regionType: 'national' }
+      const national = { schoolId: school.id, regionType: 'national' }
+      return region.regionType === 'national' ? [national] : [national, { schoolId: school.id, ...region }]
+    }),
+  })
+}
+
+// Without a regionType the school's default region is used
+const snapshotRegion = (schoolId, fields) =>
+  fields.regionType ? { regionType: fields.regionType, region: fields.region } : schoolRegistry.get(schoolId)?.defaultRegion || { regionType: 'national' }
+
+app.use('/api/snapshots', requireAuth)
+
+// POST /api/snapshots - Take a snapshot of a school's catalog now (runs in the background)
+app.post('/api/snapshots', requireRole('analyst'), validateRequest({
+  body: is.object({
+    schoolId: is.string({ max: 100 }),
+    regionType: is.optional(regionType),
+    region: regionFields.region,
+  }, { check: checkRegion }),
+}), (req, res) => {
+  const { schoolId } = req.body
+  if (!canAccessSchool(req.user, schoolId)) return sendError(res, 403, 'You do not have access to this school')
+  if (!schoolRegistry.has(schoolId)) return sendError(res, 404, 'School not found')
+  const target = { schoolId, ...snapshotRegion(schoolId, req.body) }
+  const running = snapshots.running(target)
+  if (running) return sendError(res, 409, 'A snapshot of this school and region is already running', { details: { id: running.id } })
+  const snapshot = snapshots.take(target, { user: actor(req) })
+  audit.record('snapshot.create', req, { target: snapshot.id, schoolId, regionType: snapshot.regionType, region: snapshot.region })
+  res.status(202).json(snapshot)
+})
+
+// GET /api/snapshots?schoolId=&regionType=&region= - Snapshot metadata, newest first
+app.get('/api/snapshots', validateRequest({
+  query: is.object({
+    schoolId: is.optional(is.string({ max: 100 })),
+    regionType: is.optional(regionType),
+    region: regionFields.region,
+  }, { check: checkRegion }),
+}), (req, res) => {
+  const { schoolId, regionType, region } = req.query
+  res.json({ data: snapshots.list({ schoolId, regionType, region }).filter(s => canAccessSchool(req.user, s.schoolId)) })
+})
+
+// GET /api/snapshots/:id - One snapshot with every program's figures
+app.get('/api/snapshots/:id', (req, res) => {
+  const meta = snapshots.meta(req.params.id)
+  if (!meta || !canAccessSchool(req.user, meta.schoolId)) return sendError(res, 404, 'Snapshot not found')
+  res.json(snapshots.get(meta.id))
+})
+
+// DELETE /api/snapshots/:id - Remove a snapshot (e.g. one taken during an upstream incident)
+app.delete('/api/snapshots/:id', requireRole('admin'), (req, res) => {
+  const meta = snapshots.meta(req.params.id)
+  if (!meta) return sendError(res, 404, 'Snapshot not found')
+  if (meta.status === 'running') return sendError(res, 409, 'Snapshot is still running')
+  snapshots.remove(meta.id)
+  audit.record('snapshot.delete', req, { target: meta.id, schoolId: meta.schoolId })
+  res.json({ ok: true })
+})
+
+// GET /api/schools/:schoolId/programs/:programCode/trends?regionType=&region=&limit=
+// A program's LMI figures across snapshots and how they changed
+app.get('/api/schools/:schoolId/programs/:programCode/trends', validateRequest({
+  query: is.object({
+    regionType: is.optional(regionType),
+    region: regionFields.region,
+    limit: is.optional(is.integer({ min: 2, max: 200 }), 50),
+  }, { check: checkRegion }),
+}), (req, res) => {
+  try {
+    const scope = mappingScope(req, res)
+    if (!scope) return
+    const { regionType, region } = snapshotRegion(scope.schoolId, req.query)
+    const trend = snapshots.trend({ ...scope, regionType, region, limit: req.query.limit })
+    res.json({
+      schoolId: scope.schoolId,
+      programCode: scope.programCode,
+      regionType,
+      region: region || null,
+      metrics: SNAPSHOT_METRICS,
+      ...trend,
+    })
+  } catch (err) {
+    console.error('Program trends error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// ─── Portfolio Scorecard ──────────────────────────────────
+// Scores every program of a school on its occupations' labor market (see lib/program-scorecard.mjs).
+// Scoring reads the latest completed LMI snapshot of the school and region rather than
+// querying the whole catalog on every request. Without one, the request takes it (or
+// waits for the one running) first, so the first scorecard of a region is slow.
+const scoreWeights = is.optional(is.object(Object.fromEntries(
+  SCORE_COMPONENTS.map(key => [key, is.optional(is.number({ min: 0, max: 10 }), DEFAULT_SCORE_WEIGHTS[key])]),
+)), DEFAULT_SCORE_WEIGHTS)
+
+// POST /api/schools/:schoolId/scorecard - Score, rank and roll up the school's programs
+// Body: { regionType, region (default: the school's default region), weights, weakBelow, referenceWage }
+app.post('/api/schools/:schoolId/scorecard', requireRole('analyst'), validateRequest({
+  body: is.object({
+    regionType: is.optional(regionType),
+    region: regionFields.region,
+    weights: scoreWeights,
+    weakBelow: is.optional(is.number({ min: 0, max: 100 }), DEFAULT_WEAK_BELOW),
+    referenceWage: is.optional(is.number({ min: 1 })),
+  }, {
+    check: (b) => checkRegion(b) || (SCORE_COMPONENTS.some(key => b.weights[key] > 0) ? null : { field: 'weights', message: 'must give at least one component a weight above 0' }),
+  }),
+}), async (req, res) => {
+  try {
+    const scope = mappingScope(req, res)
+    if (!scope) return
+    const target = { schoolId: scope.schoolId, ...snapshotRegion(scope.schoolId, req.body) }
+    const snapshot = await snapshots.ensure(target, {
+      trigger: 'scorecard',
+      user: actor(req),
+      onStart: (meta) => audit.record('snapshot.create', req, { target: meta.id, schoolId: meta.schoolId, regionType: meta.regionType, region: meta.region }),
+    })
+    if (!snapshot) return sendError(res, 404, 'School not found')
+    const { weights, weakBelow, referenceWage } = req.body
+    res.json({
+      schoolId: scope.schoolId,
+      school: schoolRegistry.get(scope.schoolId).label,
+      regionType: target.regionType,
+      region: target.region || null,
+      generatedAt: new Date().toISOString(),
+      snapshot: { id: snapshot.id, takenAt: snapshot.takenAt, trigger: snapshot.trigger },
+      ...buildScorecard(schoolRegistry.programs(scope.schoolId), snapshotResults(snapshot), { weights, weakBelow, referenceWage }),
+    })
+  } catch (err) {
+    console.error('Scorecard error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// ─── Saved Analyses ───────────────────────────────────────
+// Explorer state + LMI snapshot, shared by deep link (/<page>.html?analysis=<id>)
+app.use('/api/analyses', requireAuth, express.json({ limit: process.env.ANALYSIS_BODY_LIMIT || '5mb' }))
+
+const analyses = createAnalysisStore({ dir: join(STORE_DIR, 'analyses') })
+
+const analysisLink = (a) => `/${a.page}.html?analysis=${a.id}`
+
+// Anyone with access to the analysis's school may open it; only its author or an admin may change it.
+// New analyses always have a school; older ones saved without one stay private to their author (and admins).
+const canEditAnalysis = (user, a) => a.createdBy === user.username || hasRole(user, 'admin')
+const canViewAnalysis = (user, a) => a.schoolId ? canAccessSchool(user, a.schoolId) : canEditAnalysis(user, a)
+
+// Resolves :analysisId; sends 404/403 and returns null when it is unknown or not visible
+function analysisScope(req, res, { edit = false } = {}) {
+  const meta = analyses.meta(req.params.analysisId)
+  if (!meta || !canViewAnalysis(req.user, meta)) { sendError(res, 404, 'Analysis not found'); return null }
+  if (edit && !canEditAnalysis(req.user, meta)) { sendError(res, 403, 'Only the author or an admin can change this analysis'); return null }
+  return meta
+}
+
+// A school id in the body must exist and be accessible
+function checkAnalysisSchool(req, res) {
+  const { schoolId } = req.body
+  if (!schoolId) return true
+  if (!schoolRegistry.has(schoolId)) { sendError(res, 404, `School "${schoolId}" not found`); return false }
+  if (!canAccessSchool(req.user, schoolId)) { sendError(res, 403, 'You do not have access to this school'); return false }
+  return true
+}
+
+const analysisFields = {
+  name: is.string({ max: 200 }),
+  description: is.optional(is.string({ max: 2000 })),
+  schoolId: is.optional(is.string({ max: 100 })),
+  state: is.object({}, { passthrough: true }),
+  snapshot: is.optional(is.object({}, { passthrough: true })),
+}
+
+// GET /api/analyses?page=&schoolId=&mine= - Saved analyses the user can open (without snapshots)
+app.get('/api/analyses', validateRequest({
+  query: is.object({
+    page: is.optional(is.string({ oneOf: ANALYSIS_PAGES })),
+    schoolId: is.optional(is.string({ max: 100 })),
+    mine: is.optional(is.boolean(), false),
+  }),
+}), (req, res) => {
+  const { page, schoolId, mine } = req.query
+  const data = analyses.list({ page, schoolId, createdBy: mine ? req.user.username : undefined })
+    .filter(a => canViewAnalysis(req.user, a))
+    .map(a => ({ ...a, link: analysisLink(a), canEdit: canEditAnalysis(req.user, a) }))
+  res.json({ data, total: data.length })
+})
+
+// GET /api/analyses/:analysisId - One analysis with its state and snapshot
+app.get('/api/analyses/:analysisId', (req, res) => {
+  const meta = analysisScope(req, res)
+  if (!meta) return
+  const analysis = analyses.get(meta.id)
+  res.json({ ...analysis, link: analysisLink(analysis), canEdit: canEditAnalysis(req.user, analysis) })
+})
+
+// POST /api/analyses - Save an explorer session
+// Body: { name, description, page: "advanced" | "ai-explorer", schoolId (default: state.schoolId), state, snapshot }
+app.post('/api/analyses', validateRequest({
+  body: is.object({ ...analysisFields, page: is.string({ oneOf: ANALYSIS_PAGES }) }, {
+    check: ({ schoolId, state }) => schoolId || (typeof state.schoolId === 'string' && state.schoolId)
+      ? null
+      : { field: 'schoolId', message: 'is required (pick a school; it decides who can open the analysis)' },
+  }),
+}), (req, res) => {
+  req.body.schoolId ||= req.body.state.schoolId
+  if (!checkAnalysisSchool(req, res)) return
+  const analysis = analyses.create(req.body, { user: actor(req) })
+  audit.record('analysis.create', req, { target: analysis.id, page: analysis.page, schoolId: analysis.schoolId })
+  res.status(201).json({ ...analysis, link: analysisLink(analysis), canEdit: true })
+})
+
+// PATCH /api/analyses/:analysisId - Rename, describe or re-save (state and/or snapshot) an analysis
+app.patch('/api/analyses/:analysisId', validateRequest({
+  body: is.object(Object.fromEntries(Object.entries(analysisFields).map(([key, schema]) => [key, is.optional(schema)]))),
+}), (req, res) => {
+  const meta = analysisScope(req, res, { edit: true })
+  if (!meta || !checkAnalysisSchool(req, res)) return
+  const analysis = analyses.update(meta.id, req.body, { user: actor(req) })
+  res.json({ ...analysis, link: analysisLink(analysis), canEdit: true })
+})
+
+// DELETE /api/analyses/:analysisId - Delete an analysis (its links stop working)
+app.delete('/api/analyses/:analysisId', (req, res) => {
+  const meta = analysisScope(req, res, { edit: true })
+  if (!meta) return
+  analyses.remove(meta.id)
+  audit.record('analysis.delete', req, { target: meta.id, name: meta.name })
+  res.json({ ok: true })
+})
+
+// ─── Exports (CSV / XLSX) ─────────────────────────────────
+app.use('/api/export', requireAuth)
+
+// ?format=csv|xlsx (or "format" in the body); CSV by default
+function exportFormat(req) {
+  const format = String(req.query.format || req.body.format || 'csv').toLowerCase()
+  return EXPORT_FORMATS.includes(format) ? format : null
+}
+
+// Builds an LMI request body from { cipCodes } or { socCodes }
+function exportQuery(body) {
+  const { cipCodes, socCodes } = body
+  if (Array.isArray(cipCodes) && cipCodes.length) return { kind: 'cip', codes: cipCodes, fetch: lmi.byCip, key: 'cipCodes' }
+  if (Array.isArray(socCodes) && socCodes.length) return { kind: 'soc', codes: socCodes, fetch: lmi.bySoc, key: 'socCodes' }
+  return null
+}
+
+const exportName = (...parts) => parts.filter(Boolean).join('-').slice(0, 120)
+
+const exportFormatField = { format: is.optional(is.string({ max: 10 })) }
+
+// Export body with { cipCodes } or { socCodes } plus `fields`
+const exportCodesBody = (fields, options = {}) => is.object({
+  cipCodes: is.optional(cipCodeList),
+  socCodes: is.optional(socCodeList),
+  ...exportFormatField,
+  ...fields,
+}, {
+  check: (b) => !b.cipCodes && !b.socCodes
+    ? { field: 'cipCodes', message: 'or socCodes is required' }
+    : options.check?.(b),
+})
+
+// POST /api/export/occupations - Matched occupations for CIP or SOC codes as CSV/XLSX
+app.post('/api/export/occupations', validateRequest({
+  body: exportCodesBody(regionFields, { check: checkRegion }),
+}), async (req, res) => {
+  try {
+    const format = exportFormat(req)
+    if (!format) return sendError(res, 400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+    const query = exportQuery(req.body)
+
+    const { regionType, region } = req.body
+    const body = { [query.key]: query.codes, regionType, includeSkills: true }
+    if (region) body.region = region
+
+    const data = upstreamData(res, await query.fetch(body, cacheOpts(req)))
+
+    sendTables(res, {
+      format,
+      filename: exportName('lmi-occupations', query.kind, query.codes.slice(0, 3).join('_'), regionType, region),
+      tables: [occupationsTable(data), skillsTable(data)],
+    })
+  } catch (err) {
+    console.error('Occupations export error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// POST /api/export/regions - Same codes across a list of regions, or every region when
+// `regions` is left out, as CSV/XLSX. Every region counts as one request per page of
+// LIMITS.regions against the caller's rate limits.
+app.post('/api/export/regions', validateRequest({
+  body: exportCodesBody({ regions: is.optional(regionList) }),
+}), async (req, res) => {
+  try {
+    const format = exportFormat(req)
+    if (!format) return sendError(res, 400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+    const query = exportQuery(req.body)
+
+    // Label regions from the (cached) regions list when the client did not
+    const knownRegions = upstreamData(res, await lmi.regions(undefined, cacheOpts(req))).data || []
+    const labelFor = (r) => r.label || knownRegions
+      .find(x => x.type === r.regionType && (r.regionType === 'national' || x.code === r.region))?.label
+    if (!req.body.regions) chargeRegionPages(req, Math.ceil(knownRegions.length / LIMITS.regions))
+    const regions = req.body.regions || knownRegions.map(regionEntry)
+
+    // Failed regions get an error row instead of passing for regions without data
+    const { results, failures } = await fetchRegions(query.fetch, { [query.key]: query.codes }, regions, cacheOpts(req))
+
+    sendTables(res, {
+      format,
+      filename: exportName('lmi-regions', query.kind, query.codes.slice(0, 3).join('_')),
+      tables: [regionsTable(results.map(r => r.data), regions.map((r, i) => ({ ...r, label: labelFor(r), error: failures[i]?.message })))],
+    })
+  } catch (err) {
+    console.error('Regions export error:', err)
+    sendApiError(res, err)
   }
 })
 
+// POST /api/export/soc-matches - SOC matches for a program (with LMI) as CSV/XLSX
+app.post('/api/export/soc-matches', validateRequest({ body: matchAndFetchBody(exportFormatField) }), async (req, res) => {
+  try {
+    const format = exportFormat(req)
+    if (!format) return sendError(res, 400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+    const { program, schoolId } = req.body
+    if (schoolId && !canAccessSchool(req.user, schoolId)) {
+      return sendError(res, 403, 'You do not have access to this school')
+    }
+
+    const result = await matchAndFetch(req.body, cacheOpts(req))
+    sendTables(res, {
+      format,
+      filename: exportName('soc-matches', program.code || program.cipCode, req.body.regionType, req.body.region),
+      tables: [socMatchesTable(result.matches), occupationsTable(result.lmiRaw), skillsTable(result.lmiRaw)],
+    })
+  } catch (err) {
+    console.error('SOC matches export error:', err)
+    sendApiError(res, err)
+  }
+})
+
+// ─── Errors ───────────────────────────────────────────────
+// Unknown API routes get the JSON error shape rather than Express's HTML page
+app.use('/api', (req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`)
+})
+
+// Malformed JSON bodies and anything a route did not catch
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err)
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' })
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'Request body is too large')
+  console.error('Unhandled error:', err)
+  sendApiError(res, err)
+})
+
 // ─── Start ────────────────────────────────────────────────
 app.listen(PORT, () => {
   console.log(`\n🚀 Mapademics POC Server running at http://localhost:${PORT}`)
-  console.log(`   API Base: ${MAPADEMICS_BASE_URL}`)
-  console.log(`   Auth:     access code required (default: coursedog-lmi-2026)`)
-  console.log(`   Data:     loaded from data/*.json (no MongoDB needed)`)
+  console.log(`   API Base: ${lmi.baseUrl} (provider: ${lmi.provider})`)
+  console.log(`   Auth:     user accounts (${users.count} users)`)
+  console.log(`   Data:     ${schoolRegistry.list().length} schools from ${schoolRegistry.file}, programs from data/*.json (hot-reloaded)`)
   console.log(`\n   Open http://localhost:${PORT} in your browser\n`)
 })
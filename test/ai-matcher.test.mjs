@@ -0,0 +1,139 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MATCH_SCHEMA, validateSchema, parseMatchReply, aiOptionsFromEnv, createAiMatcher } from '../lib/ai-matcher.mjs'
+
+const socByCode = new Map([
+  ['15-1252', { code: '15-1252', title: 'Software Developers', majorGroup: 'Computer and Mathematical Occupations' }],
+  ['15-1211', { code: '15-1211', title: 'Computer Systems Analysts' }],
+])
+const program = { name: 'Computer Science', code: 'CS-BS', cipCode: '11.0701' }
+
+const reply = (matches) => ({ status: 200, headers: {}, content: JSON.stringify({ matches }) })
+const developers = { code: '15-1252', title: 'Software Developers', reason: 'Builds software' }
+
+// A provider that answers with `replies` in turn (a function reply is called; an Error is thrown)
+function provider(replies) {
+  const calls = []
+  return {
+    calls,
+    name: 'test',
+    baseUrl: 'http://model.test/v1',
+    model: 'test-model',
+    async complete(messages) {
+      calls.push(messages)
+      const next = replies[Math.min(calls.length, replies.length) - 1]
+      if (next instanceof Error) throw next
+      return typeof next === 'function' ? next() : next
+    },
+  }
+}
+
+const matcher = (replies, options = {}) => {
+  const p = provider(replies)
+  return { p, ai: createAiMatcher({ provider: p, socByCode, baseDelayMs: 0, ...options }) }
+}
+
+test('validates replies against the match schema', () => {
+  assert.deepEqual(validateSchema(MATCH_SCHEMA, { matches: [developers] }), [])
+  assert.deepEqual(validateSchema(MATCH_SCHEMA, []), ['$: expected object, got array'])
+  assert.deepEqual(validateSchema(MATCH_SCHEMA, { matches: [{ code: '151252', title: 'x', reason: 'y', score: 1 }] }), [
+    '$.matches[0].code: "151252" does not match ^\\d{2}-\\d{4}$',
+    '$.matches[0].score: is not allowed',
+  ])
+  assert.deepEqual(validateSchema(MATCH_SCHEMA, { matches: [{ code: '15-1252' }] }), [
+    '$.matches[0].title: is required',
+    '$.matches[0].reason: is required',
+  ])
+})
+
+test('parses a JSON reply, with or without a code fence', () => {
+  assert.deepEqual(parseMatchReply(JSON.stringify({ matches: [developers] })), [developers])
+  assert.deepEqual(parseMatchReply('```json\n{"matches": []}\n```'), [])
+  assert.throws(() => parseMatchReply('Here are the codes: 15-1252'), /reply is not JSON/)
+  assert.throws(() => parseMatchReply('{"codes": []}'), /does not match the schema: \$\.matches: is required/)
+  assert.throws(() => parseMatchReply(null), /not JSON/)
+})
+
+test('retries an invalid reply and a rate limit, then succeeds', async () => {
+  const { p, ai } = matcher([
+    { status: 200, headers: {}, content: 'Sure! 15-1252' },
+    { status: 429, headers: {}, content: null, error: 'Rate limit' },
+    reply([developers]),
+  ])
+  const result = await ai.match(program)
+  assert.equal(p.calls.length, 3)
+  assert.deepEqual(result.matches.map(m => m.code), ['15-1252'])
+  assert.equal(result.cache, 'MISS')
+  assert.equal(ai.stats().retries, 2)
+  assert.equal(ai.stats().invalidReplies, 1)
+})
+
+test('gives up with AI_INVALID_RESPONSE after the retries', async () => {
+  const { p, ai } = matcher([{ status: 200, headers: {}, content: '{"matches": "none"}' }], { retries: 1 })
+  await assert.rejects(ai.match(program), { status: 502, code: 'AI_INVALID_RESPONSE' })
+  assert.equal(p.calls.length, 2)
+})
+
+test('a client error is not retried and a network error is AI_UNAVAILABLE', async () => {
+  const rejected = matcher([{ status: 401, headers: {}, content: null, error: 'Invalid API key' }])
+  await assert.rejects(rejected.ai.match(program), (err) => {
+    assert.equal(err.code, 'AI_UPSTREAM_ERROR')
+    assert.equal(err.message, 'AI provider returned HTTP 401: Invalid API key')
+    assert.deepEqual(err.details, { upstreamStatus: 401 })
+    return true
+  })
+  assert.equal(rejected.p.calls.length, 1)
+
+  const offline = matcher([new Error('connect ECONNREFUSED')], { retries: 1 })
+  await assert.rejects(offline.ai.match(program), { status: 503, code: 'AI_UNAVAILABLE' })
+  assert.equal(offline.p.calls.length, 2)
+
+  await assert.rejects(createAiMatcher({ socByCode }).match(program), { status: 503, code: 'AI_UNAVAILABLE' })
+})
+
+test('drops or flags unknown codes, skips repeats and keeps topN', async () => {
+  const matches = [
+    developers,
+    { code: '99-0001', title: 'Made Up', reason: 'Hallucinated' },
+    developers,
+    { code: '15-1211', title: 'Analysts', reason: 'Analyzes systems' },
+  ]
+  const dropped = await matcher([reply(matches)]).ai.match(program, { topN: 5 })
+  assert.deepEqual(dropped.matches.map(m => [m.code, m.title, m.verified]), [
+    ['15-1252', 'Software Developers', true],
+    ['15-1211', 'Computer Systems Analysts', true],
+  ])
+  assert.deepEqual(dropped.dropped, [{ code: '99-0001', title: 'Made Up' }])
+  assert.equal(dropped.matches[0].majorGroup, 'Computer and Mathematical Occupations')
+
+  const flagged = await matcher([reply(matches)], { unknownCodes: 'flag' }).ai.match(program, { topN: 2 })
+  assert.deepEqual(flagged.matches.map(m => [m.code, m.verified]), [['15-1252', true], ['99-0001', false]])
+  assert.deepEqual(flagged.dropped, [])
+})
+
+test('caches answers unless the request says otherwise', async () => {
+  const { p, ai } = matcher([reply([developers])])
+  assert.equal((await ai.match(program)).cache, 'MISS')
+  assert.equal((await ai.match(program)).cache, 'HIT')
+  assert.equal((await ai.match(program, { cacheControl: 'no-cache' })).cache, 'REFRESH')
+  assert.equal((await ai.match(program, { cacheControl: 'no-store' })).cache, 'BYPASS')
+  assert.equal((await ai.match({ ...program, name: 'Software Engineering' })).cache, 'MISS')
+  assert.equal(p.calls.length, 4)
+
+  // Concurrent identical requests share one call
+  const shared = matcher([reply([developers])])
+  await Promise.all([shared.ai.match(program), shared.ai.match(program)])
+  assert.equal(shared.p.calls.length, 1)
+})
+
+test('reads and checks the AI_* environment', () => {
+  const options = aiOptionsFromEnv({ OPENAI_API_KEY: 'sk-test', AI_RETRIES: '0', AI_UNKNOWN_CODES: 'FLAG' })
+  assert.equal(options.enabled, true)
+  assert.equal(options.provider.apiKey, 'sk-test')
+  assert.equal(options.retries, 0)
+  assert.equal(options.unknownCodes, 'flag')
+  assert.equal(aiOptionsFromEnv({}).enabled, false)
+  assert.equal(aiOptionsFromEnv({ AI_BASE_URL: 'http://localhost:11434/v1' }).enabled, true)
+  assert.throws(() => aiOptionsFromEnv({ AI_RESPONSE_FORMAT: 'xml' }), /Unknown AI_RESPONSE_FORMAT/)
+  assert.throws(() => aiOptionsFromEnv({ AI_UNKNOWN_CODES: 'keep' }), /Unknown AI_UNKNOWN_CODES/)
+})
@@ -0,0 +1,109 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import {
+  hashPassword, verifyPassword, hasRole, canAccessSchool, publicUser, createUserStore, createSessionStore,
+} from '../lib/auth.mjs'
+
+// A fresh store directory per test, removed afterwards
+function withDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'auth-'))
+  try {
+    return fn(dir)
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('verifies a password against its salted scrypt hash', () => {
+  const hash = hashPassword('correct horse')
+  assert.match(hash, /^scrypt\$16384\$8\$1\$/)
+  assert.notEqual(hashPassword('correct horse'), hash)
+  assert.equal(verifyPassword('correct horse', hash), true)
+  assert.equal(verifyPassword('wrong horse', hash), false)
+  assert.equal(verifyPassword('correct horse', 'md5$abc'), false)
+  assert.equal(verifyPassword('correct horse', undefined), false)
+})
+
+test('roles are ordered and schools scope access', () => {
+  const analyst = { role: 'analyst', schools: ['stanford'] }
+  assert.equal(hasRole(analyst, 'viewer'), true)
+  assert.equal(hasRole(analyst, 'analyst'), true)
+  assert.equal(hasRole(analyst, 'admin'), false)
+  assert.equal(hasRole(null, 'viewer'), false)
+  assert.equal(canAccessSchool(analyst, 'stanford'), true)
+  assert.equal(canAccessSchool(analyst, 'mit'), false)
+  assert.equal(canAccessSchool({ role: 'viewer', schools: ['*'] }, 'mit'), true)
+  assert.equal(canAccessSchool(null, 'mit'), false)
+})
+
+test('validates user fields, all of them or only those given', () => withDir((dir) => {
+  const users = createUserStore({ file: join(dir, 'users.json') })
+  assert.equal(users.validate({ username: 'ann', password: 'long enough' }), null)
+  assert.match(users.validate({ username: 'a', password: 'long enough' }), /^username/)
+  assert.match(users.validate({ username: 'ann', password: 'short' }), /^password must be at least 8/)
+  assert.match(users.validate({ username: 'ann', password: 'long enough', role: 'owner' }), /^role must be one of/)
+  assert.match(users.validate({ username: 'ann', password: 'long enough', schools: 'stanford' }), /^schools/)
+  assert.equal(users.validate({ role: 'admin' }, { partial: true }), null)
+  assert.match(users.validate({ password: '' }, { partial: true }), /^password/)
+}))
+
+test('creates, authenticates and persists users without exposing hashes', () => withDir((dir) => {
+  const file = join(dir, 'users.json')
+  const users = createUserStore({ file })
+  const ann = users.create({ username: 'Ann', password: 'long enough', role: 'analyst' })
+  assert.equal(ann.username, 'ann')
+  assert.deepEqual(ann.schools, ['*'])
+  assert.equal(users.authenticate('ANN', 'long enough'), ann)
+  assert.equal(users.authenticate('ann', 'wrong password'), null)
+  assert.equal(users.authenticate('bob', 'long enough'), null)
+  assert.equal(users.list()[0].passwordHash, undefined)
+  assert.equal(publicUser(ann).role, 'analyst')
+
+  users.update('ann', { disabled: true })
+  assert.equal(users.authenticate('ann', 'long enough'), null)
+  users.update('ann', { disabled: false, password: 'new password' })
+  assert.equal(users.authenticate('ann', 'new password')?.username, 'ann')
+  assert.equal(users.update('bob', { name: 'Bob' }), null)
+
+  // A second store reads what the first one saved
+  const reloaded = createUserStore({ file })
+  assert.equal(reloaded.count, 1)
+  assert.equal(reloaded.authenticate('ann', 'new password')?.username, 'ann')
+  assert.equal(reloaded.remove('ANN'), true)
+  assert.equal(reloaded.remove('ann'), false)
+}))
+
+test('sessions are stored as token digests and end on destroy', () => withDir((dir) => {
+  const file = join(dir, 'sessions.json')
+  const sessions = createSessionStore({ file })
+  const token = sessions.create('ann')
+  const other = sessions.create('ann')
+  const bob = sessions.create('bob')
+  assert.equal(sessions.get(token).username, 'ann')
+  assert.equal(sessions.get('unknown'), null)
+  assert.equal(sessions.get(''), null)
+  assert.equal(readFileSync(file, 'utf-8').includes(token), false)
+
+  // Sessions survive a restart
+  const reloaded = createSessionStore({ file })
+  assert.equal(reloaded.get(token).username, 'ann')
+  reloaded.destroy(token)
+  assert.equal(reloaded.get(token), null)
+  assert.equal(reloaded.destroyForUser('ann'), 1)
+  assert.equal(reloaded.get(other), null)
+  assert.equal(reloaded.get(bob).username, 'bob')
+}))
+
+test('expired sessions are rejected and pruned on load', () => withDir((dir) => {
+  const file = join(dir, 'sessions.json')
+  const sessions = createSessionStore({ file, ttlMs: -1 })
+  const token = sessions.create('ann')
+  assert.equal(sessions.get(token), null)
+
+  createSessionStore({ file, ttlMs: -1 }).create('bob')
+  createSessionStore({ file })
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf-8')).sessions, {})
+}))
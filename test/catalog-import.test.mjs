@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { importCatalog, mapColumns, parseMappingSpec, detectFormat } from '../lib/catalog-import.mjs'
+
+const CSV = [
+  'Program Code,Program Name,CIP,College,Status',
+  'CS-BS,Computer Science,11.0701,Engineering,Active',
+  'MATH-BS,Mathematics,27.0101,Arts & Sciences,Active',
+  'OLD-BA,Retired Program,24.0101,Arts & Sciences,Inactive',
+  'BAD-CIP,Broken,11-0701,Engineering,Active',
+  'NO-CIP,Missing,,Engineering,Active',
+  'CS-BS,Computer Science (renamed),11.0701,Engineering,Active',
+  'DS-BS,Data Science,30.70,Engineering,',
+  'NEW-BS,Proposed Program,11.0101,Engineering,Approved',
+].join('\n')
+
+test('maps columns by header alias and keeps unused headers', () => {
+  const { columns, unmapped } = mapColumns(['Program Code', 'Program Name', 'CIP', 'Notes'])
+  assert.deepEqual(columns, { name: 'Program Name', code: 'Program Code', cipCode: 'CIP' })
+  assert.deepEqual(unmapped, ['Notes'])
+})
+
+test('an explicit mapping wins over aliases', () => {
+  const { columns } = mapColumns(['id', 'Plan'], { code: 'Plan' })
+  assert.equal(columns.code, 'Plan')
+  assert.throws(() => mapColumns(['id'], { code: 'Missing' }), /not in the file/)
+})
+
+test('parses a mapping spec and rejects unknown fields', () => {
+  assert.deepEqual(parseMappingSpec('code=Plan, cipCode = CIP 2020'), { code: 'Plan', cipCode: 'CIP 2020' })
+  assert.throws(() => parseMappingSpec('major=Plan'), /Invalid mapping/)
+})
+
+test('detects the format from a file name or content type', () => {
+  assert.equal(detectFormat('catalog.CSV'), 'csv')
+  assert.equal(detectFormat('application/json'), 'json')
+  assert.equal(detectFormat('catalog.txt'), null)
+})
+
+test('imports a CSV catalog: skips inactive rows, rejects bad ones and unknown statuses, last duplicate wins', () => {
+  const { data, rejected, stats } = importCatalog(CSV, { school: 'Test U' })
+  assert.equal(data.school, 'Test U')
+  assert.deepEqual(data.programs.map(p => p.code), ['CS-BS', 'DS-BS', 'MATH-BS'])
+  assert.equal(data.programs[0].name, 'Computer Science (renamed)')
+  assert.equal(data.programs[0].longName, 'Computer Science (renamed)')
+  assert.equal(data.programs[0].status, 'Active')
+  assert.equal(data.programs[1].cipCode, '30.70')
+  assert.deepEqual(rejected.map(r => [r.row, r.code]), [[2, 'CS-BS'], [5, 'BAD-CIP'], [6, 'NO-CIP'], [9, 'NEW-BS']])
+  assert.match(rejected[0].reason, /superseded by row 7/)
+  assert.equal(rejected[3].reason, 'Unknown status "Approved" (expected Active or Inactive)')
+  assert.deepEqual(stats, { rows: 8, imported: 3, rejected: 3, duplicates: 1, inactive: 1 })
+})
+
+test('normalizes CIP codes and numbers JSON rows from 1', () => {
+  const json = JSON.stringify({ programs: [{ code: 'A', name: 'Agronomy', cip: '1.1201' }, 'oops'] })
+  const { data, rejected } = importCatalog(json, { format: 'json' })
+  assert.equal(data.programs[0].cipCode, '01.1201')
+  assert.deepEqual(rejected, [{ row: 2, code: '', reason: 'Not an object' }])
+})
+
+test('needs a code and a CIP column', () => {
+  assert.throws(() => importCatalog('Name,CIP\nX,11.0701'), /No program code column/)
+  assert.throws(() => importCatalog('Code,Name\nX,Y'), /No CIP code column/)
+})
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { regionKey, createPriceParities, parsePriceParitiesCsv, withRealWages } from '../lib/cost-of-living.mjs'
+import { laborMarketData, occupation, lmiReply, lmiError } from './fixtures.mjs'
+
+const CSV = [
+  'GeoFIPS,GeoName,LineCode,Description,2021,2022',
+  '"00000",United States,1,RPPs: All items,100,100',
+  '"00000",United States,2,RPPs: Goods,100,100',
+  '"06000",California,1,RPPs: All items,112.1,112.6',
+  '"06998",California (Nonmetropolitan Portion),1,RPPs: All items,99.1,99.4',
+  '"41860","San Francisco-Oakland-Berkeley, CA",1,RPPs: All items,117.9,118.2',
+  '"12060","Atlanta-Sandy Springs-Alpharetta, GA",1,RPPs: All items,(NA),(NA)',
+  'Note: See the included footnote file.',
+].join('\n')
+
+const parities = createPriceParities({ source: 'BEA RPP', year: 2022, parities: { 'state-06': 112.6 } })
+
+test('keys regions like the upstream region list', () => {
+  assert.equal(regionKey('state', '06'), 'state-06')
+  assert.equal(regionKey('msa', '41860'), 'msa-41860')
+  assert.equal(regionKey('national', '99'), 'national-99')
+  assert.equal(regionKey(undefined), 'national-99')
+})
+
+test('the nation is always 100 and an uncovered region is null', () => {
+  assert.equal(parities.parity('state', '06'), 112.6)
+  assert.equal(parities.parity(), 100)
+  assert.equal(parities.parity('state', '48'), null)
+  assert.equal(createPriceParities().size, 0)
+})
+
+test('parses the all-items line of a BEA table for the latest year', () => {
+  const { year, parities: parsed, rejected } = parsePriceParitiesCsv(CSV)
+  assert.equal(year, 2022)
+  assert.deepEqual(parsed, { 'national-99': 100, 'state-06': 112.6, 'msa-41860': 118.2 })
+  assert.deepEqual(rejected, [{ line: 7, reason: 'no 2022 value for 12060 ((NA))' }])
+  assert.equal(parsePriceParitiesCsv(CSV, { year: 2021 }).parities['state-06'], 112.1)
+})
+
+test('a table without the needed columns throws', () => {
+  assert.throws(() => parsePriceParitiesCsv('GeoFIPS,GeoName,2022\n"00000",United States,100'), /needs GeoFIPS, LineCode and 2022/)
+  assert.throws(() => parsePriceParitiesCsv(CSV, { year: 2019 }), /2019 columns/)
+})
+
+test('adds real wages next to the nominal ones', () => {
+  const response = lmiReply([occupation('15-1252', { salary: 130000 }), { socCode: '15-1299' }]).data
+  const { data } = withRealWages(response, parities, { regionType: 'state', region: '06' })
+  assert.deepEqual(data.costOfLiving, { regionType: 'state', region: '06', covered: true, regionalPriceParity: 112.6, year: 2022, source: 'BEA RPP', partial: false })
+  assert.deepEqual(data.matchedOccupations[0].laborMarketData, { ...laborMarketData({ salary: 130000 }), realMedianAnnualSalary: 115453, regionalPriceParity: 112.6 })
+  assert.deepEqual(data.matchedOccupations[1], { socCode: '15-1299' })
+  // The response passed in is left as it was
+  assert.equal(response.data.costOfLiving, undefined)
+})
+
+test('a region the table lacks is marked uncovered with no real wages', () => {
+  const response = lmiReply([occupation('15-1252', { salary: 130000 })]).data
+  const { data } = withRealWages(response, parities, { regionType: 'msa', region: '12060' })
+  assert.equal(data.costOfLiving.covered, false)
+  assert.equal(data.costOfLiving.regionalPriceParity, null)
+  assert.equal(data.matchedOccupations[0].laborMarketData.realMedianAnnualSalary, null)
+  // Error bodies carry no data and pass through untouched
+  const failed = lmiError(502, 'Upstream down').data
+  assert.equal(withRealWages(failed, parities), failed)
+})
@@ -0,0 +1,47 @@
+/**
+ * Fixture factories shared by the test files: upstream occupations and
+ * replies, and snapshots as the snapshot store keeps them.
+ */
+
+/** An upstream occupation's laborMarketData; `growth` is forecastedEmploymentGrowth. */
+export const laborMarketData = ({ salary = null, employment = 1000, growth = 0.1, demand = 1, growthPercentile = 50, openingsPercentile = 50 } = {}) => ({
+  medianAnnualSalary: salary,
+  totalEmployment: employment,
+  forecastedEmploymentGrowth: growth,
+  demand: { score: demand, growthPercentile, openingsPercentile },
+})
+
+/** A by-cip / by-soc matched occupation; `figures` as for laborMarketData. */
+export const occupation = (socCode, { name = socCode, ...figures } = {}) => ({ socCode, name, laborMarketData: laborMarketData(figures) })
+
+/** A successful by-cip / by-soc reply; `data` adds response fields such as region or warnings. */
+export const lmiReply = (matchedOccupations, { headers = {}, ...data } = {}) => ({
+  status: 200,
+  headers,
+  data: { object: 'result', data: { ...data, matchedOccupations } },
+})
+
+/** A failed upstream reply. */
+export const lmiError = (status, message) => ({ status, headers: {}, data: { object: 'error', error: { message } } })
+
+/** A program's lookup result with data, as fetchProgramOccupations returns it. */
+export const ok = (occupations, source = 'cip') => ({ source, status: 'ok', occupations })
+
+/** An occupation as a snapshot stores it: flat figures instead of laborMarketData. */
+export const storedOccupation = (socCode, { salary = null, employment = 1000, growth = 0.1, demand = 1 } = {}) => ({
+  socCode,
+  name: socCode,
+  medianAnnualSalary: salary,
+  totalEmployment: employment,
+  forecastedEmploymentGrowth: growth,
+  demandScore: demand,
+})
+
+/** A stored snapshot holding one program's entry. */
+export const snapshot = (id, takenAt, entry, { status = 'completed', code = 'CS' } = {}) => ({
+  id,
+  takenAt,
+  trigger: 'manual',
+  status,
+  programs: { [code]: entry },
+})
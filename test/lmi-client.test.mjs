@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fetchInBatches } from '../lib/lmi-client.mjs'
+import { occupation, lmiReply, lmiError } from './fixtures.mjs'
+
+const codes = Array.from({ length: 30 }, (_, i) => `15-${1200 + i}`)
+
+// A by-soc stub that answers every code and records the size of each call
+function bySoc(calls, { failOnCall } = {}) {
+  return async (body) => {
+    calls.push(body.socCodes.length)
+    if (calls.length === failOnCall) return lmiError(503, 'Upstream down')
+    return lmiReply(body.socCodes.map(socCode => occupation(socCode)), {
+      headers: { 'x-ratelimit-remaining': String(100 - calls.length) },
+      region: 'United States',
+      warnings: [{ code: `call-${calls.length}` }],
+    })
+  }
+}
+
+test('splits more than LIMITS.codes codes into calls and merges the replies in order', async () => {
+  const calls = []
+  const result = await fetchInBatches(bySoc(calls), 'socCodes', { socCodes: codes, regionType: 'national' })
+  assert.deepEqual(calls, [25, 5])
+  assert.deepEqual(result.data.data.matchedOccupations.map(o => o.socCode), codes)
+  assert.deepEqual(result.data.data.warnings, [{ code: 'call-1' }, { code: 'call-2' }])
+  assert.equal(result.data.data.region, 'United States')
+  // Headers are the latest call's (the remaining upstream quota)
+  assert.equal(result.headers['x-ratelimit-remaining'], '98')
+})
+
+test('returns the first failed reply as is', async () => {
+  const calls = []
+  const result = await fetchInBatches(bySoc(calls, { failOnCall: 1 }), 'socCodes', { socCodes: codes })
+  assert.deepEqual(calls, [25])
+  assert.equal(result.status, 503)
+})
+
+test('still makes one call without codes', async () => {
+  const calls = []
+  const result = await fetchInBatches(bySoc(calls), 'socCodes', { socCodes: [] })
+  assert.deepEqual(calls, [0])
+  assert.deepEqual(result.data.data.matchedOccupations, [])
+})
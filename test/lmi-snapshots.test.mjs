@@ -0,0 +1,167 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { programTrend, snapshotPrograms, fetchProgramOccupations, snapshotResults, createSnapshotManager } from '../lib/lmi-snapshots.mjs'
+import { occupation, lmiReply, storedOccupation, snapshot } from './fixtures.mjs'
+
+const withData = (salary, occupations) => ({
+  status: 'ok',
+  source: 'cip',
+  metrics: { medianAnnualSalary: salary, totalEmployment: 1000, forecastedEmploymentGrowth: 0.1, demandScore: 1 },
+  occupations,
+})
+
+test('programTrend orders points and compares snapshots with data', () => {
+  const trend = programTrend([
+    snapshot('c', '2026-03-01T00:00:00Z', withData(110000, [storedOccupation('15-1252', { salary: 110000, employment: 900 })])),
+    snapshot('a', '2026-01-01T00:00:00Z', withData(100000, [
+      storedOccupation('15-1252', { salary: 100000, employment: 800 }),
+      storedOccupation('15-1299', { salary: 90000, employment: 100 }),
+    ])),
+    snapshot('b', '2026-02-01T00:00:00Z', { status: 'error', source: 'cip', metrics: null, occupations: [] }),
+    snapshot('d', '2026-04-01T00:00:00Z', withData(1, []), { status: 'running' }),
+  ], 'CS')
+
+  assert.deepEqual(trend.points.map(p => [p.snapshotId, p.status]), [['a', 'ok'], ['b', 'error'], ['c', 'ok']])
+  assert.deepEqual(trend.changes.sinceFirst.medianAnnualSalary, { from: 100000, to: 110000, delta: 10000, pct: 0.1 })
+  // The failed snapshot in between is skipped, not read as a drop
+  assert.equal(trend.changes.sincePrevious.medianAnnualSalary.from, 100000)
+
+  const [developers, other] = trend.occupations
+  assert.equal(developers.socCode, '15-1252')
+  assert.equal(developers.inLatest, true)
+  assert.equal(developers.change.totalEmployment.delta, 100)
+  assert.equal(other.inLatest, false)
+  assert.equal(other.change, null)
+})
+
+test('programTrend has no changes until two snapshots have data', () => {
+  const trend = programTrend([snapshot('a', '2026-01-01T00:00:00Z', withData(100000, []))], 'CS')
+  assert.equal(trend.points.length, 1)
+  assert.deepEqual(trend.changes, { sinceFirst: null, sincePrevious: null })
+})
+
+test('snapshotPrograms reads approved programs by SOC and the rest by CIP', async () => {
+  const figures = { growth: 0.2, demand: 2, growthPercentile: 90, openingsPercentile: 80 }
+  const lmi = {
+    byCip: async () => lmiReply([occupation('15-1252', { name: 'Software Developers', salary: 130000, ...figures })]),
+    bySoc: async ({ socCodes }) => lmiReply(socCodes.map(socCode => occupation(socCode, { salary: 90000, ...figures }))),
+  }
+  const programs = [
+    { code: 'CS', name: 'Computer Science', cipCode: '11.0701' },
+    { code: 'DS', name: 'Data Science', cipCode: '30.7001' },
+  ]
+  const { programs: entries, summary } = await snapshotPrograms(lmi, programs, {
+    delayMs: 0,
+    socCodesFor: (p) => p.code === 'DS' ? ['15-2051'] : [],
+  })
+
+  assert.equal(entries.CS.source, 'cip')
+  assert.equal(entries.CS.metrics.medianAnnualSalary, 130000)
+  assert.deepEqual(entries.CS.occupations[0], {
+    socCode: '15-1252',
+    name: 'Software Developers',
+    medianAnnualSalary: 130000,
+    totalEmployment: 1000,
+    forecastedEmploymentGrowth: 0.2,
+    demandScore: 2,
+    growthPercentile: 90,
+    openingsPercentile: 80,
+  })
+  assert.equal(entries.DS.source, 'approved')
+  assert.deepEqual(entries.DS.socCodes, ['15-2051'])
+  assert.deepEqual(summary, { programs: 2, programsWithData: 2, approvedPrograms: 1, failedPrograms: 0, upstreamCalls: 2 })
+})
+
+test('approved SOC codes are fetched in calls of at most 25 codes', async () => {
+  const sizes = []
+  const lmi = {
+    bySoc: async ({ socCodes }) => {
+      sizes.push(socCodes.length)
+      return lmiReply(socCodes.map(socCode => occupation(socCode)))
+    },
+  }
+  const codes = Array.from({ length: 30 }, (_, i) => `15-${1200 + i}`)
+  const fetched = await fetchProgramOccupations(lmi, [{ code: 'A' }, { code: 'B' }], {
+    delayMs: 0,
+    batchSize: 100,
+    socCodesFor: (p) => p.code === 'A' ? codes.slice(0, 20) : codes.slice(10),
+  })
+  assert.deepEqual(sizes, [25, 5])
+  assert.equal(fetched.calls, 2)
+  assert.equal(fetched.programs.get('B').occupations.length, 20)
+})
+
+test('snapshotResults turns a stored snapshot back into scorecard input', () => {
+  const stored = {
+    programs: {
+      CS: {
+        source: 'cip',
+        socCodes: null,
+        status: 'ok',
+        occupations: [{ ...storedOccupation('15-1252', { salary: 130000 }), growthPercentile: 90, openingsPercentile: 80 }],
+      },
+      ART: { source: 'cip', socCodes: null, status: 'error', message: 'Upstream status 502', occupations: [] },
+    },
+  }
+  const results = snapshotResults(stored)
+  assert.deepEqual(results.get('CS').occupations[0].laborMarketData, {
+    medianAnnualSalary: 130000,
+    totalEmployment: 1000,
+    forecastedEmploymentGrowth: 0.1,
+    demand: { score: 1, growthPercentile: 90, openingsPercentile: 80 },
+  })
+  assert.equal(results.get('ART').message, 'Upstream status 502')
+})
+
+test('ensure takes one snapshot for concurrent callers and reuses it afterwards', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'snapshots-'))
+  let calls = 0
+  const lmi = {
+    byCip: async () => {
+      calls++
+      return lmiReply([occupation('15-1252', { salary: 130000 })])
+    },
+  }
+  const snapshots = createSnapshotManager({
+    dir,
+    lmi,
+    loadSchool: (id) => id === 'test' ? { label: 'Test U', programs: [{ code: 'CS', name: 'Computer Science', cipCode: '11.0701' }] } : null,
+    snapshotOptions: { delayMs: 0 },
+  })
+  try {
+    const started = []
+    const target = { schoolId: 'test', regionType: 'national' }
+    const [a, b] = await Promise.all([
+      snapshots.ensure(target, { trigger: 'scorecard', onStart: (meta) => started.push(meta.id) }),
+      snapshots.ensure(target, { trigger: 'scorecard', onStart: (meta) => started.push(meta.id) }),
+    ])
+    assert.equal(started.length, 1)
+    assert.equal(a.id, b.id)
+    assert.equal(a.trigger, 'scorecard')
+    assert.equal(a.programs.CS.metrics.medianAnnualSalary, 130000)
+    assert.equal((await snapshots.ensure(target)).id, a.id)
+    assert.equal(calls, 1)
+    assert.equal(await snapshots.ensure({ schoolId: 'nope' }), null)
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('ensure rejects when the snapshot it waited for failed', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'snapshots-'))
+  const snapshots = createSnapshotManager({
+    dir,
+    lmi: {},
+    // An unreadable catalog fails the whole snapshot (upstream errors only fail their programs)
+    loadSchool: () => ({ label: 'Test U', programs: null }),
+    snapshotOptions: { delayMs: 0 },
+  })
+  try {
+    await assert.rejects(snapshots.ensure({ schoolId: 'test' }), { status: 502 })
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
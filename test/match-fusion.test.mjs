@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fuseMatches, agreementSummary } from '../lib/match-fusion.mjs'
+
+const local = [
+  { code: '15-1252', title: 'Software Developers', relevanceScore: 40, matchSource: 'crosswalk' },
+  { code: '15-1221', title: 'Computer and Information Research Scientists', relevanceScore: 20, matchSource: 'keyword' },
+  { code: '15-1299', title: 'Computer Occupations, All Other', relevanceScore: 10, matchSource: 'keyword' },
+]
+const ai = [
+  { code: '15-1221', title: 'Computer and Information Research Scientists', reason: 'Research focus', verified: true },
+  { code: '15-2051', title: 'Data Scientists', reason: 'Statistics courses', verified: true },
+]
+
+test('rrf sums 1 / (k + rank) over the sources that ranked a code', () => {
+  const fused = fuseMatches({ local, ai })
+  assert.deepEqual(fused.map(m => m.code), ['15-1221', '15-1252', '15-2051', '15-1299'])
+  assert.equal(fused[0].fusedScore, Number((1 / 62 + 1 / 61).toFixed(4)))
+  assert.equal(fused[0].agreement, 'both')
+  assert.equal(fused[0].source, 'local+ai')
+  assert.deepEqual(fused.map(m => m.rank), [1, 2, 3, 4])
+})
+
+test('equal scores go to codes both sources ranked, then the better local rank', () => {
+  const fused = fuseMatches({ local: local.slice(0, 1), ai: [ai[1]] })
+  // Both sit at rank 1 of their source: the local one wins the tie
+  assert.deepEqual(fused.map(m => m.code), ['15-1252', '15-2051'])
+})
+
+test('weighted uses normalized local scores and AI positions', () => {
+  const fused = fuseMatches({ local, ai }, { method: 'weighted', aiWeight: 2 })
+  const byCode = Object.fromEntries(fused.map(m => [m.code, m]))
+  assert.equal(byCode['15-1252'].fusedScore, 1)
+  assert.equal(byCode['15-1221'].fusedScore, 0.5 + 2)
+  assert.equal(byCode['15-2051'].fusedScore, 1)
+  assert.equal(byCode['15-1221'].ai.contribution, 2)
+})
+
+test('keeps each source\'s details and works with one side missing', () => {
+  const [first] = fuseMatches({ local, ai })
+  assert.equal(first.local.rank, 2)
+  assert.equal(first.ai.reason, 'Research focus')
+  assert.equal(first.reason, 'Research focus')
+  assert.equal(first.relevanceScore, 20)
+
+  const localOnly = fuseMatches({ local, ai: null }, { topN: 2 })
+  assert.deepEqual(localOnly.map(m => [m.code, m.agreement]), [['15-1252', 'local'], ['15-1221', 'local']])
+  assert.deepEqual(fuseMatches({}), [])
+})
+
+test('summarizes agreement', () => {
+  assert.deepEqual(agreementSummary(fuseMatches({ local, ai })), { both: 1, local: 2, ai: 1 })
+})
@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createProgramIndex } from '../lib/program-index.mjs'
+
+const programs = [
+  { code: 'CS-BS', name: 'Computer Science', longName: 'Computer Science (BS)', cipCode: '11.0701', type: 'Major', level: 'Undergraduate', college: 'Engineering' },
+  { code: 'CS-MS', name: 'Computer Science', longName: 'Computer Science (MS)', cipCode: '11.0701', type: 'Major', level: 'Graduate', college: 'Engineering' },
+  { code: 'DS-BS', name: 'Data Science', longName: 'Data Science and Computation', cipCode: '30.7001', type: 'Major', level: 'Undergraduate', college: 'Engineering' },
+  { code: 'MATH-BS', name: 'Mathematics', longName: 'Mathematics (BS)', cipCode: '27.0101', type: 'Major', level: 'Undergraduate', college: 'Arts & Sciences' },
+  { code: 'CSMIN', name: 'Computing Minor', longName: 'Minor in Computing', cipCode: '11.0101', type: 'Minor', level: 'Undergraduate', college: 'Engineering' },
+]
+const index = createProgramIndex(programs)
+const codes = (result) => result.programs.map(p => p.code)
+
+// Every page of a query, following nextCursor
+function allPages(options) {
+  const seen = []
+  let cursor
+  do {
+    const result = index.search({ ...options, cursor })
+    seen.push(...codes(result))
+    cursor = result.nextCursor
+  } while (cursor)
+  return seen
+}
+
+test('every query word must prefix-match a word of the program', () => {
+  assert.deepEqual(codes(index.search({ q: 'computer sci' })), ['CS-BS', 'CS-MS'])
+  assert.deepEqual(codes(index.search({ q: 'comp sci', sort: 'code' })), ['CS-BS', 'CS-MS', 'DS-BS'])
+  assert.deepEqual(codes(index.search({ q: 'comput', sort: 'code' })), ['CS-BS', 'CS-MS', 'CSMIN', 'DS-BS'])
+  assert.equal(index.search({ q: 'biology' }).total, 0)
+})
+
+test('ranks an exact code first when searching', () => {
+  const result = index.search({ q: 'csmin computing' })
+  assert.equal(result.sort, 'relevance')
+  assert.deepEqual(codes(result), ['CSMIN'])
+  assert.equal(codes(index.search({ q: 'ds-bs' }))[0], 'DS-BS')
+})
+
+test('filters by facet values and CIP prefixes', () => {
+  assert.deepEqual(codes(index.search({ filters: { level: ['Graduate'] } })), ['CS-MS'])
+  assert.deepEqual(codes(index.search({ filters: { type: ['Major'], college: ['Arts & Sciences'] } })), ['MATH-BS'])
+  assert.deepEqual(codes(index.search({ cip: ['11.*'], sort: 'code' })), ['CS-BS', 'CS-MS', 'CSMIN'])
+  assert.deepEqual(codes(index.search({ cip: ['11.07'], sort: 'code', desc: true })), ['CS-MS', 'CS-BS'])
+  assert.deepEqual(index.facets().cipCode, ['11.0101', '11.0701', '27.0101', '30.7001'])
+})
+
+test('pages through every result once, in order', () => {
+  const byCode = programs.map(p => p.code).sort()
+  assert.deepEqual(allPages({ sort: 'code', limit: 2 }), byCode)
+  assert.deepEqual(allPages({ sort: 'code', desc: true, limit: 2 }), [...byCode].reverse())
+  assert.deepEqual(allPages({ q: 'comput', limit: 1 }), codes(index.search({ q: 'comput' })))
+})
+
+test('a cursor only pages the query it came from', () => {
+  const { nextCursor } = index.search({ q: 'comput', sort: 'code', filters: { type: ['Major'] }, limit: 1 })
+  const same = index.search({ q: ' Comput ', sort: 'code', filters: { type: ['Major'] }, limit: 1, cursor: nextCursor })
+  assert.deepEqual(codes(same), ['CS-MS'])
+
+  for (const changed of [
+    { sort: 'name' },
+    { desc: true },
+    { q: 'computer' },
+    { filters: { type: ['Minor'] } },
+    { cip: ['11.*'] },
+  ]) {
+    const result = index.search({ q: 'comput', sort: 'code', filters: { type: ['Major'] }, limit: 1, ...changed, cursor: nextCursor })
+    assert.match(result.error, /Invalid or expired cursor/, JSON.stringify(changed))
+  }
+  assert.match(index.search({ cursor: 'not-a-cursor' }).error, /Invalid or expired cursor/)
+})
@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildScorecard, scoreOccupations, portfolioReferenceWage } from '../lib/program-scorecard.mjs'
+import { occupation, ok } from './fixtures.mjs'
+
+test('scores the weighted mean of the components with data', () => {
+  const { components, score } = scoreOccupations([occupation('15-1252', { salary: 100000, demand: 2, growthPercentile: 80, openingsPercentile: 60 })], { referenceWage: 50000 })
+  assert.deepEqual(components, { demand: 1, growth: 0.8, openings: 0.6, wage: 1 })
+  assert.equal(score, 85)
+
+  // A zero weight drops the component; missing figures drop out too
+  const demandOnly = scoreOccupations([occupation('15-1252', { salary: null, demand: 1 })], { weights: { demand: 1, growth: 0, openings: 0, wage: 1 } })
+  assert.equal(demandOnly.components.wage, null)
+  assert.equal(demandOnly.score, 50)
+  assert.equal(scoreOccupations([]).score, null)
+})
+
+test('employment-weights figures across a program\'s occupations', () => {
+  const { metrics } = scoreOccupations([
+    occupation('15-1252', { salary: 120000, employment: 3000, growthPercentile: 90 }),
+    occupation('15-1299', { salary: 80000, employment: 1000, growthPercentile: 10 }),
+  ], { referenceWage: 100000 })
+  assert.equal(metrics.medianSalary, 110000)
+  assert.equal(metrics.growthPercentile, 70)
+  assert.equal(metrics.totalEmployment, 4000)
+  assert.equal(metrics.wageRatio, 1.1)
+})
+
+test('the reference wage is the median of the portfolio\'s distinct occupations', () => {
+  const results = new Map([
+    ['CS', ok([occupation('15-1252', { salary: 130000 }), occupation('15-1299', { salary: 90000 })])],
+    ['SE', ok([occupation('15-1252', { salary: 130000 })])],
+    ['ART', { source: 'cip', status: 'no-data', occupations: [] }],
+  ])
+  assert.equal(portfolioReferenceWage(results), 110000)
+})
+
+test('ranks programs, flags problems and rolls up by college', () => {
+  const programs = [
+    { code: 'CS', name: 'Computer Science', cipCode: '11.0701', college: 'Engineering' },
+    { code: 'LOW', name: 'Low Demand', cipCode: '50.0101', college: 'Arts' },
+    { code: 'ART', name: 'Art History', cipCode: '50.0703', college: 'Arts' },
+    { code: 'BAD', name: 'Bad CIP', cipCode: '99.9999', college: 'Arts' },
+    { code: 'NONE', name: 'No CIP', cipCode: '', college: 'Arts' },
+    { code: 'LOST', name: 'Missing From Results', cipCode: '11.0101', college: 'Engineering' },
+  ]
+  const results = new Map([
+    ['CS', ok([occupation('15-1252', { salary: 130000, demand: 2, growthPercentile: 90, openingsPercentile: 80 })])],
+    ['LOW', ok([occupation('27-1013', { salary: 30000, demand: 0, growthPercentile: 10, openingsPercentile: 10 })])],
+    ['ART', { source: 'cip', status: 'no-data', occupations: [] }],
+    ['BAD', { source: 'cip', status: 'invalid-cip', occupations: [] }],
+    ['NONE', { source: 'cip', status: 'invalid-cip', occupations: [] }],
+  ])
+  const card = buildScorecard(programs, results, { referenceWage: 65000 })
+
+  assert.deepEqual(card.referenceWage, { value: 65000, source: 'request' })
+  assert.deepEqual(card.programs.map(p => [p.code, p.rank]), [
+    ['CS', 1], ['LOW', 2], ['ART', null], ['BAD', null], ['LOST', null], ['NONE', null],
+  ])
+  const flags = Object.fromEntries(card.programs.map(p => [p.code, p.flags]))
+  assert.deepEqual(flags, { CS: [], LOW: ['weak'], ART: ['unmapped'], BAD: ['invalid-cip'], LOST: ['lmi-error'], NONE: ['no-cip'] })
+  assert.equal(card.programs.find(p => p.code === 'LOST').message, 'No LMI figures for this program')
+  assert.equal(card.summary.scored, 2)
+  assert.equal(card.summary.weak, 1)
+
+  const [engineering, arts] = card.groups.college
+  assert.equal(engineering.name, 'Engineering')
+  assert.equal(engineering.best.code, 'CS')
+  assert.equal(engineering.unscored, 1)
+  assert.equal(arts.programs, 4)
+  assert.equal(arts.weak, 1)
+})
@@ -0,0 +1,129 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRateLimiter, rateLimit, chargeRateLimit, createLoginGuard } from '../lib/rate-limit.mjs'
+
+const MINUTE = 60_000
+
+// Just enough of an Express response for rateLimit()
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value },
+    status(code) { this.statusCode = code; return this },
+    json(body) { this.body = body; return this },
+  }
+}
+
+test('counts hits per key in fixed windows', () => {
+  const limiter = createRateLimiter({ windowMs: MINUTE, max: 2 })
+  assert.equal(limiter.hit('a', 0).remaining, 1)
+  assert.equal(limiter.hit('a', 1000).allowed, true)
+  const blocked = limiter.hit('a', 2000)
+  assert.equal(blocked.allowed, false)
+  assert.equal(blocked.firstBlocked, true)
+  assert.equal(blocked.retryAfter, 58)
+  assert.equal(limiter.hit('a', 3000).firstBlocked, false)
+  assert.equal(limiter.hit('b', 3000).allowed, true)
+  // A new window starts from zero
+  assert.equal(limiter.hit('a', MINUTE).remaining, 1)
+})
+
+test('a hit can cost several requests', () => {
+  const limiter = createRateLimiter({ windowMs: MINUTE, max: 5 })
+  assert.equal(limiter.hit('a', 0, 3).remaining, 2)
+  const over = limiter.hit('a', 0, 3)
+  assert.equal(over.allowed, false)
+  assert.equal(over.firstBlocked, true)
+})
+
+test('the middleware answers 429 on the first rule over its limit', () => {
+  const rules = [
+    { name: 'token', limiter: createRateLimiter({ max: 1 }), key: (req) => req.token },
+    { name: 'ip', limiter: createRateLimiter({ max: 10 }), key: (req) => req.ip },
+  ]
+  const limited = []
+  const middleware = rateLimit(rules, { onLimited: (req, rule) => limited.push(rule) })
+  let calls = 0
+  const next = () => calls++
+
+  const ok = response()
+  middleware({ token: 't1', ip: '1.1.1.1' }, ok, next)
+  assert.equal(calls, 1)
+  assert.equal(ok.headers['RateLimit-Remaining'], '0')
+
+  const blocked = response()
+  middleware({ token: 't1', ip: '1.1.1.1' }, blocked, next)
+  assert.equal(calls, 1)
+  assert.equal(blocked.statusCode, 429)
+  assert.equal(blocked.body.code, 'RATE_LIMITED')
+  assert.ok(Number(blocked.headers['Retry-After']) > 0)
+  assert.deepEqual(limited, ['token'])
+
+  // Without a token only the IP rule applies
+  middleware({ ip: '1.1.1.1' }, response(), next)
+  assert.equal(calls, 2)
+})
+
+test('chargeRateLimit bills extra requests to every rule', () => {
+  const token = createRateLimiter({ max: 4 })
+  const rules = [{ name: 'token', limiter: token, key: (req) => req.token }]
+  const req = { token: 't1' }
+  assert.equal(chargeRateLimit(rules, req, 0), null)
+  assert.equal(chargeRateLimit(rules, req, 2), null)
+  const over = chargeRateLimit(rules, req, 3)
+  assert.equal(over.rule, 'token')
+  assert.equal(over.firstBlocked, true)
+  assert.equal(chargeRateLimit(rules, {}, 10), null)
+})
+
+test('locks a username out after too many failures, doubling on repeat', () => {
+  const guard = createLoginGuard({ maxAttempts: 3, windowMs: 10 * MINUTE, lockoutMs: MINUTE, maxLockoutMs: 3 * MINUTE })
+  assert.equal(guard.fail('Ann', null, 0), 0)
+  assert.equal(guard.fail('ann', null, 1000), 0)
+  assert.equal(guard.fail('ann', null, 2000), 60)
+  assert.equal(guard.lockedFor('ANN', null, 2000), 60)
+  // Failures while locked do not count
+  assert.equal(guard.fail('ann', null, 3000), 0)
+  assert.equal(guard.lockedFor('ann', null, 62_000), 0)
+
+  for (const t of [70_000, 71_000]) guard.fail('ann', null, t)
+  assert.equal(guard.fail('ann', null, 72_000), 120)
+  for (const t of [200_000, 201_000]) guard.fail('ann', null, t)
+  // Capped at maxLockoutMs
+  assert.equal(guard.fail('ann', null, 202_000), 180)
+
+  assert.equal(guard.reset('ann'), true)
+  assert.equal(guard.lockedFor('ann', null, 202_000), 0)
+})
+
+test('failures outside the window start a new count', () => {
+  const guard = createLoginGuard({ maxAttempts: 2, windowMs: MINUTE, lockoutMs: MINUTE })
+  guard.fail('ann', null, 0)
+  assert.equal(guard.fail('ann', null, 2 * MINUTE), 0)
+  assert.equal(guard.fail('ann', null, 2 * MINUTE + 1000), 60)
+})
+
+test('lockout doubling decays after a quiet period', () => {
+  const HOUR = 60 * MINUTE
+  const guard = createLoginGuard({ maxAttempts: 1, lockoutMs: MINUTE, maxLockoutMs: 24 * HOUR, lockoutDecayMs: HOUR })
+  assert.equal(guard.fail('ann', null, 0), 60)
+  assert.equal(guard.fail('ann', null, 2 * MINUTE), 120)
+  assert.equal(guard.fail('ann', null, 5 * MINUTE), 240)
+  // Two quiet hours after the last lockout ended forgive two of the three lockouts
+  const later = 9 * MINUTE + 2 * HOUR
+  assert.equal(guard.fail('ann', null, later), 120)
+  // A quiet day forgives them all
+  assert.equal(guard.fail('ann', null, later + 2 * MINUTE + 24 * HOUR), 60)
+})
+
+test('IPs have their own, higher threshold and a good login only clears the username', () => {
+  const guard = createLoginGuard({ maxAttempts: 2, ipMaxAttempts: 3, lockoutMs: MINUTE })
+  guard.fail('ann', '1.1.1.1', 0)
+  guard.succeed('ann')
+  guard.fail('bob', '1.1.1.1', 1000)
+  assert.equal(guard.fail('cat', '1.1.1.1', 2000), 60)
+  assert.equal(guard.lockedFor('dan', '1.1.1.1', 2000), 60)
+  assert.equal(guard.lockedFor('dan', '2.2.2.2', 2000), 0)
+})
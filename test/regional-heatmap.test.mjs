@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { metroStates, scopeRegions, heatmapTable } from '../lib/regional-heatmap.mjs'
+import { occupation, ok } from './fixtures.mjs'
+
+const states = [
+  { code: '06', name: 'California', abbreviation: 'CA' },
+  { code: '34', name: 'New Jersey', abbreviation: 'NJ' },
+  { code: '36', name: 'New York', abbreviation: 'NY' },
+]
+const msas = [
+  { code: '41940', label: 'San Jose-Sunnyvale-Santa Clara, CA' },
+  { code: '35620', label: 'New York-Newark-Jersey City, NY-NJ-PA' },
+  { code: '10580', label: 'Albany-Schenectady-Troy, NY' },
+]
+
+const developers = (salary, employment, growth) => occupation('15-1252', { name: 'Software Developers', salary, employment, growth })
+
+test('reads the states from the end of a metro label', () => {
+  assert.deepEqual(metroStates('New York-Newark-Jersey City, NY-NJ-PA'), ['NY', 'NJ', 'PA'])
+  assert.deepEqual(metroStates('San Jose-Sunnyvale-Santa Clara, CA'), ['CA'])
+  assert.deepEqual(metroStates('Nowhere'), [])
+  assert.deepEqual(metroStates(null), [])
+})
+
+test('scopes every state, or the metros in one state', () => {
+  assert.deepEqual(scopeRegions('states', { states }).map(r => [r.regionType, r.region, r.abbreviation]), [
+    ['state', '06', 'CA'], ['state', '34', 'NJ'], ['state', '36', 'NY'],
+  ])
+  assert.deepEqual(scopeRegions('metros', { states, msas, state: '36' }).map(r => r.region), ['35620', '10580'])
+  // A metro spanning several states is listed under each of them
+  assert.deepEqual(scopeRegions('metros', { states, msas, state: '34' }).map(r => r.region), ['35620'])
+  assert.equal(scopeRegions('metros', { states, msas }).length, 3)
+})
+
+test('builds a row per region with its status and real wage', () => {
+  const regions = scopeRegions('states', { states })
+  const { summary, regions: rows } = heatmapTable(regions, [
+    { ...ok([developers(120000, 1000, 0.2)]), regionalPriceParity: 120 },
+    ok([]),
+    { status: 'error', message: 'Upstream status 502' },
+  ])
+  assert.deepEqual(summary, { regions: 3, withData: 1, noData: 1, failed: 1 })
+  assert.deepEqual(rows.map(r => r.status), ['ok', 'no-data', 'error'])
+  assert.equal(rows[0].realMedianSalary, 100000)
+  assert.equal(rows[0].regionalPriceParity, 120)
+  assert.equal(rows[1].normalized, undefined)
+  assert.equal(rows[2].message, 'Upstream status 502')
+  // A single value sits mid-scale rather than at an extreme
+  assert.equal(rows[0].normalized.medianSalary, 0.5)
+})
+
+test('normalizes each metric from 0 to 1 across the regions with data', () => {
+  const regions = scopeRegions('states', { states })
+  const { ranges, regions: rows } = heatmapTable(regions, [
+    ok([developers(100000, 1000, 0.1)]),
+    ok([developers(150000, 3000, 0.3)]),
+    ok([developers(200000, 5000, 0.2)]),
+  ])
+  assert.deepEqual(ranges.medianSalary, { min: 100000, max: 200000, median: 150000 })
+  assert.deepEqual(rows.map(r => r.normalized.medianSalary), [0, 0.5, 1])
+  assert.deepEqual(rows.map(r => r.normalized.growthRate), [0, 1, 0.5])
+  assert.deepEqual(rows.map(r => r.normalized.realMedianSalary), [null, null, null])
+  assert.deepEqual(ranges.realMedianSalary, { min: null, max: null, median: null })
+})
+
+test('a missing result counts as a failed region', () => {
+  const { summary, regions: rows } = heatmapTable(scopeRegions('states', { states: states.slice(0, 1) }), [])
+  assert.equal(summary.failed, 1)
+  assert.equal(rows[0].message, 'No response')
+})
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Manage user accounts from the command line (e.g. to recover admin access).
+ *
+ * Usage:
+ *   node users.mjs list
+ *   node users.mjs add <username> --password <pw> [--role viewer|analyst|admin] [--schools ufl,arizona] [--name "Full Name"]
+ *   node users.mjs set <username> [--password <pw>] [--role <role>] [--schools <ids>] [--disable | --enable]
+ *   node users.mjs remove <username>
+ *
+ * Uses the same store as the server (STORE_DIR, default store/). Restart the
+ * server afterwards so it picks up the changes.
+ */
+
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { createUserStore, createSessionStore } from './lib/auth.mjs'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const STORE_DIR = process.env.STORE_DIR || join(__dirname, 'store')
+
+function parseArgs(argv) {
+  const args = { _: [] }
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) { args._.push(argv[i]); continue }
+    const key = argv[i].slice(2)
+    const next = argv[i + 1]
+    args[key] = next && !next.startsWith('--') ? argv[++i] : true
+  }
+  return args
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`)
+  process.exit(1)
+}
+
+const args = parseArgs(process.argv.slice(2))
+const [command, username] = args._
+const users = createUserStore({ file: join(STORE_DIR, 'users.json') })
+const sessions = createSessionStore({ file: join(STORE_DIR, 'sessions.json') })
+const schools = typeof args.schools === 'string' ? args.schools.split(',').map(s => s.trim()).filter(Boolean) : undefined
+
+switch (command) {
+  case 'list':
+    for (const u of users.list()) {
+      console.log(`${u.disabled ? '🚫' : '👤'} ${u.username.padEnd(20)} ${u.role.padEnd(8)} ${u.schools.join(',')}`)
+    }
+    break
+
+  case 'add': {
+    const fields = { username, password: args.password, name: args.name, role: args.role || 'viewer', schools: schools || ['*'] }
+    const invalid = users.validate(fields)
+    if (invalid) fail(invalid)
+    if (users.get(username)) fail(`User "${username}" already exists`)
+    users.create(fields)
+    console.log(`✅ Created ${fields.role} "${username}"`)
+    break
+  }
+
+  case 'set': {
+    if (!users.get(username)) fail(`User "${username}" not found`)
+    const fields = {
+      password: typeof args.password === 'string' ? args.password : undefined,
+      role: args.role,
+      schools,
+      disabled: args.disable ? true : args.enable ? false : undefined,
+    }
+    const invalid = users.validate(fields, { partial: true })
+    if (invalid) fail(invalid)
+    users.update(username, fields)
+    if (fields.password !== undefined || fields.disabled) sessions.destroyForUser(username.toLowerCase())
+    console.log(`✅ Updated "${username}"`)
+    break
+  }
+
+  case 'remove':
+    if (!users.remove(username || '')) fail(`User "${username}" not found`)
+    sessions.destroyForUser(username.toLowerCase())
+    console.log(`✅ Removed "${username}"`)
+    break
+
+  default:
+    console.error('Usage: node users.mjs list | add <username> --password <pw> [--role] [--schools] | set <username> ... | remove <username>')
+    process.exit(1)
+}
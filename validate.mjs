@@ -2,34 +2,29 @@
 /**
  * Mapademics LMI Validation Script
  * 
- * Connects to local MongoDB, fetches programs with CIP codes from Stanford, UFL, and Arizona,
+ * Connects to local MongoDB, fetches programs with CIP codes for every registered MongoDB school,
  * then calls the Mapademics Labor Market Intelligence API to fetch occupation data.
  * 
  * Usage: node validate.mjs
  */
 
 import { MongoClient } from 'mongodb'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { createLmiClientFromEnv } from './lib/lmi-client.mjs'
+import { loadSchoolConfig } from './lib/school-registry.mjs'
 
+const __dirname = dirname(fileURLToPath(import.meta.url))
 const MONGO_URI = process.env.DATABASE_URI || 'mongodb://localhost'
-const MAPADEMICS_API_KEY = process.env.MAPADEMICS_API_KEY || 'pk_test_PtOajWu6grZat4xtjGgRTNqR'
-const MAPADEMICS_BASE_URL = 'https://embedded-api-sandbox.mapademics.com/v1'
+const lmi = createLmiClientFromEnv(process.env, { rootDir: __dirname })
 
-const SCHOOLS = [
-  { db: 'stanford', label: 'Stanford University' },
-  { db: 'ufl_peoplesoft_direct', label: 'University of Florida' },
-  { db: 'arizona_peoplesoft', label: 'University of Arizona' },
-]
+// Schools with a MongoDB source from the registry (config/schools.json, or SCHOOLS_FILE)
+const SCHOOLS = loadSchoolConfig(process.env.SCHOOLS_FILE || join(__dirname, 'config', 'schools.json'))
+  .filter(s => s.source.type === 'mongodb')
 
 async function fetchLMI(cipCodes, regionType = 'national') {
-  const res = await fetch(`${MAPADEMICS_BASE_URL}/labor-market-intelligence/by-cip`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${MAPADEMICS_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ cipCodes, regionType, includeSkills: true }),
-  })
-  return res.json()
+  const { data } = await lmi.byCip({ cipCodes, regionType, includeSkills: true })
+  return data
 }
 
 async function main() {
@@ -46,10 +41,10 @@ async function main() {
 
   for (const school of SCHOOLS) {
     console.log(`\n${'─'.repeat(60)}`)
-    console.log(`  📚 ${school.label} (${school.db})`)
+    console.log(`  📚 ${school.label} (${school.source.db})`)
     console.log(`${'─'.repeat(60)}`)
 
-    const db = client.db(school.db)
+    const db = client.db(school.source.db)
     const programs = await db.collection('programs').find(
       { cipCode: { $exists: true, $ne: '' }, status: 'Active' },
       { projection: { name: 1, code: 1, cipCode: 1, type: 1, degreeDesignation: 1, college: 1, level: 1 } }